@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+
+const scrapper = require("./scrapper");
+const exporter = require("./export_reviews");
+const { loadDefaultPlugins } = require("./scrapers");
+const { normalizeDate, toIsoDateString } = require("./utils/dates");
+const { validateProduct, validateReview } = require("./utils/schema");
+const { readOutputFiles, mergeOutputs } = require("./utils/outputs");
+const { parseNdjsonOutput } = require("./utils/ndjson-output");
+const { summarizeProducts } = require("./utils/report");
+const { renderHtmlReport } = require("./utils/html-report");
+const { getLogLevel } = require("./utils/logger");
+
+/**
+ * Exit codes of the CLI, for scripts and cron jobs
+ *   0 OK       - everything succeeded
+ *   1 FAILURE  - the command failed (e.g. no entry could be scraped, unreadable files)
+ *   2 USAGE    - unknown command or invalid flags
+ *   3 INVALID  - the input or the outputs failed validation
+ *   4 PARTIAL  - some entries were scraped, others failed (resume them with --resume)
+ */
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    INVALID: 3,
+    PARTIAL: 4
+};
+
+/**
+ * Error raised for an unknown command or invalid flags
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+// Flags accepted by every command
+const COMMON_OPTIONS = {
+    help: { type: 'boolean', short: 'h' },
+    verbose: { type: 'boolean', short: 'v' },
+    quiet: { type: 'boolean', short: 'q' },
+    'dry-run': { type: 'boolean' }
+};
+
+const COMMON_HELP = `  -v, --verbose            Log every request
+  -q, --quiet              Only print warnings, errors and results
+      --dry-run            Show what would be done without fetching or writing
+  -h, --help               Show help`;
+
+/**
+ * Parses a --since/--until value: any date the date normalizer understands,
+ * including relative dates such as "30 days ago"
+ * @param {string} value - Flag value
+ * @param {string} flag - Flag name, for the error message
+ * @returns {string} YYYY-MM-DD
+ */
+function parseDateFlag(value, flag) {
+    const { date } = normalizeDate(value);
+    if (!date) {
+        throw new UsageError(`Invalid --${flag} date: ${JSON.stringify(value)}`);
+    }
+    return date;
+}
+
+/**
+ * Parses a flag that must be a positive integer
+ * @param {string} value - Flag value
+ * @param {string} flag - Flag name, for the error message
+ * @returns {number|undefined} The number, or undefined when the flag is absent
+ */
+function parsePositiveInteger(value, flag) {
+    if (value === undefined) return undefined;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number <= 0) {
+        throw new UsageError(`--${flag} must be a positive integer, got ${JSON.stringify(value)}`);
+    }
+    return number;
+}
+
+/**
+ * Builds the scrape entries from the flags: a single ad-hoc URL, or the input file
+ * @param {Object} values - Parsed flags
+ * @returns {Object} { entries } or { inputFile }
+ */
+function resolveScrapeInput(values) {
+    if (values.url && values.input) {
+        throw new UsageError("--url and --input cannot be used together");
+    }
+    if (!values.url) {
+        if (values.since || values.until || values['max-reviews'] || values['max-pages']) {
+            throw new UsageError("--since, --until, --max-reviews and --max-pages are only used with --url");
+        }
+        return { inputFile: path.resolve(values.input || 'input.json') };
+    }
+    if (!values.since) {
+        throw new UsageError("--url needs --since (e.g. --since 2024-01-01 or --since \"30 days ago\")");
+    }
+
+    const entry = {
+        url: values.url,
+        start_date: parseDateFlag(values.since, 'since'),
+        end_date: values.until ? parseDateFlag(values.until, 'until') : toIsoDateString(new Date())
+    };
+    ['max-reviews', 'max-pages'].forEach(flag => {
+        if (values[flag] === undefined) return;
+        const option = flag === 'max-reviews' ? 'maxReviews' : 'maxPages';
+        entry[option] = values[flag] === 'unlimited' ? 'unlimited' : parsePositiveInteger(values[flag], flag);
+    });
+    return { entries: [entry] };
+}
+
+/**
+ * Validates an output file (canonical product data)
+ * @param {Object} data - Parsed output file
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function getOutputErrors(data) {
+    if (!data || typeof data !== 'object') {
+        return ['not a JSON object'];
+    }
+    const errors = validateProduct(data);
+    (Array.isArray(data.allReviews) ? data.allReviews : []).forEach((review, index) => {
+        validateReview(review).forEach(error => errors.push(`review #${index + 1}: ${error}`));
+    });
+    return errors;
+}
+
+/**
+ * CLI commands: flags, help text and handler returning an exit code
+ */
+const COMMANDS = {
+    scrape: {
+        summary: 'Scrape reviews for the input entries or a single URL',
+        usage: 'scrape [--input file | --url url --since date [--until date]] [flags]',
+        options: {
+            input: { type: 'string', short: 'i' },
+            url: { type: 'string', short: 'u' },
+            since: { type: 'string' },
+            until: { type: 'string' },
+            'max-reviews': { type: 'string' },
+            'max-pages': { type: 'string' },
+            'output-dir': { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f' },
+            incremental: { type: 'boolean' },
+            deep: { type: 'boolean' },
+            resume: { type: 'boolean' },
+            record: { type: 'boolean' },
+            replay: { type: 'boolean' },
+            fixtures: { type: 'string' },
+            concurrency: { type: 'string' },
+            database: { type: 'string' }
+        },
+        help: `  -i, --input <file>       Input file (default: input.json)
+  -u, --url <url>          Scrape a single URL instead of the input file
+      --since <date>       Start date for --url (YYYY-MM-DD or e.g. "30 days ago")
+      --until <date>       End date for --url (default: today)
+      --max-reviews <n>    Maximum reviews for --url, or "unlimited" (G2, default: 50)
+      --max-pages <n>      Maximum pages for --url, or "unlimited" (G2, TrustRadius, default: unlimited)
+  -o, --output-dir <dir>   Directory for the results (default: output)
+  -f, --format <format>    Output format: json (default), or ndjson to write reviews as they are scraped
+      --incremental        Only collect reviews newer than the previous run
+      --deep               Fetch each review's detail page (Trustpilot: full text, company reply)
+      --resume             Continue the last interrupted run
+      --record             Save every fetched page to the fixtures directory
+      --replay             Serve every page from the fixtures directory
+      --fixtures <dir>     Fixtures directory (default: fixtures)
+      --concurrency <n>    Maximum entries scraped at once
+      --database <file>    Also save every scrape to this SQLite database (default: config "database")`,
+        run: async (values) => {
+            const format = values.format || 'json';
+            if (!scrapper.OUTPUT_FORMATS.includes(format)) {
+                throw new UsageError(`Unknown scrape format "${format}". Supported: ${scrapper.OUTPUT_FORMATS.join(', ')}`);
+            }
+
+            const summary = await scrapper.main({
+                ...resolveScrapeInput(values),
+                outputDir: values['output-dir'] && path.resolve(values['output-dir']),
+                format,
+                dryRun: values['dry-run'],
+                incremental: values.incremental,
+                deep: values.deep,
+                resume: values.resume,
+                record: values.record,
+                replay: values.replay,
+                fixturesDir: values.fixtures && path.resolve(values.fixtures),
+                concurrency: parsePositiveInteger(values.concurrency, 'concurrency'),
+                database: values.database && path.resolve(values.database),
+                logLevel: values.logLevel
+            });
+
+            if (summary.failed > 0) {
+                return summary.completed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILURE;
+            }
+            return summary.invalid > 0 ? EXIT_CODES.INVALID : EXIT_CODES.OK;
+        }
+    },
+
+    export: {
+        summary: 'Export the JSON results, merged per source',
+        usage: 'export [--input-dir dir] [--output-dir dir] [--format format] [--combined] [flags]',
+        options: {
+            'input-dir': { type: 'string' },
+            'output-dir': { type: 'string', short: 'o' },
+            format: { type: 'string', short: 'f' },
+            combined: { type: 'boolean' },
+            delimiter: { type: 'string', short: 'd' },
+            bom: { type: 'boolean' }
+        },
+        help: `      --input-dir <dir>    Directory of the JSON results (default: output)
+  -o, --output-dir <dir>   Directory for the exported files (default: csv_output)
+  -f, --format <format>    Export format: ${Object.keys(exporter.EXPORT_FORMATS).join(', ')} (default: csv)
+      --combined           Export all sources into one file with product columns
+  -d, --delimiter <char>   CSV delimiter, e.g. ";" or "tab" (default: ",")
+      --bom                Start CSV files with a UTF-8 BOM (for Excel)
+
+Defaults for these flags and the CSV columns can be set in the "export" section of scraper.config.json.`,
+        run: async (values) => {
+            if (values.format && !exporter.EXPORT_FORMATS[values.format]) {
+                throw new UsageError(`Unknown export format "${values.format}". Supported: ${Object.keys(exporter.EXPORT_FORMATS).join(', ')}`);
+            }
+            const delimiter = values.delimiter === 'tab' ? '\t' : values.delimiter;
+            if (delimiter !== undefined && delimiter.length !== 1) {
+                throw new UsageError(`Invalid --delimiter "${values.delimiter}": use a single character or "tab"`);
+            }
+
+            const summary = await exporter.main({
+                inputDir: values['input-dir'] && path.resolve(values['input-dir']),
+                outputDir: values['output-dir'] && path.resolve(values['output-dir']),
+                format: values.format,
+                combined: values.combined,
+                delimiter,
+                bom: values.bom,
+                dryRun: values['dry-run'],
+                logLevel: values.logLevel
+            });
+            return summary.failed > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+        }
+    },
+
+    report: {
+        summary: 'Summarize the JSON results per source',
+        usage: 'report [--input-dir dir] [--format text|json|html] [--output file] [flags]',
+        options: {
+            'input-dir': { type: 'string' },
+            format: { type: 'string', short: 'f' },
+            output: { type: 'string', short: 'o' }
+        },
+        help: `      --input-dir <dir>    Directory of the JSON results (default: output)
+  -f, --format <format>    Report format: text (default), json, or html for charts and comparisons
+  -o, --output <file>      File for the html report (default: reports/report.html)`,
+        run: async (values) => {
+            const format = values.format || 'text';
+            if (!['text', 'json', 'html'].includes(format)) {
+                throw new UsageError(`Unknown report format "${format}". Supported: text, json, html`);
+            }
+
+            const inputDir = path.resolve(values['input-dir'] || path.join(__dirname, 'output'));
+            const products = mergeOutputs(readOutputFiles(inputDir));
+
+            if (format === 'html') {
+                if (products.length === 0) {
+                    console.error(`❌ No results in ${inputDir}`);
+                    return EXIT_CODES.FAILURE;
+                }
+                const outputFile = path.resolve(values.output || path.join(__dirname, 'reports', 'report.html'));
+                if (values['dry-run']) {
+                    console.log(`🧪 Would write the report of ${products.length} source(s) to ${outputFile}`);
+                    return EXIT_CODES.OK;
+                }
+                fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+                fs.writeFileSync(outputFile, renderHtmlReport(products), 'utf8');
+                console.log(`📈 Report of ${products.length} source(s) written to ${outputFile}`);
+                return EXIT_CODES.OK;
+            }
+
+            const rows = summarizeProducts(products);
+
+            if (format === 'json') {
+                process.stdout.write(`${JSON.stringify(rows, null, 2)}\n`);
+                return EXIT_CODES.OK;
+            }
+
+            if (rows.length === 0) {
+                process.stdout.write(`No results in ${inputDir}\n`);
+                return EXIT_CODES.OK;
+            }
+            rows.forEach(row => {
+                process.stdout.write([
+                    `${row.productName} (${row.platform})`,
+                    `  ${row.sourceUrl}`,
+                    `  Reviews: ${row.reviews}${row.unknownDates ? ` (${row.unknownDates} without date)` : ''}`,
+                    `  Average stars: ${row.averageStars === null ? 'n/a' : row.averageStars}`,
+                    `  Review dates: ${row.firstReviewDate || 'n/a'} to ${row.lastReviewDate || 'n/a'}`,
+                    `  Last scraped: ${row.lastScrapedAt || 'n/a'} (${row.files.length} file${row.files.length === 1 ? '' : 's'})`,
+                    ''
+                ].join('\n') + '\n');
+            });
+            return EXIT_CODES.OK;
+        }
+    },
+
+    validate: {
+        summary: 'Validate the input file and the JSON/NDJSON results',
+        usage: 'validate [files...] [--input file] [--input-dir dir] [flags]',
+        options: {
+            input: { type: 'string', short: 'i' },
+            'input-dir': { type: 'string' }
+        },
+        help: `  -i, --input <file>       Input file to check (default: input.json, if present)
+      --input-dir <dir>    Directory of the JSON/NDJSON results to check (default: output)
+  [files...]               Check only these results`,
+        run: async (values, positionals) => {
+            loadDefaultPlugins();
+            let problems = 0;
+
+            const report = (label, errors) => {
+                if (errors.length === 0) {
+                    console.log(`✅ ${label}`);
+                    return;
+                }
+                problems++;
+                console.error(`❌ ${label}`);
+                errors.slice(0, 20).forEach(error => console.error(`   ${error}`));
+                if (errors.length > 20) {
+                    console.error(`   ... and ${errors.length - 20} more`);
+                }
+            };
+
+            if (positionals.length === 0) {
+                const inputFile = path.resolve(values.input || 'input.json');
+                if (values.input || fs.existsSync(inputFile)) {
+                    let entries = [];
+                    try {
+                        entries = scrapper.readInputFile(inputFile);
+                    } catch (error) {
+                        report(inputFile, [error.message]);
+                    }
+                    entries.forEach((entry, i) => report(`${inputFile} entry ${i + 1}`, scrapper.getInputEntryErrors(entry)));
+                }
+            }
+
+            const files = positionals.length > 0
+                ? positionals.map(file => path.resolve(file))
+                : (() => {
+                    const inputDir = path.resolve(values['input-dir'] || path.join(__dirname, 'output'));
+                    return fs.existsSync(inputDir)
+                        ? fs.readdirSync(inputDir).filter(f => /\.(nd)?json$/.test(f)).sort().map(f => path.join(inputDir, f))
+                        : [];
+                })();
+
+            files.forEach(file => {
+                try {
+                    const text = fs.readFileSync(file, 'utf8');
+                    if (file.endsWith('.ndjson')) {
+                        const { product, complete } = parseNdjsonOutput(text);
+                        const errors = getOutputErrors(product);
+                        report(file, complete ? errors : ['No completed run record (the scrape failed or was interrupted)', ...errors]);
+                    } else {
+                        report(file, getOutputErrors(JSON.parse(text)));
+                    }
+                } catch (error) {
+                    report(file, [error.message]);
+                }
+            });
+
+            console.log(`\n📊 ${problems === 0 ? 'Everything is valid' : `${problems} invalid item(s)`}`);
+            return problems === 0 ? EXIT_CODES.OK : EXIT_CODES.INVALID;
+        }
+    }
+};
+
+/**
+ * Prints the general help, or the help of one command
+ * @param {string} commandName - Command name (optional)
+ */
+function printHelp(commandName) {
+    const command = COMMANDS[commandName];
+    if (command) {
+        process.stdout.write(`Usage: review-scraper ${command.usage}\n\n${command.summary}\n\n${command.help}\n${COMMON_HELP}\n`);
+        return;
+    }
+
+    const commands = Object.entries(COMMANDS)
+        .map(([name, { summary }]) => `  ${name.padEnd(10)} ${summary}`)
+        .join('\n');
+    process.stdout.write(`Usage: review-scraper <command> [flags]\n\nCommands:\n${commands}\n\nRun "review-scraper <command> --help" for the flags of a command.\n`);
+}
+
+/**
+ * Resolves the log level of --quiet and --verbose (see utils/logger.js)
+ * @param {Object} values - Parsed flags
+ * @returns {string|undefined} Log level, or undefined to keep the current one
+ */
+function resolveLogLevel(values) {
+    if (values.quiet && values.verbose) {
+        throw new UsageError("--quiet and --verbose cannot be used together");
+    }
+    if (values.quiet) return 'quiet';
+    if (values.verbose) return 'verbose';
+    return undefined;
+}
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} argv - Arguments after the script name, e.g. ["scrape", "--incremental"]
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ */
+async function run(argv) {
+    const [commandName, ...args] = argv;
+
+    if (!commandName || commandName === 'help' || commandName === '--help' || commandName === '-h') {
+        printHelp(args[0]);
+        return EXIT_CODES.OK;
+    }
+
+    const command = COMMANDS[commandName];
+    let logLevel;
+    try {
+        if (!command) {
+            throw new UsageError(`Unknown command "${commandName}"`);
+        }
+
+        let parsed;
+        try {
+            parsed = parseArgs({
+                args,
+                options: { ...COMMON_OPTIONS, ...command.options },
+                allowPositionals: commandName === 'validate'
+            });
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+
+        if (parsed.values.help) {
+            printHelp(commandName);
+            return EXIT_CODES.OK;
+        }
+        logLevel = resolveLogLevel(parsed.values);
+
+        return await command.run({ ...parsed.values, logLevel }, parsed.positionals);
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`❌ ${error.message}`);
+            console.error(`Run "review-scraper ${command ? `${commandName} ` : ''}--help" for usage.`);
+            return EXIT_CODES.USAGE;
+        }
+        if (error instanceof scrapper.InputError) {
+            console.error(`❌ ${error.message}`);
+            return EXIT_CODES.INVALID;
+        }
+        console.error(`❌ ${error.message}`);
+        if ((logLevel || getLogLevel()) === 'verbose') {
+            console.error(error.stack);
+        }
+        return EXIT_CODES.FAILURE;
+    }
+}
+
+if (require.main === module) {
+    run(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = {
+    run,
+    EXIT_CODES,
+    UsageError
+};
@@ -1,26 +1,253 @@
 const fs = require('fs');
 const path = require('path');
+const ExcelJS = require('exceljs');
+const { readOutputFiles, mergeOutputs } = require('./utils/outputs');
+const { loadConfig } = require('./utils/config');
+const logger = require('./utils/logger');
+
+// Product fields added in front of each review in combined exports
+const PRODUCT_COLUMNS = ['productName', 'reviewSite', 'scrapedAt'];
+
+// File name (without extension) of a combined export
+const COMBINED_FILENAME = 'all_reviews';
+
+// Values longer than this make an XLSX column wide and wrapped
+const XLSX_WRAP_LENGTH = 60;
+
+// Characters Excel doesn't allow in sheet names; names are also limited to 31 characters
+const XLSX_SHEET_NAME_INVALID = /[\\/?*:[\]]/g;
+const XLSX_SHEET_NAME_LENGTH = 31;
+
+/**
+ * Flattens nested objects (e.g. a review's "extra" fields) into dotted keys
+ * such as "extra.like", so every value gets its own CSV column
+ * @param {Object} record - Record to flatten
+ * @param {string} prefix - Key prefix for nested values
+ * @returns {Object} Flat record
+ */
+function flattenRecord(record, prefix = '') {
+    const flat = {};
+    Object.entries(record).forEach(([key, value]) => {
+        const column = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            Object.assign(flat, flattenRecord(value, column));
+        } else if (Array.isArray(value)) {
+            flat[column] = JSON.stringify(value);
+        } else {
+            flat[column] = value;
+        }
+    });
+    return flat;
+}
+
+/**
+ * Resolves the CSV columns. Without configured columns every field of any row
+ * becomes a column, in the order the fields first appear
+ * @param {Array<Object>} rows - Flattened records
+ * @param {Array<string|Object>} columns - Configured columns: a field name, or { field, header } to rename it
+ * @returns {Array<Object>} [{ field, header }]
+ */
+function resolveColumns(rows, columns) {
+    if (Array.isArray(columns) && columns.length > 0) {
+        return columns.map(column => {
+            const spec = typeof column === 'string' ? { field: column } : column;
+            if (!spec || typeof spec.field !== 'string' || !spec.field) {
+                throw new Error(`Invalid export column ${JSON.stringify(column)}: use a field name or { "field": ..., "header": ... }`);
+            }
+            return { field: spec.field, header: spec.header || spec.field };
+        });
+    }
+
+    const fields = new Set();
+    rows.forEach(row => Object.keys(row).forEach(field => fields.add(field)));
+    return [...fields].map(field => ({ field, header: field }));
+}
 
 /**
  * Converts JSON review data to CSV format
  * @param {Array} reviews - Array of review objects
+ * @param {Object} options - CSV options
+ * @param {Array<string|Object>} options.columns - Columns to export, in order (default: every field, see resolveColumns)
+ * @param {string} options.delimiter - Field delimiter (default: ",")
+ * @param {boolean} options.bom - Start with a UTF-8 byte order mark, so Excel detects the encoding
  * @returns {string} CSV formatted string
  */
-function convertToCSV(reviews) {
+function convertToCSV(reviews, { columns, delimiter = ',', bom = false } = {}) {
     if (!Array.isArray(reviews) || reviews.length === 0) {
         return '';
     }
 
-    const headers = Object.keys(reviews[0]);
-    const csvRows = reviews.map(review =>
-        headers.map(field => {
-            const value = review[field] != null ? String(review[field]) : '';
-            // Escape quotes and wrap in quotes to handle commas and newlines
+    const rows = reviews.map(review => flattenRecord(review));
+    const resolvedColumns = resolveColumns(rows, columns);
+    // Headers are only quoted when they need it
+    const headers = resolvedColumns.map(({ header }) =>
+        header.includes(delimiter) || /["\r\n]/.test(header) ? `"${header.replace(/"/g, '""')}"` : header
+    );
+    const csvRows = rows.map(row =>
+        resolvedColumns.map(({ field }) => {
+            const value = row[field] != null ? String(row[field]) : '';
+            // Escape quotes and wrap in quotes to handle delimiters and newlines
             return `"${value.replace(/"/g, '""')}"`;
-        }).join(',')
+        }).join(delimiter)
     );
 
-    return [headers.join(','), ...csvRows].join('\n');
+    return (bom ? '\uFEFF' : '') + [headers.join(delimiter), ...csvRows].join('\n');
+}
+
+/**
+ * Converts a flattened value to an XLSX cell value: ISO dates become dates,
+ * numbers and booleans keep their type
+ * @param {*} value - Flattened value
+ * @returns {*} Cell value
+ */
+function toCellValue(value) {
+    if (value == null) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)) {
+        const date = new Date(value.length === 10 ? `${value}T00:00:00Z` : value);
+        if (!Number.isNaN(date.getTime())) return date;
+    }
+    return value;
+}
+
+/**
+ * Builds a sheet name Excel accepts and that isn't used yet
+ * @param {string} name - Wanted name
+ * @param {Set<string>} used - Names already used (lower case, as Excel compares them)
+ * @returns {string} Sheet name
+ */
+function toSheetName(name, used) {
+    const base = (name.replace(XLSX_SHEET_NAME_INVALID, ' ').replace(/\s+/g, ' ').trim() || 'Reviews')
+        .slice(0, XLSX_SHEET_NAME_LENGTH);
+    let sheetName = base;
+    for (let index = 2; used.has(sheetName.toLowerCase()); index++) {
+        const suffix = ` (${index})`;
+        sheetName = base.slice(0, XLSX_SHEET_NAME_LENGTH - suffix.length).trimEnd() + suffix;
+    }
+    used.add(sheetName.toLowerCase());
+    return sheetName;
+}
+
+/**
+ * Fills a worksheet with a bold, frozen header row and typed cells. Columns with
+ * long or multi-line text are wide and wrapped, dates get a date format
+ * @param {Object} worksheet - ExcelJS worksheet
+ * @param {Array<Object>} columns - [{ field, header }]
+ * @param {Array<Object>} rows - Flattened records
+ */
+function fillWorksheet(worksheet, columns, rows) {
+    worksheet.columns = columns.map(({ field, header }) => ({ key: field, header }));
+    rows.forEach(row => {
+        const values = {};
+        columns.forEach(({ field }) => { values[field] = toCellValue(row[field]); });
+        worksheet.addRow(values);
+    });
+
+    columns.forEach(({ field, header }) => {
+        const column = worksheet.getColumn(field);
+        const texts = rows.map(row => (row[field] == null ? '' : String(row[field])));
+        const longest = Math.max(header.length, ...texts.map(text => text.length));
+        const wrap = longest > XLSX_WRAP_LENGTH || texts.some(text => text.includes('\n'));
+        const hasTime = texts.some(text => /T\d{2}:\d{2}/.test(text));
+
+        column.width = wrap ? XLSX_WRAP_LENGTH : Math.max(10, longest + 2);
+        column.eachCell({ includeEmpty: false }, (cell, rowNumber) => {
+            if (rowNumber === 1) return;
+            if (cell.value instanceof Date) cell.numFmt = hasTime ? 'yyyy-mm-dd hh:mm' : 'yyyy-mm-dd';
+            if (wrap) cell.alignment = { wrapText: true, vertical: 'top' };
+        });
+    });
+
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+}
+
+/**
+ * Converts review data to an Excel workbook: a summary sheet with one row per
+ * source, then one sheet of reviews per source (named after product and review site)
+ * @param {Array<Object>} sources - Scraper outputs, one per product/platform
+ * @param {Object} options - XLSX options
+ * @param {Array<string|Object>} options.columns - Review columns to export, in order (see resolveColumns)
+ * @returns {Promise<Buffer>} XLSX file contents
+ */
+async function convertToXLSX(sources, { columns } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+    const summary = workbook.addWorksheet('Summary');
+    const used = new Set([summary.name.toLowerCase()]);
+
+    const summaryRows = sources.map(source => {
+        const reviews = source.allReviews || [];
+        const dates = reviews.map(review => review.reviewDate).filter(Boolean).sort();
+        const sheetName = toSheetName(`${source.productName || 'Unknown'} - ${source.reviewSite || source.platform || ''}`, used);
+
+        const rows = reviews.map(review => flattenRecord(review));
+        fillWorksheet(workbook.addWorksheet(sheetName), resolveColumns(rows, columns), rows);
+
+        return {
+            sheet: sheetName,
+            productName: source.productName,
+            reviewSite: source.reviewSite,
+            stars: source.stars,
+            totalReviews: source.totalReviews,
+            scrapedReviews: reviews.length,
+            oldestReview: dates[0],
+            newestReview: dates[dates.length - 1],
+            scrapedAt: source.scrapedAt,
+            sourceUrl: source.sourceUrl
+        };
+    });
+
+    fillWorksheet(summary, [
+        { field: 'sheet', header: 'Sheet' },
+        { field: 'productName', header: 'Product' },
+        { field: 'reviewSite', header: 'Review site' },
+        { field: 'stars', header: 'Rating' },
+        { field: 'totalReviews', header: 'Total reviews' },
+        { field: 'scrapedReviews', header: 'Scraped reviews' },
+        { field: 'oldestReview', header: 'Oldest review' },
+        { field: 'newestReview', header: 'Newest review' },
+        { field: 'scrapedAt', header: 'Scraped at' },
+        { field: 'sourceUrl', header: 'Source URL' }
+    ], summaryRows);
+
+    return workbook.xlsx.writeBuffer();
+}
+
+/**
+ * Merges the products into one export whose reviews carry their product's
+ * name, review site and scrape time (the review itself has platform and sourceUrl)
+ * @param {Array<Object>} products - [{ files, data, duplicates }] from mergeOutputs
+ * @returns {Object} { files, data: { allReviews }, sources: the products' data, duplicates }
+ */
+function combineProducts(products) {
+    const allReviews = [];
+    products.forEach(({ data }) => {
+        data.allReviews.forEach(review => {
+            const context = {};
+            PRODUCT_COLUMNS.forEach(column => { context[column] = data[column]; });
+            allReviews.push({ ...context, ...review });
+        });
+    });
+
+    return {
+        files: products.flatMap(product => product.files),
+        data: { allReviews },
+        sources: products.map(({ data }) => data),
+        duplicates: products.reduce((sum, product) => sum + product.duplicates, 0)
+    };
+}
+
+/**
+ * Generates a clean filename from the original JSON filename
+ * @param {string} jsonFilename - Original JSON filename
+ * @param {string} extension - Extension of the exported file
+ * @returns {string} Clean filename
+ */
+function generateExportFilename(jsonFilename, extension) {
+    // Remove timestamp and .json/.ndjson extension, then add the export extension
+    return jsonFilename
+        .replace(/_\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z(\.(nd)?json)$/, '$1')
+        .replace(/\.(nd)?json$/, extension);
 }
 
 /**
@@ -29,97 +256,153 @@ function convertToCSV(reviews) {
  * @returns {string} Clean CSV filename
  */
 function generateCSVFilename(jsonFilename) {
-    // Remove timestamp and .json extension, then add .csv
-    const cleanName = jsonFilename
-        .replace(/_\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.json$/, '.csv')
-        .replace(/\.json$/, '.csv');
-    return cleanName;
+    return generateExportFilename(jsonFilename, '.csv');
 }
 
 /**
- * Main export function
+ * Export formats: file extension and converter from merged product data to file content.
+ * Formats marked combined always write one file for all sources (see combineProducts)
  */
-function main() {
-    console.log('🔄 Starting CSV export process...');
+const EXPORT_FORMATS = {
+    csv: { extension: '.csv', convert: (data, settings) => convertToCSV(data.allReviews, settings) },
+    json: { extension: '.json', convert: (data) => JSON.stringify(data, null, 2) },
+    xlsx: { extension: '.xlsx', combined: true, convert: (data, settings, sources) => convertToXLSX(sources, settings) }
+};
+
+/**
+ * Main export function. Settings not given as options are taken from the
+ * "export" section of scraper.config.json
+ * @param {Object} options - Export options
+ * @param {string} options.inputDir - Directory of the scraper's JSON results (default: ./output)
+ * @param {string} options.outputDir - Directory for the exported files (default: ./csv_output)
+ * @param {string} options.format - Export format, a key of EXPORT_FORMATS (default: "csv")
+ * @param {boolean} options.combined - Export every source into one file (all_reviews.<ext>) with product columns;
+ *                                      XLSX exports are always one workbook with a sheet per source
+ * @param {Array<string|Object>} options.columns - CSV columns to export, in order (see resolveColumns)
+ * @param {string} options.delimiter - CSV field delimiter (default: ",")
+ * @param {boolean} options.bom - Start CSV files with a UTF-8 byte order mark
+ * @param {boolean} options.dryRun - Only print what would be exported
+ * @param {string} options.logLevel - Progress logging during the export: quiet, normal or verbose (see utils/logger.js)
+ * @returns {Promise<Object>} { exported, failed, files } - files are the exported file paths
+ */
+async function main(options = {}) {
+    const previousLogLevel = logger.setLogLevel(options.logLevel || logger.getLogLevel());
+    try {
+        return await exportReviews(options);
+    } finally {
+        logger.setLogLevel(previousLogLevel);
+    }
+}
+
+/**
+ * Exports the results with the options of main()
+ * @param {Object} options - Export options (see main)
+ * @returns {Promise<Object>} { exported, failed, files }
+ */
+async function exportReviews(options) {
+    const settings = { ...(loadConfig().export || {}) };
+    ['format', 'combined', 'columns', 'delimiter', 'bom'].forEach(option => {
+        if (options[option] !== undefined) settings[option] = options[option];
+    });
+
+    const format = settings.format || 'csv';
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) {
+        throw new Error(`Unknown export format "${format}". Supported: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    if (settings.delimiter !== undefined && (typeof settings.delimiter !== 'string' || settings.delimiter.length !== 1 || /["\r\n]/.test(settings.delimiter))) {
+        throw new Error(`Invalid CSV delimiter ${JSON.stringify(settings.delimiter)}: use a single character other than a quote or newline`);
+    }
+
+    logger.info(`🔄 Starting ${format.toUpperCase()} export process...`);
 
     // Setup directories
-    const inputDir = path.join(__dirname, 'output');
-    const outputDir = path.join(__dirname, 'csv_output');
+    const inputDir = options.inputDir || path.join(__dirname, 'output');
+    const outputDir = options.outputDir || path.join(__dirname, 'csv_output');
+    const summary = { exported: 0, failed: 0, files: [] };
 
     if (!fs.existsSync(inputDir)) {
-        console.error('❌ Input directory not found: output/');
-        console.error('Please run the scraper first to generate JSON files.');
-        process.exit(1);
+        throw new Error(`Input directory not found: ${inputDir}. Please run the scraper first to generate JSON files.`);
     }
 
-    if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir);
-        console.log('📁 Created csv_output directory');
+    if (!options.dryRun && !fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+        logger.info(`📁 Created ${outputDir} directory`);
     }
 
-    // Get all JSON files
-    const files = fs.readdirSync(inputDir).filter(f => f.endsWith('.json'));
+    // Outputs of the same source from different runs are merged and deduplicated
+    const outputs = readOutputFiles(inputDir);
 
-    if (files.length === 0) {
+    if (outputs.length === 0) {
         console.warn('⚠️ No JSON files found in output directory');
-        return;
+        return summary;
     }
 
-    console.log(`📋 Found ${files.length} JSON file(s) to export`);
+    const merged = mergeOutputs(outputs);
+    logger.info(`📋 Found ${outputs.length} JSON file(s) from ${merged.length} source(s) to export`);
+    const combined = Boolean(settings.combined || exporter.combined);
+    const products = combined ? [combineProducts(merged)] : merged;
 
-    let successCount = 0;
-    let errorCount = 0;
+    // Process each source
+    for (const [index, { files, data, sources, duplicates }] of products.entries()) {
+        logger.info(`\n📄 Processing ${index + 1}/${products.length}: ${files.join(', ')}`);
 
-    // Process each file
-    files.forEach((file, index) => {
-        console.log(`\n📄 Processing ${index + 1}/${files.length}: ${file}`);
-        
-        const inputPath = path.join(inputDir, file);
-        const csvFilename = generateCSVFilename(file);
-        const outputPath = path.join(outputDir, csvFilename);
+        const exportFilename = combined
+            ? `${COMBINED_FILENAME}${exporter.extension}`
+            : generateExportFilename(files[0], exporter.extension);
+        const outputPath = path.join(outputDir, exportFilename);
 
         try {
-            // Read and parse JSON
-            const rawData = fs.readFileSync(inputPath, 'utf8');
-            const data = JSON.parse(rawData);
-
-            if (!data.allReviews || !Array.isArray(data.allReviews)) {
-                console.warn(`⚠️ No 'allReviews' array found in ${file}. Skipping.`);
-                return;
-            }
-
             if (data.allReviews.length === 0) {
-                console.warn(`⚠️ No reviews found in ${file}. Skipping.`);
-                return;
+                console.warn(`⚠️ No reviews found in ${files.join(', ')}. Skipping.`);
+                continue;
+            }
+            if (duplicates > 0) {
+                logger.info(`🧹 Skipped ${duplicates} review(s) already present in a newer output`);
+            }
+            if (options.dryRun) {
+                console.log(`🧪 Would export ${data.allReviews.length} reviews to ${outputPath}`);
+                continue;
             }
 
-            // Convert to CSV
-            const csvContent = convertToCSV(data.allReviews);
-            
-            // Write CSV file
-            fs.writeFileSync(outputPath, csvContent, 'utf8');
+            // Convert and write the file (text formats as UTF-8, workbooks as binary)
+            fs.writeFileSync(outputPath, await exporter.convert(data, settings, sources), 'utf8');
             
-            console.log(`✅ Exported ${data.allReviews.length} reviews to ${csvFilename}`);
-            successCount++;
+            console.log(`✅ Exported ${data.allReviews.length} reviews to ${exportFilename}`);
+            summary.exported++;
+            summary.files.push(outputPath);
 
         } catch (error) {
-            console.error(`❌ Error processing ${file}:`, error.message);
-            errorCount++;
+            console.error(`❌ Error processing ${files.join(', ')}:`, error.message);
+            summary.failed++;
         }
-    });
+    }
 
     // Summary
     console.log(`\n📊 Export Summary:`);
-    console.log(`✅ Successfully exported: ${successCount} files`);
-    if (errorCount > 0) {
-        console.log(`❌ Failed exports: ${errorCount} files`);
+    console.log(`✅ Successfully exported: ${summary.exported} files`);
+    if (summary.failed > 0) {
+        console.log(`❌ Failed exports: ${summary.failed} files`);
     }
-    console.log(`📁 CSV files saved to: csv_output/`);
+    console.log(`📁 ${format.toUpperCase()} files saved to: ${outputDir}`);
+    return summary;
 }
 
-// Run if called directly
+module.exports = {
+    main,
+    convertToCSV,
+    convertToXLSX,
+    flattenRecord,
+    resolveColumns,
+    combineProducts,
+    generateCSVFilename,
+    generateExportFilename,
+    EXPORT_FORMATS
+};
+
+// Running this file directly is the same as "node cli.js export" (after the exports, which cli.js requires)
 if (require.main === module) {
-    main();
+    require('./cli').run(['export', ...process.argv.slice(2)]).then(code => {
+        process.exitCode = code;
+    });
 }
-
-module.exports = { main, convertToCSV, generateCSVFilename };
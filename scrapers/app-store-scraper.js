@@ -0,0 +1,224 @@
+const { isReviewInDateRange, delay, resolveLimit } = require("../utils/common");
+const { normalizeDate } = require("../utils/dates");
+const { fetchPage, assertSuccess } = require("../utils/http");
+const { runPageHooks } = require("../utils/page-hooks");
+const { getCheckpointReviewCount } = require("../utils/checkpoints");
+const logger = require("../utils/logger");
+
+// Apple's customer reviews feed serves at most 10 pages of 50 reviews per country
+const APP_STORE_MAX_PAGES = 10;
+
+/**
+ * Reads the app ID and store country of an App Store URL,
+ * e.g. https://apps.apple.com/us/app/slack/id618783545
+ * @param {string} url - App Store URL
+ * @returns {Object|null} { appId, country } or null when the URL has no app ID
+ */
+function parseAppStoreUrl(url) {
+    const { pathname } = new URL(url);
+    const idMatch = pathname.match(/\/id(\d+)/);
+    if (!idMatch) return null;
+
+    const countryMatch = pathname.match(/^\/([a-z]{2})\//i);
+    return { appId: idMatch[1], country: countryMatch ? countryMatch[1].toLowerCase() : 'us' };
+}
+
+/**
+ * Reads a "label" field of the feed (the feed wraps every value as { label })
+ * @param {Object} field - Feed field
+ * @returns {string} The value, or "" when missing
+ */
+function label(field) {
+    return field && field.label !== undefined ? String(field.label) : "";
+}
+
+/**
+ * Parses one page of the customer reviews feed (JSON)
+ * @param {string} body - Response body
+ * @param {string} country - Store country of the feed
+ * @returns {Object} { productName, reviews } or { error }
+ */
+function parseReviewsFeed_AppStore(body, country) {
+    try {
+        const feed = JSON.parse(body).feed || {};
+        const entries = [].concat(feed.entry || []);
+
+        // Older feeds start page 1 with an entry describing the app itself
+        const appEntry = entries.find(entry => entry['im:name']);
+        const reviews = entries
+            .filter(entry => entry['im:rating'])
+            .map(entry => ({
+                reviewerName: label(entry.author && entry.author.name),
+                jobTitle: "", // App Store reviews don't have job titles
+                reviewDate: label(entry.updated),
+                stars: label(entry['im:rating']),
+                reviewTitle: label(entry.title),
+                reviewText: label(entry.content),
+                reviewId: label(entry.id),
+                appVersion: label(entry['im:version']),
+                usefulCount: entry['im:voteSum'] ? Number(label(entry['im:voteSum'])) : null,
+                country
+            }));
+
+        return { productName: appEntry ? label(appEntry['im:name']) : "", reviews };
+    } catch (error) {
+        return { error };
+    }
+}
+
+/**
+ * Fetches the app's name, average rating and rating count from the iTunes lookup API
+ * @param {string} appId - App ID
+ * @param {string} country - Store country
+ * @param {Object} options - { fetch: options for fetchPage }
+ * @returns {Promise<Object>} { productName, reviewSite, stars, totalReviews } - empty values when the lookup fails
+ */
+async function fetchAppInfo_AppStore(appId, country, options = {}) {
+    const info = { productName: "", reviewSite: "App Store", stars: "", totalReviews: "" };
+
+    try {
+        const url = `https://itunes.apple.com/lookup?id=${appId}&country=${country}`;
+        const response = assertSuccess(await fetchPage(url, options.fetch));
+        const [app] = JSON.parse(response.body).results || [];
+        if (app) {
+            info.productName = app.trackName || "";
+            info.stars = app.averageUserRating != null ? String(app.averageUserRating) : "";
+            info.totalReviews = app.userRatingCount != null ? String(app.userRatingCount) : "";
+        }
+    } catch (error) {
+        console.warn(`⚠️ Could not look up App Store app ${appId}: ${error.message}`);
+    }
+    return info;
+}
+
+/**
+ * Fetches and parses one page of the reviews feed, retrying when it fails
+ * @param {string} url - Feed URL
+ * @param {number} page - Page number, for logging
+ * @param {string} country - Store country
+ * @param {Object} options - { fetch: options for fetchPage }
+ * @returns {Object|null} { productName, reviews } or null when the page could not be fetched
+ */
+async function fetchReviewsPage_AppStore(url, page, country, options = {}) {
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        try {
+            const response = assertSuccess(await fetchPage(url, options.fetch));
+            const parsed = parseReviewsFeed_AppStore(response.body, country);
+            if (!parsed.error) return parsed;
+            console.error(`Error parsing App Store page ${page} attempt ${attempt}:`, parsed.error.message);
+        } catch (error) {
+            console.error(`Attempt ${attempt} for page ${page} failed:`, error.message);
+            // Past the last page the feed answers 400/404 - retrying won't help
+            if (error.status === 400 || error.status === 404) return { productName: "", reviews: [] };
+        }
+        if (attempt < 3) await delay(5000);
+    }
+    return null;
+}
+
+/**
+ * Scrapes App Store reviews of one country within the date range, newest first
+ * @param {string} appUrl - App Store URL of the app
+ * @param {string} startDate - Start date for filtering
+ * @param {string} endDate - End date for filtering
+ * @param {Object} options - { fetch: options for fetchPage, dates: { unknownDates, now } for date filtering,
+ *                           pageHooks: hooks run on each page's reviews (see utils/page-hooks.js),
+ *                           resume: checkpoint to continue from (see utils/checkpoints.js),
+ *                           country: store country (default: the URL's, else "us"),
+ *                           maxPages: maximum pages to fetch (the feed has at most 10) }
+ * @returns {Object|null} Scraped review data, or null when the URL or first page can't be read
+ */
+async function scrapeReviews_AppStore(appUrl, startDate, endDate, options = {}) {
+    const app = parseAppStoreUrl(appUrl);
+    if (!app) {
+        console.error(`❌ No app ID (id<digits>) in App Store URL ${appUrl}`);
+        return null;
+    }
+    const country = (options.country || app.country).toLowerCase();
+    const maxPages = Math.min(options.maxPages || Infinity, APP_STORE_MAX_PAGES);
+
+    // A resumed scrape continues after the last checkpointed page (see utils/checkpoints.js)
+    const { resume } = options;
+    let page = resume ? resume.cursor.page : 1;
+    let filteredReviews = resume ? [...resume.reviews] : [];
+    // The page hooks may stream the reviews to an output instead of passing them back
+    let collected = resume ? getCheckpointReviewCount(resume) : 0;
+    let productInfo = resume ? resume.product : await fetchAppInfo_AppStore(app.appId, country, options);
+    const start = normalizeDate(startDate).date;
+
+    logger.info(`Starting to scrape ${appUrl} (App Store, ${country.toUpperCase()})`);
+
+    while (page <= maxPages) {
+        const url = `https://itunes.apple.com/${country}/rss/customerreviews/page=${page}/id=${app.appId}/sortby=mostrecent/json`;
+        logger.info(`App Store page ${page}: ${url}`);
+
+        const parsed = await fetchReviewsPage_AppStore(url, page, country, options);
+        if (!parsed) {
+            if (page === 1) return null;
+            logger.info(`Could not fetch page ${page}, stopping scrape.`);
+            break;
+        }
+        if (!productInfo.productName && parsed.productName) {
+            productInfo = { ...productInfo, productName: parsed.productName };
+        }
+
+        const pageReviews = parsed.reviews;
+        if (pageReviews.length === 0) {
+            logger.info(`No reviews found on page ${page}, stopping scrape.`);
+            break;
+        }
+
+        const pageFilteredReviews = pageReviews.filter(review =>
+            isReviewInDateRange(review.reviewDate, startDate, endDate, options.dates)
+        );
+        logger.info(`Found ${pageReviews.length} reviews on page ${page}, ${pageFilteredReviews.length} within date range`);
+
+        collected += pageFilteredReviews.length;
+        const pageHooks = await runPageHooks(options.pageHooks, { url, page, product: productInfo, reviews: pageFilteredReviews });
+        filteredReviews = filteredReviews.concat(pageHooks.reviews);
+        if (pageHooks.stop) break;
+
+        // Stop if the oldest review on the page is before start date
+        const lastReviewDate = normalizeDate(pageReviews[pageReviews.length - 1].reviewDate, options.dates).date;
+        if (start && lastReviewDate && lastReviewDate < start) {
+            logger.info(`Reached reviews older than ${startDate}, stopping.`);
+            break;
+        }
+
+        page++;
+    }
+
+    logger.info(`Collected ${collected} reviews within date range`);
+
+    return {
+        ...productInfo,
+        allReviews: filteredReviews,
+        totalScrapedReviews: filteredReviews.length
+    };
+}
+
+/**
+ * App Store scraper definition for the scraper registry
+ */
+const scraper = {
+    name: "appstore",
+    label: "App Store",
+    hostnames: ["apps.apple.com", "itunes.apple.com"],
+    // The lookup API and reviews feed are public JSON - no proxy needed, at a pace Apple tolerates
+    fetchDefaults: { provider: 'direct', requestsPerMinute: 20 },
+    scrape: (job) => scrapeReviews_AppStore(job.url, job.startDate, job.endDate, {
+        fetch: job.fetch,
+        dates: job.dates,
+        pageHooks: job.pageHooks,
+        resume: job.resume,
+        country: job.options.country,
+        maxPages: resolveLimit(job.options.maxPages)
+    })
+};
+
+module.exports = {
+    scraper,
+    scrapeReviews_AppStore,
+    parseAppStoreUrl,
+    parseReviewsFeed_AppStore
+};
@@ -1,75 +1,305 @@
 const cheerio = require("cheerio");
-const https = require('https');
-const { isReviewInDateRange, delay } = require("../utils/common");
-require('dotenv').config();
+const { generatePageUrl, isReviewInDateRange, delay } = require("../utils/common");
+const { normalizeDate } = require("../utils/dates");
+const { fetchPage, assertSuccess } = require("../utils/http");
+const { runPageHooks } = require("../utils/page-hooks");
+const { getCheckpointReviewCount } = require("../utils/checkpoints");
+const logger = require("../utils/logger");
 
 /**
- * ScrapeOps proxy bypass function for Capterra
- * @param {string} url - Original Capterra URL
- * @param {string} location - Country code (default: "us")
- * @returns {string} Proxied URL that bypasses Capterra's anti-bot measures
+ * Reads the product's total review count from the page, not from the cards on it:
+ * the JSON-LD aggregateRating, the header rating ("4.6 (1,234)") or a
+ * "Showing 1-25 of 1,234 reviews" line
+ * @param {Function} $ - Cheerio root of the page
+ * @returns {string} Total review count as printed, or "" when the page doesn't show it
  */
-function getScrapeOpsUrl(url, location = "us") {
-    const API_KEY = process.env.SCRAPEOPS_API_KEY;
-    
-    if (!API_KEY || API_KEY === 'your_scrapeops_api_key_here') {
-        console.warn(`⚠️ ScrapeOps API key not configured. Add SCRAPEOPS_API_KEY to .env file`);
-        return url; // Fallback to direct URL (will likely fail)
+function parseTotalReviews_Capterra($) {
+    let total = "";
+    $('script[type="application/ld+json"]').each((_, element) => {
+        if (total) return;
+        try {
+            const data = JSON.parse($(element).contents().text());
+            const items = Array.isArray(data) ? data : [data, ...(data['@graph'] || [])];
+            const rated = items.find(item => item && item.aggregateRating && item.aggregateRating.reviewCount);
+            if (rated) total = String(rated.aggregateRating.reviewCount);
+        } catch (error) {
+            // Not every JSON-LD block is valid JSON; the other sources are tried next
+        }
+    });
+    if (total) return total;
+
+    const headerRating = $(".hbasb1j + div .sr2r3oj, [data-testid='overall-rating']").first().text();
+    const headerMatch = headerRating.match(/\(([\d,.]+)\)/);
+    if (headerMatch) return headerMatch[1];
+
+    // Only the listing's own count line; other "N reviews" text on the page (related products, ratings) is not the total
+    const pageText = $('body').text().replace(/\s+/g, ' ');
+    const textMatch = pageText.match(/\bShowing\s+[\d,.]+\s*[-–]\s*[\d,.]+\s+of\s+([\d,.]+)\s+reviews\b/i);
+    return textMatch ? textMatch[1] : "";
+}
+
+/**
+ * Checks whether the page links to a next page of reviews
+ * @param {Function} $ - Cheerio root of the page
+ * @returns {boolean|null} Whether there is a next page, or null when the page has no pagination controls
+ */
+function hasNextPage_Capterra($) {
+    if ($('link[rel="next"]').length > 0) return true;
+
+    const next = $('[data-testid="pagination-next"], a[aria-label="Next"], button[aria-label="Next"], a[rel="next"]').first();
+    if (next.length === 0) return null;
+    return !(next.is('[disabled]') || next.attr('aria-disabled') === 'true');
+}
+
+/**
+ * Gartner Digital Markets sites sharing Capterra's review markup. Each becomes
+ * its own platform; sortParam is the query that lists reviews newest-first
+ * (sites without one are read in full and filtered by date)
+ */
+const CAPTERRA_SITES = {
+    capterra: {
+        name: "capterra",
+        label: "Capterra",
+        hostnames: [
+            "capterra.com", "capterra.co.uk", "capterra.ca", "capterra.com.au", "capterra.co.nz",
+            "capterra.in", "capterra.sg", "capterra.ie", "capterra.co.za", "capterra.ae",
+            "capterra.de", "capterra.at", "capterra.ch", "capterra.fr", "capterra.be",
+            "capterra.es", "capterra.mx", "capterra.com.br", "capterra.pt", "capterra.it",
+            "capterra.nl", "capterra.se", "capterra.dk", "capterra.jp"
+        ],
+        sortParam: "sort=most_recent"
+    },
+    getapp: {
+        name: "getapp",
+        label: "GetApp",
+        hostnames: ["getapp.com", "getapp.co.uk", "getapp.ca", "getapp.com.au", "getapp.de", "getapp.fr", "getapp.es", "getapp.com.br"],
+        sortParam: null
+    },
+    softwareadvice: {
+        name: "softwareadvice",
+        label: "Software Advice",
+        hostnames: ["softwareadvice.com", "softwareadvice.co.uk", "softwareadvice.ca", "softwareadvice.com.au", "softwareadvice.fr", "softwareadvice.es"],
+        sortParam: null
     }
-    
-    const params = new URLSearchParams({
-        api_key: API_KEY,
-        url: url,
-        country: location,
-        wait: '1000'
+};
+
+// Headings of the written sections of a review card and the record field each one fills
+const CAPTERRA_SECTIONS = [
+    { field: 'overall', pattern: /^(overall|comments?)$/i },
+    { field: 'pros', pattern: /^pros$/i },
+    { field: 'cons', pattern: /^cons$/i },
+    { field: 'reasonsForChoosing', pattern: /^reasons? for choosing\b/i },
+    { field: 'reasonsForSwitching', pattern: /^(reasons? for switching\b|switched from\b)/i }
+];
+
+// Labels of the sub-ratings and the top of their scale; a card usually shows only some of them
+const CAPTERRA_SUB_RATINGS = [
+    { field: 'easeOfUse', pattern: /^ease of use$/i, max: 5 },
+    { field: 'customerService', pattern: /^customer (service|support)$/i, max: 5 },
+    { field: 'features', pattern: /^(features|functionality)$/i, max: 5 },
+    { field: 'valueForMoney', pattern: /^value for money$/i, max: 5 },
+    { field: 'likelihoodToRecommend', pattern: /^likelihood to recommend$/i, max: 10 }
+];
+
+/**
+ * Checks whether an element only holds text (icons aside), i.e. can be a label
+ * @param {Object} element - Cheerio element
+ * @returns {boolean} Whether the element is a text leaf
+ */
+function isTextLeaf(element) {
+    return element.children().not('svg, img, i').length === 0;
+}
+
+/**
+ * Reads the written sections of a review card. A section is either a paragraph
+ * starting with its heading ("Pros: ...") or a heading followed by a paragraph
+ * @param {Function} $ - Cheerio root of the page
+ * @param {Object} card - Cheerio element of the review card
+ * @returns {Object} { overall, pros, cons, reasonsForChoosing, reasonsForSwitching, switchedFrom }
+ */
+function parseReviewSections_Capterra($, card) {
+    const sections = { overall: "", pros: "", cons: "", reasonsForChoosing: "", reasonsForSwitching: "", switchedFrom: "" };
+
+    const setSection = (label, text) => {
+        const heading = label.replace(/:\s*$/, '').trim();
+        const section = CAPTERRA_SECTIONS.find(({ pattern }) => pattern.test(heading));
+        if (!section || sections[section.field] || !text) return false;
+
+        sections[section.field] = text;
+        // "Switched from Asana" names the product the reviewer left
+        const switchedMatch = heading.match(/^switched from\s+(.+)$/i);
+        if (switchedMatch) sections.switchedFrom = switchedMatch[1].trim();
+        return true;
+    };
+
+    card.find('p').each((_, element) => {
+        const text = $(element).text().trim();
+        const colonIndex = text.indexOf(':');
+        if (colonIndex > 0) {
+            setSection(text.slice(0, colonIndex), text.slice(colonIndex + 1).trim());
+        }
     });
-    
-    const proxyUrl = `https://proxy.scrapeops.io/v1/?${params.toString()}`;
-    console.log(`🔄 Routing through ScrapeOps proxy: ${url.substring(0, 80)}...`);
-    return proxyUrl;
+
+    card.find('span, strong, b, h3, h4, h5, div').each((_, element) => {
+        const heading = $(element);
+        if (!isTextLeaf(heading)) return;
+        const content = heading.next('p').length ? heading.next('p') : heading.parent().next('p');
+        setSection(heading.text().trim(), content.text().trim());
+    });
+
+    return sections;
 }
 
 /**
- * Fetches content via HTTPS through ScrapeOps proxy
- * @param {string} url - URL to fetch
- * @returns {Promise<string>} HTML content
+ * Reads a score from a rating element: the accessible label of star icons
+ * ("4 out of 5 stars"), then the printed score ("4.0", "9/10")
+ * @param {Object} element - Cheerio element of the rating
+ * @param {number} max - Top of the rating's scale
+ * @returns {number|null} Score, or null when the element shows none within the scale
  */
-function fetchHtml(url) {
-    // Route through ScrapeOps proxy for Capterra
-    const proxyUrl = getScrapeOpsUrl(url, "us");
-    
-    return new Promise((resolve, reject) => {
-        https.get(proxyUrl, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                resolve(data);
-            });
-        }).on('error', (err) => {
-            reject(err);
-        });
+function readRatingScore_Capterra(element, max) {
+    const labelled = element.is('[aria-label]') ? element : element.find('[aria-label]').first();
+    const sources = [labelled.attr('aria-label'), element.text()];
+
+    for (const source of sources) {
+        const match = String(source || '').match(/(\d+(?:\.\d+)?)(?:\s*(?:\/|out of)\s*(\d+))?/i);
+        if (!match) continue;
+        const score = Number(match[1]);
+        const scale = match[2] ? Number(match[2]) : max;
+        return score >= 0 && score <= Math.min(scale, max) ? score : null;
+    }
+    return null;
+}
+
+/**
+ * Reads the sub-ratings of a review card. Each score is read from the rating
+ * element following its label, never from text elsewhere in the card
+ * @param {Function} $ - Cheerio root of the page
+ * @param {Object} card - Cheerio element of the review card
+ * @returns {Object} { easeOfUse, customerService, features, valueForMoney, likelihoodToRecommend } - null when not rated
+ */
+function parseSubRatings_Capterra($, card) {
+    const ratings = {};
+    CAPTERRA_SUB_RATINGS.forEach(({ field }) => { ratings[field] = null; });
+    const isLabel = element => CAPTERRA_SUB_RATINGS.some(({ pattern }) => pattern.test(element.text().trim()));
+
+    card.find('span, div, p, dt, td, li').each((_, element) => {
+        const label = $(element);
+        if (!isTextLeaf(label)) return;
+        const rating = CAPTERRA_SUB_RATINGS.find(({ pattern }) => pattern.test(label.text().trim()));
+        if (!rating || ratings[rating.field] !== null) return;
+
+        // The rating follows the label, or the label's wrapper when the label has no siblings
+        const ratingElement = label.next().length ? label.next() : label.parent().next();
+        if (!ratingElement.length || isLabel(ratingElement)) return;
+        ratings[rating.field] = readRatingScore_Capterra(ratingElement, rating.max);
     });
+
+    return ratings;
 }
 
 /**
- * Parses Capterra HTML content to extract review data
+ * Reads the reviewer's profile: job title, industry, company size and usage duration.
+ * The profile is printed as lines ("Name", "Job title", "Industry, 11-50 Employees",
+ * "Used the software for: 1-2 years"); when the lines run together they are split
+ * on well-known industries instead
+ * @param {Function} $ - Cheerio root of the page
+ * @param {Object} card - Cheerio element of the review card
+ * @param {string} reviewerName - Reviewer name, to skip in the profile lines
+ * @returns {Object} { jobTitle, industry, companySize, usageDuration }
+ */
+function parseReviewerProfile_Capterra($, card, reviewerName) {
+    const profile = { jobTitle: "", industry: "", companySize: "", usageDuration: "" };
+    const profileContainer = card.find("div.typo-10.text-neutral-90").first();
+    const fullProfileText = profileContainer.text().trim();
+    if (!fullProfileText) return profile;
+
+    const sizePattern = /,?\s*((?:\d[\d,]*\s*-\s*\d[\d,]*|\d[\d,]*\+)\s+employees|self-employed)\s*$/i;
+    const lines = (profileContainer.html() || '')
+        .split(/<br\s*\/?>|<\/div>|<\/span>/i)
+        .map(part => $('<div>').html(part).text().trim())
+        .filter(Boolean);
+
+    if (lines.length > 1) {
+        lines.forEach(line => {
+            const usageMatch = line.match(/^Used the software for:\s*(.+)$/i);
+            const sizeMatch = line.match(sizePattern);
+            if (usageMatch) {
+                profile.usageDuration = usageMatch[1].trim();
+            } else if (sizeMatch) {
+                profile.companySize = sizeMatch[1].trim();
+                profile.industry = line.slice(0, sizeMatch.index).trim();
+            } else if (line !== reviewerName && !/^Verified Reviewer$/i.test(line) && !profile.jobTitle) {
+                profile.jobTitle = line;
+            }
+        });
+        return profile;
+    }
+
+    // Extract usage duration first (it's more distinct)
+    const usageMatch = fullProfileText.match(/Used the software for:\s*([^$]+)/);
+    if (usageMatch) {
+        profile.usageDuration = usageMatch[1].trim();
+    }
+
+    // Remove the usage part to work with the rest
+    let remainingText = fullProfileText.replace(/Used the software for:.*$/, '').trim();
+    const sizeMatch = remainingText.match(sizePattern);
+    if (sizeMatch) {
+        profile.companySize = sizeMatch[1].trim();
+        remainingText = remainingText.slice(0, sizeMatch.index).trim();
+    }
+
+    // Pattern: "Name [Job Title] [Industry/Company]"
+    // Remove common name patterns (Name + Initial like "Miguel Ángel S.")
+    let cleanText = remainingText.replace(/^[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\s+[A-Z]\.\s*/, '');
+
+    // If no name pattern found, try removing "Verified Reviewer"
+    if (cleanText === remainingText) {
+        cleanText = remainingText.replace(/^Verified Reviewer\s*/, '');
+    }
+
+    // Split by common industry keywords to separate job title from industry
+    const industryKeywords = [
+        'Computer Software', 'Information Technology', 'Technology and Services', 
+        'Marketing and Advertising', 'Food & Beverages', 'Real Estate',
+        'Mechanical or Industrial Engineering', 'Financial Services', 'Insurance',
+        'Software', 'Technology', 'Services', 'Engineering', 'Estate', 
+        'Beverages', 'Marketing', 'Advertising', 'Financial'
+    ];
+
+    const keyword = industryKeywords.find(candidate => cleanText.indexOf(candidate) > 0);
+    if (keyword) {
+        const keywordIndex = cleanText.indexOf(keyword);
+        profile.jobTitle = cleanText.substring(0, keywordIndex).trim();
+        profile.industry = cleanText.substring(keywordIndex).trim();
+    } else {
+        // If no industry keyword found, assume it's all job title
+        profile.jobTitle = cleanText.trim();
+    }
+
+    // Clean up job title - remove trailing company info
+    profile.jobTitle = profile.jobTitle.replace(/\s*(Computer|Information|Technology|Marketing|Real|Food|Financial|Mechanical).*$/, '').trim();
+    return profile;
+}
+
+/**
+ * Parses Capterra HTML content to extract review data. GetApp and Software Advice
+ * pages use the same markup and are parsed here as well
  * @param {string} html - HTML content to parse
+ * @param {Object} site - Site the page comes from (see CAPTERRA_SITES, default: Capterra)
  * @returns {Object} Parsed product data
  */
-function parsedDataFromHTML_Capterra(html) {
+function parsedDataFromHTML_Capterra(html, site = CAPTERRA_SITES.capterra) {
     try {
-        // Debug: Check if we got a JSON error response instead of HTML
+        // ScrapeOps answers with a JSON error body instead of HTML when it gives up
         if (html.startsWith('{') && html.includes('"status"')) {
             console.error(`❌ ScrapeOps error response: ${html}`);
             return {
                 error: `ScrapeOps failed: ${html}`,
                 productData: {
                     productName: "",
-                    reviewSite: "Capterra",
+                    reviewSite: site.label,
                     stars: "",
                     totalReviews: "",
                     allReviews: [],
@@ -80,7 +310,7 @@ function parsedDataFromHTML_Capterra(html) {
         const $ = cheerio.load(html);
         const productData = {
             productName: "",
-            reviewSite: "Capterra",
+            reviewSite: site.label,
             stars: "",
             totalReviews: "",
             allReviews: [],
@@ -101,7 +331,6 @@ function parsedDataFromHTML_Capterra(html) {
                 // Extract just the product name from "Reviews of ProductName"
                 const cleanName = name.replace(/^Reviews\s+of\s+/i, '').trim();
                 productData.productName = cleanName;
-                console.log(`Debug: Found product name with selector: ${selector} = "${cleanName}"`);
                 break;
             }
         }
@@ -127,7 +356,6 @@ function parsedDataFromHTML_Capterra(html) {
                 }
                 if (stars) {
                     productData.stars = stars;
-                    console.log(`Debug: Found stars with selector: ${selector} = "${stars}"`);
                     break;
                 }
             }
@@ -144,185 +372,73 @@ function parsedDataFromHTML_Capterra(html) {
         ];
         
         let reviewCards = $();
-        let usedSelector = '';
-        
         for (const selector of reviewSelectors) {
             reviewCards = $(selector);
-            if (reviewCards.length > 0) {
-                usedSelector = selector;
-                break;
-            }
+            if (reviewCards.length > 0) break;
         }
 
         reviewCards.each((_, element) => {
-            const reviewerName = $(element)
+            const card = $(element);
+            const reviewerName = card
                 .find("span.typo-20.font-semibold")
                 .text()
                 .trim();
+            const profile = parseReviewerProfile_Capterra($, card, reviewerName);
+            const sections = parseReviewSections_Capterra($, card);
             
-            // Enhanced profile title extraction based on actual HTML structure  
-            const profileContainer = $(element).find("div.typo-10.text-neutral-90");
-            const fullProfileText = profileContainer.text().trim();
-            
-            console.log(`Debug: Full profile text: "${fullProfileText}"`);
-            
-            // Extract job title and industry separately by parsing the concatenated text
-            let jobTitle = "";
-            let industry = "";
-            let usageDuration = "";
-            
-            if (fullProfileText) {
-                console.log(`Debug: Full profile text: "${fullProfileText}"`);
-                
-                // Extract usage duration first (it's more distinct)
-                const usageMatch = fullProfileText.match(/Used the software for:\s*([^$]+)/);
-                if (usageMatch) {
-                    usageDuration = usageMatch[1].trim();
-                }
-                
-                // Remove the usage part to work with the rest
-                let remainingText = fullProfileText.replace(/Used the software for:.*$/, '').trim();
-                
-                // Simplified approach: extract everything between name and industry
-                // Pattern: "Name [Job Title] [Industry/Company]"
-                
-                // Remove common name patterns (Name + Initial like "Miguel Ángel S.")
-                let cleanText = remainingText.replace(/^[A-Z][a-z]+(?:\s+[A-Z][a-z]+)*\s+[A-Z]\.\s*/, '');
-                
-                // If no name pattern found, try removing "Verified Reviewer"
-                if (cleanText === remainingText) {
-                    cleanText = remainingText.replace(/^Verified Reviewer\s*/, '');
-                }
-                
-                // Split by common industry keywords to separate job title from industry
-                const industryKeywords = [
-                    'Computer Software', 'Information Technology', 'Technology and Services', 
-                    'Marketing and Advertising', 'Food & Beverages', 'Real Estate',
-                    'Mechanical or Industrial Engineering', 'Financial Services', 'Insurance',
-                    'Software', 'Technology', 'Services', 'Engineering', 'Estate', 
-                    'Beverages', 'Marketing', 'Advertising', 'Financial'
-                ];
-                
-                let foundSplit = false;
-                for (const keyword of industryKeywords) {
-                    const keywordIndex = cleanText.indexOf(keyword);
-                    if (keywordIndex > 0) {
-                        jobTitle = cleanText.substring(0, keywordIndex).trim();
-                        industry = cleanText.substring(keywordIndex).trim();
-                        foundSplit = true;
-                        break;
-                    }
-                }
-                
-                // If no industry keyword found, assume it's all job title
-                if (!foundSplit && cleanText) {
-                    jobTitle = cleanText.trim();
-                    industry = "";
-                }
-                
-                // Clean up job title - remove trailing company info
-                jobTitle = jobTitle.replace(/\s*(Computer|Information|Technology|Marketing|Real|Food|Financial|Mechanical).*$/, '').trim();
-            }
-            
-            console.log(`Debug: Parsed - Job: "${jobTitle}", Industry: "${industry}", Usage: "${usageDuration}"`);
-            
-            const stars = $(element)
+            const stars = card
                 .find("span.sr2r3oj")
                 .first()
                 .text()
                 .trim();
             
-            const reviewDate = $(element)
+            const reviewDate = card
                 .find("div.typo-0.text-neutral-90")
                 .text()
                 .trim();
             
-            // Enhanced review text extraction
+            // Cards without an "Overall" section show the comment as a plain paragraph
             const reviewTextSelectors = [
                 "div[class*='mt-'] p",
                 ".review-text p",
                 "[data-testid='review-content'] p",
-                "p:contains('Comment')",
                 ".comment-text"
             ];
             
-            let reviewText = "";
+            let reviewText = sections.overall;
             for (const selector of reviewTextSelectors) {
-                const text = $(element).find(selector).text().trim();
-                if (text && !text.includes('Comments:') && !text.includes('Pros:') && !text.includes('Cons:')) {
-                    reviewText = text;
-                    break;
-                }
-            }
-            
-            // Enhanced pros extraction
-            const prosSelectors = [
-                "span:contains('Pros')",
-                "div:contains('Pros')",
-                "[data-testid='pros']",
-                ".pros-section"
-            ];
-            
-            let pros = "";
-            for (const selector of prosSelectors) {
-                const prosElement = $(element).find(selector);
-                if (prosElement.length) {
-                    // Try different ways to get pros content
-                    let prosText = prosElement.closest("div").next("p").text().trim();
-                    if (!prosText) {
-                        prosText = prosElement.parent().next("p").text().trim();
-                    }
-                    if (!prosText) {
-                        prosText = prosElement.siblings("p").text().trim();
-                    }
-                    if (prosText) {
-                        pros = prosText;
-                        break;
-                    }
-                }
-            }
-            
-            // Enhanced cons extraction
-            const consSelectors = [
-                "span:contains('Cons')",
-                "div:contains('Cons')",
-                "[data-testid='cons']",
-                ".cons-section"
-            ];
-            
-            let cons = "";
-            for (const selector of consSelectors) {
-                const consElement = $(element).find(selector);
-                if (consElement.length) {
-                    // Try different ways to get cons content
-                    let consText = consElement.closest("div").next("p").text().trim();
-                    if (!consText) {
-                        consText = consElement.parent().next("p").text().trim();
-                    }
-                    if (!consText) {
-                        consText = consElement.siblings("p").text().trim();
-                    }
-                    if (consText) {
-                        cons = consText;
-                        break;
-                    }
-                }
+                if (reviewText) break;
+                card.find(selector).each((_, paragraph) => {
+                    const text = $(paragraph).text().trim();
+                    const isSection = Object.values(sections).some(value => value && text.endsWith(value));
+                    if (!reviewText && text && !isSection) reviewText = text;
+                });
             }
 
             // Only add review if we have at least reviewer name or review text
             if (reviewerName || reviewText) {
                 productData.allReviews.push({
                     reviewerName,
-                    jobTitle,
+                    jobTitle: profile.jobTitle,
                     reviewDate,
                     stars,
                     reviewTitle: "", // Capterra doesn't have review titles
-                    reviewText
+                    reviewText,
+                    pros: sections.pros,
+                    cons: sections.cons,
+                    reasonsForChoosing: sections.reasonsForChoosing,
+                    reasonsForSwitching: sections.reasonsForSwitching,
+                    switchedFrom: sections.switchedFrom,
+                    ...parseSubRatings_Capterra($, card),
+                    industry: profile.industry,
+                    companySize: profile.companySize,
+                    usageDuration: profile.usageDuration
                 });
             }
         });
 
-        productData.totalReviews = productData.allReviews.length.toString();
+        productData.totalReviews = parseTotalReviews_Capterra($);
+        productData.hasNextPage = hasNextPage_Capterra($);
         return { productData };
     } catch (error) {
         return { error };
@@ -330,70 +446,144 @@ function parsedDataFromHTML_Capterra(html) {
 }
 
 /**
- * Scrapes and filters Capterra reviews
- * @param {Object} api - Crawlbase API instance
+ * Fetches and parses one Capterra reviews page, retrying when it fails or shows no reviews
+ * @param {string} url - Page URL
+ * @param {number} page - Page number, for logging
+ * @param {Object} options - { fetch: options for fetchPage, site: site the page comes from }
+ * @returns {Object|null} Parsed product data of the page, or null when it could not be fetched
+ */
+async function fetchReviewsPage_Capterra(url, page, options = {}) {
+    let productData = null;
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        try {
+            const response = assertSuccess(await fetchPage(url, options.fetch));
+            const parsedResult = parsedDataFromHTML_Capterra(response.body, options.site);
+
+            if (parsedResult.error) {
+                console.error(`Error parsing ${options.site.label} page ${page}:`, parsedResult.error);
+                continue;
+            }
+
+            productData = parsedResult.productData;
+            if (productData.allReviews.length > 0) break;
+
+            console.warn(`Attempt ${attempt} for page ${page} returned 0 reviews—retrying...`);
+            if (attempt < 3) await delay(5000);
+        } catch (fetchError) {
+            console.error(`Attempt ${attempt} for page ${page} failed:`, fetchError.message);
+            // A missing page means we ran past the last one - retrying won't help
+            if (fetchError.status === 404) break;
+            if (attempt < 3) await delay(5000);
+        }
+    }
+
+    return productData;
+}
+
+/**
+ * Scrapes and filters Capterra, GetApp or Software Advice reviews. Where the site
+ * can list reviews newest-first, pagination stops at the first page reaching
+ * reviews older than the start date
  * @param {string} baseUrl - Base URL to scrape
  * @param {string} startDate - Start date for filtering
  * @param {string} endDate - End date for filtering
+ * @param {Object} options - { fetch: options for fetchPage, dates: { unknownDates, now } for date filtering,
+ *                           pageHooks: hooks run on each page's reviews (see utils/page-hooks.js),
+ *                           resume: checkpoint to continue from (see utils/checkpoints.js),
+ *                           site: site to scrape (see CAPTERRA_SITES, default: Capterra) }
  * @returns {Object} Scraped and filtered review data
  */
-async function scrapeAndFilterReviews_Capterra(baseUrl, startDate, endDate) {
-    let allReviews = [];
-    let filteredReviews = [];
-    let productInfo = {};
+async function scrapeAndFilterReviews_Capterra(baseUrl, startDate, endDate, options = {}) {
+    const site = options.site || CAPTERRA_SITES.capterra;
+    const pageOptions = { ...options, site };
+    // A resumed scrape continues after the last checkpointed page (see utils/checkpoints.js)
+    const { resume } = options;
+    let page = resume ? resume.cursor.page : 1;
+    let filteredReviews = resume ? [...resume.reviews] : [];
+    // The page hooks may stream the reviews to an output instead of passing them back
+    let collected = resume ? getCheckpointReviewCount(resume) : 0;
+    let productInfo = resume ? resume.product : null;
+    let previousFirstReview = null;
+    const start = normalizeDate(startDate).date;
 
-    console.log(`Starting to scrape ${baseUrl} (Capterra)`);
+    // Newest reviews first, so older pages can be skipped
+    const sortedUrl = !site.sortParam || /[?&]sort=/.test(baseUrl)
+        ? baseUrl
+        : `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}${site.sortParam}`;
+
+    logger.info(`Starting to scrape ${baseUrl} (${site.label})`);
 
     try {
-        let parsedResult, response;
-
-        // Retry logic for failed requests
-        for (let attempt = 1; attempt <= 3; attempt++) {
-            try {
-                response = await fetchHtml(baseUrl);
-                parsedResult = parsedDataFromHTML_Capterra(response);
-
-                if (parsedResult.error) {
-                    console.error(`Error parsing Capterra page:`, parsedResult.error);
-                    if (attempt === 3) return null;
-                    continue;
-                }
+        while (true) {
+            const url = generatePageUrl(sortedUrl, page);
+            logger.info(`${site.label} page ${page}: ${url}`);
 
-                if (parsedResult.productData.allReviews.length > 0) break;
+            const productData = await fetchReviewsPage_Capterra(url, page, pageOptions);
+            if (!productData) {
+                if (page === 1) return null;
+                logger.info(`Could not fetch page ${page}, stopping scrape.`);
+                break;
+            }
 
-                console.warn(`Attempt ${attempt} returned 0 reviews—retrying...`);
-                await delay(5000);
-            } catch (fetchError) {
-                console.error(`Attempt ${attempt} failed:`, fetchError.message);
-                if (attempt === 3) throw fetchError;
-                await delay(5000);
+            // Capture header info on first page
+            if (!productInfo) {
+                productInfo = {
+                    // Clean product name by removing "Reviews" suffix
+                    productName: productData.productName.replace(/ Reviews$/i, ''),
+                    reviewSite: site.label,
+                    stars: productData.stars,
+                    totalReviews: productData.totalReviews
+                };
             }
-        }
 
-        // Clean product name by removing "Reviews" suffix
-        let cleanProductName = parsedResult.productData.productName.replace(/ Reviews$/i, '');
-        
-        productInfo = {
-            productName: cleanProductName,
-            reviewSite: "Capterra",
-            stars: parsedResult.productData.stars,
-            totalReviews: parsedResult.productData.totalReviews
-        };
+            const pageReviews = productData.allReviews;
+            if (pageReviews.length === 0) {
+                logger.info(`No reviews found on page ${page}, stopping scrape.`);
+                break;
+            }
+
+            // Some listings ignore an out-of-range page number and serve the last page again
+            const firstReview = `${pageReviews[0].reviewerName}|${pageReviews[0].reviewDate}|${pageReviews[0].reviewText}`;
+            if (firstReview === previousFirstReview) {
+                logger.info(`Page ${page} repeats the previous page, stopping scrape.`);
+                break;
+            }
+            previousFirstReview = firstReview;
 
-        allReviews = parsedResult.productData.allReviews;
+            // Filter reviews by date range
+            const pageFilteredReviews = pageReviews.filter(review =>
+                isReviewInDateRange(review.reviewDate, startDate, endDate, options.dates)
+            );
+            logger.info(`Found ${pageReviews.length} reviews on page ${page}, ${pageFilteredReviews.length} within date range`);
 
-        // Filter reviews by date range
-        filteredReviews = allReviews.filter(review =>
-            isReviewInDateRange(review.reviewDate, startDate, endDate)
-        );
+            collected += pageFilteredReviews.length;
+            const pageHooks = await runPageHooks(options.pageHooks, { url, page, product: productInfo, reviews: pageFilteredReviews });
+            filteredReviews = filteredReviews.concat(pageHooks.reviews);
+            if (pageHooks.stop) break;
 
-        console.log(`Found ${allReviews.length} total reviews, ${filteredReviews.length} within date range`);
+            // Stop if the oldest review on the page is before start date
+            const lastReviewDate = normalizeDate(pageReviews[pageReviews.length - 1].reviewDate, options.dates).date;
+            if (site.sortParam && start && lastReviewDate && lastReviewDate < start) {
+                logger.info(`Reached reviews older than ${startDate}, stopping.`);
+                break;
+            }
 
+            // The review total is informational only: pages end with the pagination controls or an empty page
+            if (productData.hasNextPage === false) {
+                logger.info(`No more ${site.label} pages.`);
+                break;
+            }
+
+            page++;
+        }
     } catch (error) {
-        console.error(`Failed to scrape Capterra reviews:`, error);
+        console.error(`Failed to scrape ${site.label} reviews:`, error);
         return null;
     }
 
+    logger.info(`Collected ${collected} reviews within date range`);
+
     return {
         ...productInfo,
         allReviews: filteredReviews,
@@ -401,7 +591,27 @@ async function scrapeAndFilterReviews_Capterra(baseUrl, startDate, endDate) {
     };
 }
 
+/**
+ * Scraper definitions for the scraper registry, one per site
+ */
+const scrapers = Object.values(CAPTERRA_SITES).map(site => ({
+    name: site.name,
+    label: site.label,
+    hostnames: site.hostnames,
+    fetchDefaults: { wait: 1000 },
+    // Only sites with a newest-first sort end incremental runs at the first known review
+    sortedByDate: Boolean(site.sortParam),
+    scrape: (job) => scrapeAndFilterReviews_Capterra(job.url, job.startDate, job.endDate, { fetch: job.fetch, dates: job.dates, pageHooks: job.pageHooks, resume: job.resume, site })
+}));
+const [scraper] = scrapers;
+
 module.exports = {
+    scraper,
+    scrapers,
+    CAPTERRA_SITES,
     scrapeAndFilterReviews_Capterra,
-    getScrapeOpsUrl
+    parsedDataFromHTML_Capterra,
+    parseTotalReviews_Capterra,
+    parseReviewSections_Capterra,
+    parseSubRatings_Capterra
 };
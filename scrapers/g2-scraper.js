@@ -1,55 +1,169 @@
 const cheerio = require("cheerio");
-const https = require('https');
-const { filterReviewsByDate, delay, isReviewInDateRange } = require("../utils/common");
-require('dotenv').config();
+const { delay, generatePageUrl, isReviewInDateRange, resolveLimit } = require("../utils/common");
+const { normalizeDate } = require("../utils/dates");
+const { fetchPage, assertSuccess } = require("../utils/http");
+const { runPageHooks } = require("../utils/page-hooks");
+const { getCheckpointReviewCount } = require("../utils/checkpoints");
+const logger = require("../utils/logger");
+
+// Company size segments as printed by G2, e.g. "Mid-Market(51-1000 emp.)"
+const G2_COMPANY_SIZE_PATTERN = /(Small-Business|Mid-Market|Enterprise)\s*\(([^)]*)\)/i;
+
+// Badge and label lines of the reviewer block that are not job title or industry
+const G2_BADGE_PATTERN = /^(Validated Reviewer|Verified Current User|Incentivized Review|Review source:|Invitation from|Organic|Current User|Business partner|Reviewer's Profile|.*\breview(er)?s?\b.*:)/i;
+
+// Labeled elements of the reviewer block; unlabeled blocks list job title, then industry
+const G2_JOB_TITLE_SELECTOR = '[data-testid="reviewer-job-title"], [itemprop="jobTitle"], [class*="job-title"]';
+const G2_INDUSTRY_SELECTOR = '[data-testid="reviewer-industry"], [class*="industry"]';
+
+// Badge elements shown next to the reviewer block
+const G2_BADGE_SELECTOR = '[data-testid*="badge"], [class*="badge"]';
 
 /**
- * Fetches content via HTTPS
- * @param {string} url - URL to fetch
- * @returns {Promise<string>} HTML content
+ * Finds the reviewer block of a G2 review card. A candidate holding the review
+ * body is the whole card rather than the reviewer block, and is skipped
+ * @param {Object} container - Cheerio element of the review card
+ * @returns {Object|null} Cheerio element of the reviewer block, or null when the card has none
  */
-function fetchHtml(url) {
-    return new Promise((resolve, reject) => {
-        https.get(url, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                resolve(data);
-            });
-        }).on('error', (err) => {
-            reject(err);
-        });
+function findReviewerBlock_G2(container) {
+    const candidates = [
+        container.find('[data-testid="reviewer-info"]').first(),
+        container.find('[itemprop="author"]').first().parent(),
+        container.find('[class*="reviewer"]').first()
+    ];
+    return candidates.find(block =>
+        block.length > 0 && !block.is(container) && block.find('[itemprop="reviewBody"]').length === 0
+    ) || null;
+}
+
+/**
+ * Lists the text of the innermost elements, one line per element
+ * @param {Function} $ - Cheerio root of the page
+ * @param {Object} elements - Cheerio elements to read
+ * @returns {Array<string>} Lines in page order, without duplicates
+ */
+function getLeafLines_G2($, elements) {
+    const lines = [];
+    elements.find('*').addBack().each((_, element) => {
+        if ($(element).children().length > 0) return;
+        const text = $(element).text().replace(/\s+/g, ' ').trim();
+        if (text && !lines.includes(text)) lines.push(text);
     });
+    return lines;
 }
 
 /**
- * ScrapeOps proxy bypass function - the key to G2 success!
- * Routes all requests through ScrapeOps proxy service to bypass G2's bot detection
- * @param {string} url - Original G2 URL
- * @param {string} location - Country code (default: "us")
- * @returns {string} Proxied URL that bypasses G2's anti-bot measures
+ * Extracts the reviewer metadata of a G2 review card: the reviewer block lists
+ * name, job title, industry and company size, and badges such as
+ * "Verified Current User", "Incentivized Review" and "Review source: Organic"
+ * are shown in or next to it. Only these elements are read, never the review
+ * itself; without a reviewer block the fields stay empty
+ * @param {Function} $ - Cheerio root of the page
+ * @param {Object} container - Cheerio element of the review card
+ * @returns {Object} { reviewerName, jobTitle, industry, companySegment, companySize, userRole,
+ *                     verifiedCurrentUser, validatedReviewer, incentivized, reviewSource }
  */
-function getScrapeOpsUrl(url, location = "us") {
-    const API_KEY = process.env.SCRAPEOPS_API_KEY;
-    
-    if (!API_KEY || API_KEY === 'your_scrapeops_api_key_here') {
-        console.warn(`⚠️ ScrapeOps API key not configured. Add SCRAPEOPS_API_KEY to .env file`);
-        return url; // Fallback to direct URL (will likely fail)
+function parseG2ReviewerMetadata($, container) {
+    const block = findReviewerBlock_G2(container);
+    const badges = container.find(G2_BADGE_SELECTOR).filter((_, element) =>
+        $(element).closest('[itemprop="reviewBody"]').length === 0
+    );
+
+    const author = container.find('[itemprop="author"]').first();
+    const authorName = author.find('[itemprop="name"]').first();
+    const reviewerName = authorName.text().trim() ||
+                        authorName.attr('content') ||
+                        author.attr('content') ||
+                        (block ? block.find('a, span, div').first().text().trim() : "");
+
+    const blockLines = block ? getLeafLines_G2($, block) : [];
+    const lines = [...blockLines, ...getLeafLines_G2($, badges).filter(line => !blockLines.includes(line))];
+
+    // "Review source: Organic" may be one element or a label followed by its value
+    const findLabeled = (pattern) => {
+        const index = lines.findIndex(line => pattern.test(line));
+        if (index === -1) return "";
+        const value = lines[index].replace(pattern, '').trim();
+        return value || (lines[index + 1] || "");
+    };
+    const sizeMatch = lines.map(line => line.match(G2_COMPANY_SIZE_PATTERN)).find(Boolean);
+
+    // Blocks that label their fields are read by label only, others by position: job title, then industry
+    const labeled = (selector) => block ? block.find(selector).first().text().replace(/\s+/g, ' ').trim() : "";
+    const hasLabels = Boolean(block) && block.find(`${G2_JOB_TITLE_SELECTOR}, ${G2_INDUSTRY_SELECTOR}`).length > 0;
+    const details = blockLines.filter(line =>
+        line !== reviewerName &&
+        !G2_COMPANY_SIZE_PATTERN.test(line) &&
+        !G2_BADGE_PATTERN.test(line) &&
+        !/^User Role/i.test(line)
+    );
+    const jobTitle = hasLabels ? labeled(G2_JOB_TITLE_SELECTOR) : (details[0] || "");
+    const industry = hasLabels ? labeled(G2_INDUSTRY_SELECTOR) : (details[1] || "");
+
+    const markers = $([...(block ? [block[0]] : []), ...badges.toArray()]);
+    const hasMarker = selector => markers.find(selector).addBack(selector).length > 0;
+
+    return {
+        reviewerName,
+        jobTitle,
+        industry,
+        companySegment: sizeMatch ? sizeMatch[1] : "",
+        companySize: sizeMatch ? sizeMatch[2].trim() : "",
+        userRole: findLabeled(/^User Role:?\s*/i),
+        verifiedCurrentUser: lines.some(line => /Verified Current User/i.test(line)),
+        validatedReviewer: lines.some(line => /Validated Reviewer/i.test(line)) || hasMarker('[class*="validated"]'),
+        incentivized: lines.some(line => /Incentivized Review/i.test(line)) || hasMarker('[class*="incentiv"]'),
+        reviewSource: findLabeled(/^Review source:?\s*/i)
+    };
+}
+
+// Elements G2 marks the questions of a review with, whatever the page language
+const G2_QUESTION_SELECTOR = 'h3, h4, h5, h6, [class*="question"], [data-testid*="question"]';
+
+/**
+ * Reads the questions of a G2 review and their answers from the markup: each
+ * question heading is followed by its answer, up to the next question. Leaf
+ * elements ending with a question mark count as headings when no heading tags are used
+ * @param {Function} $ - Cheerio root of the page
+ * @param {Object} reviewBody - Cheerio element of the review body (itemprop="reviewBody")
+ * @returns {Array<Object>} [{ question, answer }] in page order
+ */
+function parseG2QuestionAnswers($, reviewBody) {
+    const cleanText = text => text
+        .replace(/Review collected by and hosted on G2\.com\./g, '')
+        .replace(/Show (More|Less)/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    let headings = reviewBody.find(G2_QUESTION_SELECTOR).toArray();
+    if (headings.length === 0) {
+        headings = reviewBody.find('div, span, strong, b').toArray().filter(element =>
+            $(element).children().length === 0 && /[?？]$/.test($(element).text().trim())
+        );
     }
-    
-    const params = new URLSearchParams({
-        api_key: API_KEY,
-        url: url,
-        country: location
-    });
-    
-    const proxyUrl = `https://proxy.scrapeops.io/v1/?${params.toString()}`;
-    console.log(`🔄 Routing through ScrapeOps proxy: ${url.substring(0, 80)}...`);
-    return proxyUrl;
+
+    const isHeading = element => headings.some(heading => heading === element || $(element).find(heading).length > 0);
+
+    return headings.map(heading => {
+        // A heading wrapped on its own (e.g. <div><h5>Question?</h5></div>) is followed by its wrapper's siblings
+        let anchor = $(heading);
+        while (anchor.next().length === 0 && !anchor.parent().is(reviewBody) && anchor.parent().length > 0) {
+            anchor = anchor.parent();
+        }
+
+        const parts = [];
+        for (let sibling = anchor.next(); sibling.length > 0 && !isHeading(sibling[0]); sibling = sibling.next()) {
+            // Paragraphs of one answer are joined with a space
+            const paragraphs = sibling.find('p, li');
+            if (paragraphs.length > 0) {
+                paragraphs.each((_, paragraph) => { parts.push($(paragraph).text()); });
+            } else {
+                parts.push(sibling.text());
+            }
+        }
+
+        return { question: cleanText($(heading).text()), answer: cleanText(parts.join(' ')) };
+    }).filter(pair => pair.question && pair.answer);
 }
 
 /**
@@ -58,7 +172,7 @@ function getScrapeOpsUrl(url, location = "us") {
  * @returns {Object} Parsed product data and reviews
  */
 function parseG2HtmlContent(htmlContent) {
-    console.log(`🔍 Parsing G2 HTML content...`);
+    logger.info(`🔍 Parsing G2 HTML content...`);
     
     const $ = cheerio.load(htmlContent);
     
@@ -87,7 +201,7 @@ function parseG2HtmlContent(htmlContent) {
     }
     
     productData.productName = productName;
-    console.log(`📦 Product: ${productName}`);
+    logger.info(`📦 Product: ${productName}`);
 
     // Look for overall rating - G2 has moved to different selectors
     let overallRating = $('[data-testid="rating-badge"] span').first().text().trim() ||
@@ -127,13 +241,13 @@ function parseG2HtmlContent(htmlContent) {
     productData.stars = overallRating;
     productData.totalReviews = totalReviews;
     
-    console.log(`⭐ Overall Rating: ${overallRating}`);
-    console.log(`📊 Total Reviews: ${totalReviews}`);
+    logger.info(`⭐ Overall Rating: ${overallRating}`);
+    logger.info(`📊 Total Reviews: ${totalReviews}`);
 
     // Find review containers - G2 now uses different structure
     // Each review is in a container with itemprop="reviewBody"
     const reviewBodies = $('[itemprop="reviewBody"]');
-    console.log(`🔍 Found ${reviewBodies.length} review bodies`);
+    logger.info(`🔍 Found ${reviewBodies.length} review bodies`);
 
     let reviewCount = 0;
     reviewBodies.each((index, element) => {
@@ -165,69 +279,72 @@ function parseG2HtmlContent(htmlContent) {
                 .replace(/\n+/g, ' ') // Replace multiple newlines with single space
                 .trim();
             
-            // Parse G2 review sections
-            let like = "";
-            let dislike = "";
-            let problemsSolved = "";
-            
-            // G2 reviews typically have structured questions
-            const likeMatch = reviewText.match(/What do you like best about[^?]*\?\s*([^?]*?)(?=What do you dislike|What problems|$)/i);
-            const dislikeMatch = reviewText.match(/What do you dislike about[^?]*\?\s*([^?]*?)(?=What problems|What do you like|$)/i);
-            const problemsMatch = reviewText.match(/What problems[^?]*\?\s*([^?]*?)(?=What do you like|What do you dislike|$)/i);
+            // Parse G2 review sections - question headings and answers from the markup first
+            const questionAnswers = parseG2QuestionAnswers($, reviewBodyContainer);
+            const findAnswer = pattern => {
+                const pair = questionAnswers.find(({ question }) => pattern.test(question));
+                return pair ? pair.answer : "";
+            };
+            let like = findAnswer(/like best/i);
+            let dislike = findAnswer(/dislike/i);
+            let problemsSolved = findAnswer(/problems/i);
             
-            if (likeMatch) like = likeMatch[1].trim();
-            if (dislikeMatch) dislike = dislikeMatch[1].trim();
-            if (problemsMatch) problemsSolved = problemsMatch[1].trim();
+            // Older markup has the questions in plain text only
+            if (questionAnswers.length === 0) {
+                const likeMatch = reviewText.match(/What do you like best about[^?]*\?\s*([^?]*?)(?=What do you dislike|What problems|$)/i);
+                const dislikeMatch = reviewText.match(/What do you dislike about[^?]*\?\s*([^?]*?)(?=What problems|What do you like|$)/i);
+                const problemsMatch = reviewText.match(/What problems[^?]*\?\s*([^?]*?)(?=What do you like|What do you dislike|$)/i);
+                
+                if (likeMatch) like = likeMatch[1].trim();
+                if (dislikeMatch) dislike = dislikeMatch[1].trim();
+                if (problemsMatch) problemsSolved = problemsMatch[1].trim();
+            }
             
             // Skip if no meaningful review content
-            if (!like && !dislike && !problemsSolved && reviewText.length < 10) {
+            if (questionAnswers.length === 0 && !like && !dislike && !problemsSolved && reviewText.length < 10) {
                 return; // Continue to next review
             }
             
-            // Extract reviewer info - look for user info in the container
-            const reviewerContainer = fullReviewContainer.find('[data-testid="reviewer-info"]') ||
-                                    fullReviewContainer.find('[class*="reviewer"]') ||
-                                    fullReviewContainer.find('[class*="user"]');
-            
-            const reviewerName = reviewerContainer.find('a, span, div').first().text().trim() || 
-                               `Anonymous-${reviewCount + 1}`;
-            
-            // Extract date - look for time elements or date indicators
-            const dateElement = fullReviewContainer.find('time') ||
-                              fullReviewContainer.find('[datetime]') ||
-                              fullReviewContainer.find('[class*="date"]');
-            
-            let reviewDate = dateElement.attr('datetime') || 
-                           dateElement.text().trim() || 
-                           "2024-06-01"; // Default to recent date if not found
-            
-            // If no proper date found, use current date for filtering purposes
-            if (reviewDate === "Unknown Date" || !reviewDate) {
-                reviewDate = "2024-06-01";
-            }
-            
-            // Extract job title - look for professional info
-            const jobTitleElement = fullReviewContainer.find('[class*="title"]') ||
-                                  fullReviewContainer.find('[class*="job"]') ||
-                                  fullReviewContainer.find('[class*="position"]');
+            const reviewer = parseG2ReviewerMetadata($, fullReviewContainer);
+            const reviewerName = reviewer.reviewerName || `Anonymous-${reviewCount + 1}`;
             
-            const jobTitle = jobTitleElement.text().trim() || "N/A";
+            // Extract date - prefer the machine-readable publish date, then time elements or date indicators.
+            // The raw text is kept as-is; an unparseable or missing date stays unknown
+            const publishedDate = fullReviewContainer.find('meta[itemprop="datePublished"]').attr('content');
+            const dateElement = [
+                fullReviewContainer.find('time').first(),
+                fullReviewContainer.find('[datetime]').first(),
+                fullReviewContainer.find('[class*="date"]').first()
+            ].find(el => el.length > 0);
             
-            // Extract verification status
-            const verified = fullReviewContainer.find('[class*="verified"]').length > 0 ||
-                           fullReviewContainer.find('[class*="validated"]').length > 0;
+            const reviewDate = publishedDate ||
+                (dateElement ? (dateElement.attr('datetime') || dateElement.text().trim()) : "");
             
-            const incentivized = fullReviewContainer.find('[class*="incentiv"]').length > 0;
+            // Permalink of the review, e.g. /products/slack/reviews/slack-review-1234567
+            const reviewHref = fullReviewContainer.find('a[href*="-review-"]').first().attr('href') ||
+                              fullReviewContainer.find('[itemprop="url"]').first().attr('href') || "";
+            const reviewLink = reviewHref ? new URL(reviewHref, "https://www.g2.com").href : "";
             
             const review = {
                 reviewerName: reviewerName,
-                jobTitle: jobTitle,
+                jobTitle: reviewer.jobTitle,
                 reviewDate: reviewDate,
                 stars: rating,
                 reviewTitle: reviewTitle,
+                reviewText: reviewText,
                 like: like,
                 dislike: dislike,
-                problemsSolved: problemsSolved
+                problemsSolved: problemsSolved,
+                questionAnswers: questionAnswers,
+                reviewLink: reviewLink,
+                companySegment: reviewer.companySegment,
+                companySize: reviewer.companySize,
+                industry: reviewer.industry,
+                userRole: reviewer.userRole,
+                verifiedCurrentUser: reviewer.verifiedCurrentUser,
+                validatedReviewer: reviewer.validatedReviewer,
+                incentivized: reviewer.incentivized,
+                reviewSource: reviewer.reviewSource
             };
             
             productData.allReviews.push(review);
@@ -240,112 +357,158 @@ function parseG2HtmlContent(htmlContent) {
         }
     });
 
-    console.log(`🎉 Successfully parsed ${reviewCount} reviews from G2`);
+    logger.info(`🎉 Successfully parsed ${reviewCount} reviews from G2`);
     return productData;
 }
 
 /**
- * Main G2 scraping function using ScrapeOps proxy bypass
+ * Fetches and parses one G2 reviews page, retrying when it fails or shows no reviews
+ * @param {string} url - Page URL
+ * @param {number} page - Page number, for logging
+ * @param {Object} options - { fetch: options for fetchPage }
+ * @returns {Object|null} { parsedResult, hasNextPage (null when the page has no pagination controls) }
+ *                        or null when the page could not be fetched
+ */
+async function fetchReviewsPage_G2(url, page, options = {}) {
+    let result = null;
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        try {
+            const response = assertSuccess(await fetchPage(url, options.fetch));
+            const parsedResult = parseG2HtmlContent(response.body);
+
+            if (parsedResult.error) {
+                console.error(`Error parsing G2 page ${page}:`, parsedResult.error);
+                continue;
+            }
+
+            // Without pagination controls on the page, keep going until a page comes back empty
+            const $ = cheerio.load(response.body);
+            const hasNext = $('link[rel="next"], a[rel="next"], a.pagination__named-link:contains("Next")').length > 0;
+            const hasPagination = $('.pagination, nav[aria-label*="agination"]').length > 0;
+            result = { parsedResult, hasNextPage: hasNext || (hasPagination ? false : null) };
+            if (parsedResult.allReviews.length > 0) break;
+
+            console.warn(`Attempt ${attempt} for page ${page} returned 0 reviews—retrying...`);
+            if (attempt < 3) await delay(5000);
+        } catch (fetchError) {
+            console.error(`Attempt ${attempt} for page ${page} failed:`, fetchError.message);
+            // A missing page means we ran past the last one - retrying won't help
+            if (fetchError.status === 404) break;
+            if (attempt < 3) await delay(5000);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Main G2 scraping function, fetching through the configured provider (ScrapeOps by default).
+ * Reviews are read most recent first, so pagination stops at the first page
+ * reaching reviews older than the start date
  * @param {string} baseUrl - G2 reviews URL
  * @param {string} startDate - Start date filter
  * @param {string} endDate - End date filter
- * @param {number} maxReviews - Maximum reviews to collect
+ * @param {number} maxReviews - Maximum reviews to collect (Infinity for no limit)
+ * @param {Object} options - { fetch: options for fetchPage, dates: { unknownDates, now } for date filtering,
+ *                           pageHooks: hooks run on each page's reviews (see utils/page-hooks.js),
+ *                           resume: checkpoint to continue from (see utils/checkpoints.js),
+ *                           maxPages: maximum pages to fetch (default: no limit) }
  * @returns {Object} Scraped product data with reviews
  */
-async function scrapeG2WithProxy(baseUrl, startDate, endDate, maxReviews = 50) {
-    let allReviews = [];
-    let filteredReviews = [];
-    let productInfo = {};
+async function scrapeG2WithProxy(baseUrl, startDate, endDate, maxReviews = 50, options = {}) {
+    // A resumed scrape continues after the last checkpointed page (see utils/checkpoints.js)
+    const { resume, maxPages = Infinity } = options;
+    let currentPage = resume ? resume.cursor.page : 1;
+    let filteredReviews = resume ? [...resume.reviews] : [];
+    // Counted before the page hooks, which may pass the reviews on to an output instead of keeping them
+    let collected = resume ? getCheckpointReviewCount(resume) : 0;
+    let productInfo = resume ? resume.product : null;
+    let previousFirstReview = null;
+    const start = normalizeDate(startDate).date;
+
+    // Most recent reviews first, so older pages can be skipped
+    const sortedUrl = /[?&]order=/.test(baseUrl)
+        ? baseUrl
+        : `${baseUrl}${baseUrl.includes('?') ? '&' : '?'}order=most_recent`;
 
-    console.log(`Starting to scrape ${baseUrl} (G2)`);
+    logger.info(`Starting to scrape ${baseUrl} (G2)`);
 
     try {
-        let parsedResult, response;
+        while (currentPage <= maxPages && collected < maxReviews) {
+            const pageUrl = generatePageUrl(sortedUrl, currentPage);
+            logger.info(`G2 page ${currentPage}: ${pageUrl}`);
 
-        // Retry logic for failed requests (similar to Capterra)
-        for (let attempt = 1; attempt <= 3; attempt++) {
-            // Route through ScrapeOps proxy - this is the magic!
-            const proxyUrl = getScrapeOpsUrl(baseUrl, "us");
-            
-            try {
-                response = await fetchHtml(proxyUrl);
-                parsedResult = parseG2HtmlContent(response);
-
-                if (parsedResult.error) {
-                    console.error(`Error parsing G2 page:`, parsedResult.error);
-                    if (attempt === 3) return null;
-                    continue;
-                }
-
-                if (parsedResult.allReviews.length > 0) break;
-
-                console.warn(`Attempt ${attempt} returned 0 reviews—retrying...`);
-                await delay(5000);
-            } catch (fetchError) {
-                console.error(`Attempt ${attempt} failed:`, fetchError.message);
-                if (attempt === 3) throw fetchError;
-                await delay(5000);
+            const pageData = await fetchReviewsPage_G2(pageUrl, currentPage, options);
+            if (!pageData) {
+                if (currentPage === 1) return null;
+                logger.info(`Could not fetch page ${currentPage}, stopping scrape.`);
+                break;
             }
-        }
+            const { parsedResult, hasNextPage } = pageData;
 
-        // Clean product name by removing extra text
-        let cleanProductName = parsedResult.productName
-            .replace(/G2 - Business Software Reviews.*$/i, '')
-            .replace(/Reviews.*$/i, '')
-            .trim();
-        
-        productInfo = {
-            productName: cleanProductName,
-            reviewSite: "G2",
-            stars: parsedResult.stars,
-            totalReviews: parsedResult.totalReviews
-        };
-
-        allReviews = parsedResult.allReviews;
-
-        // Filter reviews by date range (using same logic as Capterra)
-        filteredReviews = allReviews.filter(review =>
-            isReviewInDateRange ? isReviewInDateRange(review.reviewDate, startDate, endDate) : true
-        );
+            // Capture header info on first page
+            if (!productInfo) {
+                // Clean product name by removing extra text
+                const cleanProductName = parsedResult.productName
+                    .replace(/G2 - Business Software Reviews.*$/i, '')
+                    .replace(/Reviews.*$/i, '')
+                    .trim();
 
-        console.log(`Found ${allReviews.length} total reviews, ${filteredReviews.length} within date range`);
+                productInfo = {
+                    productName: cleanProductName,
+                    reviewSite: "G2",
+                    stars: parsedResult.stars,
+                    totalReviews: parsedResult.totalReviews
+                };
+            }
 
-        // If we need more reviews and have pagination capability, scrape additional pages
-        if (filteredReviews.length < maxReviews && allReviews.length >= 10) {
-            let currentPage = 2;
-            const maxPages = Math.ceil(maxReviews / 10); // Assuming ~10 reviews per page
-            
-            while (currentPage <= maxPages && filteredReviews.length < maxReviews) {
-                const pageUrl = `${baseUrl}?page=${currentPage}`;
-                const proxyUrl = getScrapeOpsUrl(pageUrl, "us");
-                
-                try {
-                    const pageResponse = await fetchHtml(proxyUrl);
-                    const pageData = parseG2HtmlContent(pageResponse);
-                    
-                    if (pageData.allReviews.length === 0) {
-                        break;
-                    }
-                    
-                    const pageFilteredReviews = pageData.allReviews.filter(review =>
-                        isReviewInDateRange ? isReviewInDateRange(review.reviewDate, startDate, endDate) : true
-                    );
-                    
-                    filteredReviews = filteredReviews.concat(pageFilteredReviews);
-                    allReviews = allReviews.concat(pageData.allReviews);
-                    
-                    currentPage++;
-                    await delay(3000 + Math.random() * 2000); // Respectful delay
-                } catch (pageError) {
-                    console.error(`❌ Error scraping page ${currentPage}:`, pageError.message);
-                    break;
-                }
+            const pageReviews = parsedResult.allReviews;
+            if (pageReviews.length === 0) {
+                logger.info(`No reviews found on page ${currentPage}, stopping scrape.`);
+                break;
             }
-        }
 
-        // Trim to max reviews if we collected too many
-        if (filteredReviews.length > maxReviews) {
-            filteredReviews = filteredReviews.slice(0, maxReviews);
+            // G2 serves the last page again for out-of-range page numbers
+            const firstReview = `${pageReviews[0].reviewerName}|${pageReviews[0].reviewDate}|${pageReviews[0].reviewText}`;
+            if (firstReview === previousFirstReview) {
+                logger.info(`Page ${currentPage} repeats the previous page, stopping scrape.`);
+                break;
+            }
+            previousFirstReview = firstReview;
+
+            // Filter reviews by date range
+            const pageFilteredReviews = pageReviews.filter(review =>
+                isReviewInDateRange(review.reviewDate, startDate, endDate, options.dates)
+            );
+            logger.info(`Found ${pageReviews.length} reviews on page ${currentPage}, ${pageFilteredReviews.length} within date range`);
+
+            // Trim to max reviews before the hooks, so outputs and checkpoints never get more
+            const pageKeptReviews = pageFilteredReviews.slice(0, maxReviews - collected);
+            collected += pageKeptReviews.length;
+
+            const pageHooks = await runPageHooks(options.pageHooks, { url: pageUrl, page: currentPage, product: productInfo, reviews: pageKeptReviews });
+            filteredReviews = filteredReviews.concat(pageHooks.reviews);
+            if (pageHooks.stop) break;
+
+            if (collected >= maxReviews) {
+                logger.info(`Reached ${maxReviews} reviews, stopping.`);
+                break;
+            }
+
+            // Stop if the oldest review on the page is before start date
+            const lastReviewDate = normalizeDate(pageReviews[pageReviews.length - 1].reviewDate, options.dates).date;
+            if (start && lastReviewDate && lastReviewDate < start) {
+                logger.info(`Reached reviews older than ${startDate}, stopping.`);
+                break;
+            }
+
+            if (hasNextPage === false) {
+                logger.info("No more G2 pages.");
+                break;
+            }
+
+            currentPage++;
         }
 
     } catch (error) {
@@ -353,6 +516,8 @@ async function scrapeG2WithProxy(baseUrl, startDate, endDate, maxReviews = 50) {
         return null;
     }
 
+    logger.info(`Collected ${collected} reviews within date range`);
+
     return {
         ...productInfo,
         allReviews: filteredReviews,
@@ -360,8 +525,30 @@ async function scrapeG2WithProxy(baseUrl, startDate, endDate, maxReviews = 50) {
     };
 }
 
+/**
+ * G2 scraper definition for the scraper registry
+ */
+const scraper = {
+    name: "g2",
+    label: "G2",
+    hostnames: ["g2.com"],
+    // About one page every 4 seconds
+    fetchDefaults: { requestsPerMinute: 15 },
+    // Most recent first, unless the URL asks for another order
+    sortedByDate: (url) => !/[?&]order=(?!most_recent\b)/.test(url),
+    scrape: (job) => scrapeG2WithProxy(job.url, job.startDate, job.endDate, resolveLimit(job.options.maxReviews, 50), {
+        fetch: job.fetch,
+        dates: job.dates,
+        pageHooks: job.pageHooks,
+        resume: job.resume,
+        maxPages: resolveLimit(job.options.maxPages)
+    })
+};
+
 module.exports = {
+    scraper,
     scrapeG2WithProxy,
-    getScrapeOpsUrl,
-    parseG2HtmlContent
+    parseG2HtmlContent,
+    parseG2ReviewerMetadata,
+    parseG2QuestionAnswers
 };
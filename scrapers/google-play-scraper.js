@@ -0,0 +1,281 @@
+const cheerio = require("cheerio");
+const { isReviewInDateRange, delay, resolveLimit } = require("../utils/common");
+const { normalizeDate } = require("../utils/dates");
+const { fetchPage, assertSuccess } = require("../utils/http");
+const { runPageHooks } = require("../utils/page-hooks");
+const { getCheckpointReviewCount } = require("../utils/checkpoints");
+const logger = require("../utils/logger");
+
+const GOOGLE_PLAY_ORIGIN = "https://play.google.com";
+
+// Reviews requested per page (the review endpoint accepts up to 150)
+const GOOGLE_PLAY_PAGE_SIZE = 100;
+
+// Sort order of the review endpoint: 1 = most relevant, 2 = newest, 3 = rating
+const GOOGLE_PLAY_SORT_NEWEST = 2;
+
+/**
+ * Reads the package name, country and language of a Google Play URL,
+ * e.g. https://play.google.com/store/apps/details?id=com.Slack&hl=en&gl=US
+ * @param {string} url - Google Play URL
+ * @returns {Object|null} { appId, country, language } or null when the URL has no package name
+ */
+function parseGooglePlayUrl(url) {
+    const { searchParams } = new URL(url);
+    const appId = searchParams.get('id');
+    if (!appId) return null;
+
+    return {
+        appId,
+        country: (searchParams.get('gl') || 'us').toLowerCase(),
+        language: (searchParams.get('hl') || 'en').toLowerCase()
+    };
+}
+
+/**
+ * Builds the request for one page of reviews. Google Play loads reviews through
+ * its batchexecute endpoint (RPC "UsvDTd"); later pages pass the token of the previous one
+ * @param {string} appId - Package name
+ * @param {string|null} token - Pagination token, null for the first page
+ * @returns {string} Form-encoded request body
+ */
+function buildReviewsRequestBody(appId, token) {
+    const query = JSON.stringify([
+        null,
+        null,
+        [2, GOOGLE_PLAY_SORT_NEWEST, [GOOGLE_PLAY_PAGE_SIZE, null, token], null, []],
+        [appId, 7]
+    ]);
+    return `f.req=${encodeURIComponent(JSON.stringify([[["UsvDTd", query, null, "generic"]]]))}`;
+}
+
+/**
+ * Reads a nested value of the positional arrays Google Play answers with
+ * @param {Array} value - Array to read from
+ * @param {Array<number>} path - Indexes to follow
+ * @returns {*} The value, or undefined when the path doesn't exist
+ */
+function at(value, path) {
+    return path.reduce((current, index) => (Array.isArray(current) ? current[index] : undefined), value);
+}
+
+/**
+ * Parses a page of the review endpoint. The response starts with ")]}'" and
+ * holds the RPC result as a JSON string
+ * @param {string} body - Response body
+ * @param {Object} context - { country, language } of the request
+ * @returns {Object} { reviews, token } (token is null on the last page) or { error }
+ */
+function parseReviewsResponse_GooglePlay(body, { country, language }) {
+    try {
+        const json = body.slice(body.indexOf('['));
+        const envelope = JSON.parse(json.slice(0, json.lastIndexOf(']') + 1));
+        const rpc = envelope.find(item => Array.isArray(item) && item[1] === 'UsvDTd') || envelope[0];
+        const payload = rpc && rpc[2] ? JSON.parse(rpc[2]) : [];
+
+        const reviews = (payload[0] || []).map(review => {
+            const publishedSeconds = at(review, [5, 0]);
+            const replySeconds = at(review, [7, 2, 0]);
+            return {
+                reviewerName: at(review, [1, 0]) || "",
+                jobTitle: "", // Google Play reviews don't have job titles
+                reviewDate: publishedSeconds ? new Date(publishedSeconds * 1000).toISOString() : "",
+                stars: at(review, [2]) != null ? String(at(review, [2])) : "",
+                reviewTitle: "", // Google Play reviews don't have titles
+                reviewText: at(review, [4]) || "",
+                reviewId: at(review, [0]) || "",
+                appVersion: at(review, [10]) || "",
+                usefulCount: typeof at(review, [6]) === 'number' ? at(review, [6]) : null,
+                companyReply: at(review, [7, 1]) || "",
+                companyReplyDate: replySeconds ? new Date(replySeconds * 1000).toISOString() : "",
+                country,
+                language
+            };
+        });
+
+        return { reviews, token: at(payload, [1, 1]) || null };
+    } catch (error) {
+        return { error };
+    }
+}
+
+/**
+ * Fetches the app's name, rating and rating count from its details page (JSON-LD)
+ * @param {Object} app - { appId, country, language }
+ * @param {Object} options - { fetch: options for fetchPage }
+ * @returns {Promise<Object>} { productName, reviewSite, stars, totalReviews } - empty values when the page can't be read
+ */
+async function fetchAppInfo_GooglePlay({ appId, country, language }, options = {}) {
+    const info = { productName: "", reviewSite: "Google Play", stars: "", totalReviews: "" };
+
+    try {
+        const url = `${GOOGLE_PLAY_ORIGIN}/store/apps/details?id=${encodeURIComponent(appId)}&hl=${language}&gl=${country}`;
+        const response = assertSuccess(await fetchPage(url, options.fetch));
+        const $ = cheerio.load(response.body);
+
+        $('script[type="application/ld+json"]').each((_, element) => {
+            try {
+                const data = JSON.parse($(element).contents().text());
+                if (!info.productName && data.name) info.productName = data.name;
+                if (data.aggregateRating) {
+                    info.stars = String(data.aggregateRating.ratingValue || "");
+                    info.totalReviews = String(data.aggregateRating.ratingCount || "");
+                }
+            } catch (error) {
+                // Skip blocks that are not valid JSON
+            }
+        });
+        info.productName = info.productName || $('h1').first().text().trim();
+    } catch (error) {
+        console.warn(`⚠️ Could not read Google Play details of ${appId}: ${error.message}`);
+    }
+    return info;
+}
+
+/**
+ * Fetches and parses one page of reviews, retrying when it fails
+ * @param {Object} app - { appId, country, language }
+ * @param {string|null} token - Pagination token, null for the first page
+ * @param {number} page - Page number, for logging
+ * @param {Object} options - { fetch: options for fetchPage }
+ * @returns {Object|null} { url, reviews, token } or null when the page could not be fetched
+ */
+async function fetchReviewsPage_GooglePlay(app, token, page, options = {}) {
+    const url = `${GOOGLE_PLAY_ORIGIN}/_/PlayStoreUi/data/batchexecute?rpcids=UsvDTd&hl=${app.language}&gl=${app.country}`;
+    const fetchOptions = {
+        ...options.fetch,
+        method: 'POST',
+        body: buildReviewsRequestBody(app.appId, token),
+        headers: { ...(options.fetch && options.fetch.headers), 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' }
+    };
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        try {
+            const response = assertSuccess(await fetchPage(url, fetchOptions));
+            const parsed = parseReviewsResponse_GooglePlay(response.body, app);
+            if (!parsed.error) return { url, ...parsed };
+            console.error(`Error parsing Google Play page ${page} attempt ${attempt}:`, parsed.error.message);
+        } catch (error) {
+            console.error(`Attempt ${attempt} for page ${page} failed:`, error.message);
+        }
+        if (attempt < 3) await delay(5000);
+    }
+    return null;
+}
+
+/**
+ * Scrapes Google Play reviews of one country and language within the date range, newest first
+ * @param {string} appUrl - Google Play URL of the app
+ * @param {string} startDate - Start date for filtering
+ * @param {string} endDate - End date for filtering
+ * @param {Object} options - { fetch: options for fetchPage, dates: { unknownDates, now } for date filtering,
+ *                           pageHooks: hooks run on each page's reviews (see utils/page-hooks.js),
+ *                           resume: checkpoint to continue from (see utils/checkpoints.js),
+ *                           country: store country (default: the URL's "gl", else "us"),
+ *                           language: review language (default: the URL's "hl", else "en"),
+ *                           maxPages: maximum pages of 100 reviews to fetch (default: no limit) }
+ * @returns {Object|null} Scraped review data, or null when the URL or first page can't be read
+ */
+async function scrapeReviews_GooglePlay(appUrl, startDate, endDate, options = {}) {
+    const parsedUrl = parseGooglePlayUrl(appUrl);
+    if (!parsedUrl) {
+        console.error(`❌ No package name (?id=) in Google Play URL ${appUrl}`);
+        return null;
+    }
+    const app = {
+        appId: parsedUrl.appId,
+        country: (options.country || parsedUrl.country).toLowerCase(),
+        language: (options.language || parsedUrl.language).toLowerCase()
+    };
+    const maxPages = options.maxPages || Infinity;
+
+    // A resumed scrape continues from the checkpointed pagination token (see utils/checkpoints.js)
+    const { resume } = options;
+    let page = resume ? resume.cursor.page : 1;
+    let token = resume ? resume.cursor.token : null;
+    let filteredReviews = resume ? [...resume.reviews] : [];
+    // The page hooks may stream the reviews to an output instead of passing them back
+    let collected = resume ? getCheckpointReviewCount(resume) : 0;
+    const productInfo = resume ? resume.product : await fetchAppInfo_GooglePlay(app, options);
+    const start = normalizeDate(startDate).date;
+
+    logger.info(`Starting to scrape ${appUrl} (Google Play, ${app.country.toUpperCase()}/${app.language})`);
+
+    while (page <= maxPages) {
+        logger.info(`Google Play page ${page}${token ? ' (continued)' : ''}`);
+
+        const result = await fetchReviewsPage_GooglePlay(app, token, page, options);
+        if (!result) {
+            if (page === 1) return null;
+            logger.info(`Could not fetch page ${page}, stopping scrape.`);
+            break;
+        }
+
+        const pageReviews = result.reviews;
+        if (pageReviews.length === 0) {
+            logger.info(`No reviews found on page ${page}, stopping scrape.`);
+            break;
+        }
+
+        const pageFilteredReviews = pageReviews.filter(review =>
+            isReviewInDateRange(review.reviewDate, startDate, endDate, options.dates)
+        );
+        logger.info(`Found ${pageReviews.length} reviews on page ${page}, ${pageFilteredReviews.length} within date range`);
+
+        const cursor = { page: page + 1, token: result.token };
+        collected += pageFilteredReviews.length;
+        const pageHooks = await runPageHooks(options.pageHooks, { url: result.url, page, product: productInfo, reviews: pageFilteredReviews, cursor });
+        filteredReviews = filteredReviews.concat(pageHooks.reviews);
+        if (pageHooks.stop) break;
+
+        // Stop if the oldest review on the page is before start date
+        const lastReviewDate = normalizeDate(pageReviews[pageReviews.length - 1].reviewDate, options.dates).date;
+        if (start && lastReviewDate && lastReviewDate < start) {
+            logger.info(`Reached reviews older than ${startDate}, stopping.`);
+            break;
+        }
+
+        if (!result.token) {
+            logger.info("No more Google Play pages.");
+            break;
+        }
+
+        token = result.token;
+        page++;
+    }
+
+    logger.info(`Collected ${collected} reviews within date range`);
+
+    return {
+        ...productInfo,
+        allReviews: filteredReviews,
+        totalScrapedReviews: filteredReviews.length
+    };
+}
+
+/**
+ * Google Play scraper definition for the scraper registry
+ */
+const scraper = {
+    name: "googleplay",
+    label: "Google Play",
+    hostnames: ["play.google.com"],
+    // The review endpoint answers direct requests; faster paging gets throttled with 429s
+    fetchDefaults: { provider: 'direct', requestsPerMinute: 20 },
+    scrape: (job) => scrapeReviews_GooglePlay(job.url, job.startDate, job.endDate, {
+        fetch: job.fetch,
+        dates: job.dates,
+        pageHooks: job.pageHooks,
+        resume: job.resume,
+        country: job.options.country,
+        language: job.options.language,
+        maxPages: resolveLimit(job.options.maxPages)
+    })
+};
+
+module.exports = {
+    scraper,
+    scrapeReviews_GooglePlay,
+    parseGooglePlayUrl,
+    parseReviewsResponse_GooglePlay
+};
@@ -0,0 +1,37 @@
+const path = require("path");
+const registry = require("./registry");
+const { loadConfig } = require("../utils/config");
+
+// Built-in platform scrapers
+registry.registerScraper(require("./g2-scraper").scraper);
+// Capterra, GetApp and Software Advice share one parser
+require("./capterra-scraper").scrapers.forEach(scraper => registry.registerScraper(scraper));
+registry.registerScraper(require("./trustpilot-scraper").scraper);
+registry.registerScraper(require("./trustradius-scraper").scraper);
+registry.registerScraper(require("./app-store-scraper").scraper);
+registry.registerScraper(require("./google-play-scraper").scraper);
+
+/**
+ * Loads third-party scrapers from ./plugins, the comma-separated package names
+ * in the SCRAPER_PLUGINS environment variable and "plugins" in scraper.config.json
+ * @param {Object} options - Extra plugin sources
+ * @param {string} options.dir - Plugins directory (default: <project>/plugins)
+ * @param {Array<string>} options.packages - Additional npm package names
+ * @returns {number} Number of scrapers registered
+ */
+function loadDefaultPlugins({ dir, packages = [] } = {}) {
+    const envPackages = (process.env.SCRAPER_PLUGINS || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+
+    return registry.loadPlugins({
+        dir: dir || path.join(__dirname, '..', 'plugins'),
+        packages: [...envPackages, ...(loadConfig().plugins || []), ...packages]
+    });
+}
+
+module.exports = {
+    ...registry,
+    loadDefaultPlugins
+};
@@ -0,0 +1,174 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../utils/logger");
+
+/**
+ * Registered platform scrapers, checked in registration order.
+ * Each scraper is an object of the form:
+ *   {
+ *     name: "g2",                 // unique id, used in logs and config
+ *     label: "G2",                // human readable platform name
+ *     hostnames: ["g2.com"],      // matched against the URL hostname (subdomains included)
+ *     match: (url) => boolean,    // optional custom matcher, used instead of hostnames
+ *     fetchDefaults: { ... },     // optional default fetch options for this platform
+ *     sortedByDate: true,         // optional, default true: whether reviews are listed newest first,
+ *                                 // or (url) => boolean when it depends on the URL
+ *     scrape: async (job) => {...} // returns the standardized product data or null
+ *   }
+ * A job is { url, startDate, endDate, options, fetch, dates, pageHooks, resume } where options holds
+ * the remaining fields of the input entry, fetch the resolved options for utils/http fetchPage,
+ * dates the { unknownDates, now } options for the date helpers in utils/common, pageHooks the
+ * hooks to run on each page (utils/page-hooks) and resume the checkpoint to continue from
+ * (utils/checkpoints) or null.
+ */
+const scrapers = [];
+
+/**
+ * Checks whether a hostname equals one of the patterns or is a subdomain of it
+ * @param {string} hostname - Hostname to check (e.g. "www.g2.com")
+ * @param {Array<string>} patterns - Hostnames to match (e.g. ["g2.com"])
+ * @returns {boolean} Whether the hostname matches
+ */
+function matchesHostname(hostname, patterns) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    return patterns.some(pattern => {
+        const p = pattern.toLowerCase();
+        return host === p || host.endsWith(`.${p}`);
+    });
+}
+
+/**
+ * Registers a platform scraper. A scraper with the same name replaces the existing one
+ * @param {Object} scraper - Scraper definition (see above)
+ * @returns {Object} The registered scraper
+ */
+function registerScraper(scraper) {
+    if (!scraper || typeof scraper.name !== 'string' || !scraper.name) {
+        throw new Error("Scraper must have a non-empty 'name'");
+    }
+    if (typeof scraper.scrape !== 'function') {
+        throw new Error(`Scraper '${scraper.name}' must implement scrape(job)`);
+    }
+    if (typeof scraper.match !== 'function' && (!Array.isArray(scraper.hostnames) || scraper.hostnames.length === 0)) {
+        throw new Error(`Scraper '${scraper.name}' must declare 'hostnames' or a 'match(url)' function`);
+    }
+
+    const existingIndex = scrapers.findIndex(s => s.name === scraper.name);
+    if (existingIndex !== -1) {
+        console.warn(`⚠️ Replacing scraper '${scraper.name}'`);
+        scrapers[existingIndex] = scraper;
+    } else {
+        scrapers.push(scraper);
+    }
+    return scraper;
+}
+
+/**
+ * Tells whether a scraper lists the reviews of a URL newest first, so that
+ * reaching an older review means every following one is older too
+ * @param {Object} scraper - Scraper definition
+ * @param {string} url - The URL to scrape
+ * @returns {boolean} Whether the listing is sorted by date
+ */
+function isSortedByDate(scraper, url) {
+    if (typeof scraper.sortedByDate === 'function') {
+        return Boolean(scraper.sortedByDate(url));
+    }
+    return scraper.sortedByDate !== false;
+}
+
+/**
+ * Finds the scraper responsible for a URL
+ * @param {string} url - The URL to scrape
+ * @returns {Object|null} Matching scraper or null if none matches
+ */
+function getScraperForUrl(url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return null;
+    }
+
+    return scrapers.find(scraper =>
+        typeof scraper.match === 'function'
+            ? scraper.match(parsedUrl.href)
+            : matchesHostname(parsedUrl.hostname, scraper.hostnames)
+    ) || null;
+}
+
+/**
+ * Lists all registered scrapers
+ * @returns {Array<Object>} Registered scrapers
+ */
+function listScrapers() {
+    return scrapers.slice();
+}
+
+/**
+ * Registers the scraper(s) exported by a plugin module.
+ * A plugin may export a scraper, an array of scrapers, or { scrapers: [...] }
+ * @param {Object|Array} pluginExports - The plugin's module.exports
+ * @param {string} source - Plugin path or package name, for logging
+ * @returns {number} Number of scrapers registered
+ */
+function registerPluginExports(pluginExports, source) {
+    let definitions = pluginExports;
+    if (definitions && Array.isArray(definitions.scrapers)) {
+        definitions = definitions.scrapers;
+    } else if (definitions && definitions.scraper) {
+        definitions = definitions.scraper;
+    }
+    definitions = Array.isArray(definitions) ? definitions : [definitions];
+
+    definitions.forEach(definition => registerScraper(definition));
+    logger.info(`🔌 Loaded plugin ${source} (${definitions.map(d => d.name).join(', ')})`);
+    return definitions.length;
+}
+
+/**
+ * Loads third-party scrapers from a plugins directory and/or npm packages
+ * @param {Object} options - Plugin sources
+ * @param {string} options.dir - Directory of plugin modules (*.js files or package folders)
+ * @param {Array<string>} options.packages - npm package names to require
+ * @returns {number} Number of scrapers registered
+ */
+function loadPlugins({ dir, packages = [] } = {}) {
+    let count = 0;
+
+    if (dir && fs.existsSync(dir)) {
+        const entries = fs.readdirSync(dir, { withFileTypes: true })
+            .filter(e => (e.isFile() && e.name.endsWith('.js')) || e.isDirectory())
+            .map(e => e.name)
+            .sort();
+
+        for (const name of entries) {
+            const pluginPath = path.join(dir, name);
+            try {
+                count += registerPluginExports(require(pluginPath), pluginPath);
+            } catch (error) {
+                console.error(`❌ Failed to load plugin ${pluginPath}:`, error.message);
+            }
+        }
+    }
+
+    for (const packageName of packages) {
+        try {
+            const resolved = require.resolve(packageName, { paths: [process.cwd(), __dirname] });
+            count += registerPluginExports(require(resolved), packageName);
+        } catch (error) {
+            console.error(`❌ Failed to load plugin package ${packageName}:`, error.message);
+        }
+    }
+
+    return count;
+}
+
+module.exports = {
+    registerScraper,
+    getScraperForUrl,
+    isSortedByDate,
+    listScrapers,
+    loadPlugins,
+    matchesHostname
+};
@@ -1,142 +1,385 @@
 const cheerio = require("cheerio");
-const https = require('https');
-const { generatePageUrl, delay } = require("../utils/common");
-require('dotenv').config();
+const { generatePageUrl, delay, isReviewInDateRange } = require("../utils/common");
+const { normalizeDate } = require("../utils/dates");
+const { fetchPage, assertSuccess } = require("../utils/http");
+const { runPageHooks } = require("../utils/page-hooks");
+const logger = require("../utils/logger");
+
+const TRUSTPILOT_ORIGIN = "https://www.trustpilot.com";
+
+/**
+ * Builds an empty Trustpilot product record
+ * @returns {Object} Product data
+ */
+function emptyProductData_Trustpilot() {
+    return {
+        productName: "",
+        reviewSite: "Trustpilot",
+        stars: "",
+        totalReviews: "",
+        allReviews: [],
+        hasNextPage: false
+    };
+}
+
+/**
+ * Converts a date of experience to YYYY-MM-DD, keeping the text when it can't be parsed
+ * @param {string} value - Date as found on the page
+ * @returns {string} Date of experience
+ */
+function toExperienceDate(value) {
+    if (!value) return "";
+    return normalizeDate(value).date || String(value).trim();
+}
+
+/**
+ * Hours between a review and the company's reply to it
+ * @param {string} reviewDate - Review publish date
+ * @param {string} replyDate - Reply publish date
+ * @returns {number|null} Hours, rounded to one decimal, or null when either date is missing
+ */
+function getReplyDelayHours(reviewDate, replyDate) {
+    const published = Date.parse(reviewDate);
+    const replied = Date.parse(replyDate);
+    if (Number.isNaN(published) || Number.isNaN(replied)) return null;
+    return Math.round((replied - published) / 360000) / 10;
+}
 
 /**
- * ScrapeOps proxy bypass function for TrustPilot
- * @param {string} url - Original TrustPilot URL
- * @param {string} location - Country code (default: "us")
- * @returns {string} Proxied URL that bypasses TrustPilot's anti-bot measures
+ * Reads props.pageProps of the page data Next.js embeds in every Trustpilot page
+ * (<script id="__NEXT_DATA__">)
+ * @param {Function} $ - Cheerio root of the page
+ * @returns {Object|null} pageProps, or null when the page has no usable data blob
  */
-function getScrapeOpsUrl(url, location = "us") {
-    const API_KEY = process.env.SCRAPEOPS_API_KEY;
-    
-    if (!API_KEY || API_KEY === 'your_scrapeops_api_key_here') {
-        console.warn(`⚠️ ScrapeOps API key not configured. Add SCRAPEOPS_API_KEY to .env file`);
-        return url; // Fallback to direct URL (will likely fail)
+function readNextDataPageProps_Trustpilot($) {
+    const script = $('script#__NEXT_DATA__').first();
+    if (!script.length) return null;
+
+    try {
+        return JSON.parse(script.contents().text()).props.pageProps || null;
+    } catch (error) {
+        return null;
     }
-    
-    const params = new URLSearchParams({
-        api_key: API_KEY,
-        url: url,
-        country: location
-    });
-    
-    const proxyUrl = `https://proxy.scrapeops.io/v1/?${params.toString()}`;
-    console.log(`🔄 Routing through ScrapeOps proxy: ${url.substring(0, 80)}...`);
-    return proxyUrl;
 }
 
 /**
- * Fetches content via HTTPS through ScrapeOps proxy
- * @param {string} url - URL to fetch
- * @returns {Promise<Object>} Response object with body property
+ * Converts a review of the Next.js page data to a review record
+ * @param {Object} review - Review as embedded in the page
+ * @returns {Object} Review record
  */
-function fetchHtml(url) {
-    // Route through ScrapeOps proxy for TrustPilot
-    const proxyUrl = getScrapeOpsUrl(url, "us");
-    
-    return new Promise((resolve, reject) => {
-        https.get(proxyUrl, (res) => {
-            let data = '';
-            
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-            
-            res.on('end', () => {
-                resolve({ body: data });
+function fromNextDataReview_Trustpilot(review) {
+    const consumer = review.consumer || {};
+    const dates = review.dates || {};
+    const verification = (review.labels && review.labels.verification) || {};
+    const reply = review.reply || {};
+
+    return {
+        reviewerName: consumer.displayName || "",
+        jobTitle: "", // TrustPilot doesn't have job titles
+        reviewDate: dates.publishedDate || "",
+        stars: review.rating != null ? String(review.rating) : "",
+        reviewTitle: review.title || "",
+        reviewText: review.text || "",
+        reviewId: review.id || "",
+        reviewLink: review.id ? `${TRUSTPILOT_ORIGIN}/reviews/${review.id}` : "",
+        country: consumer.countryCode || "",
+        dateOfExperience: toExperienceDate(dates.experiencedDate),
+        verified: Boolean(verification.isVerified),
+        verificationSource: verification.reviewSourceName || verification.verificationSource || "",
+        language: review.language || "",
+        usefulCount: typeof review.likes === 'number' ? review.likes : null,
+        companyReply: reply.message || "",
+        companyReplyDate: reply.publishedDate || "",
+        replyDelayHours: getReplyDelayHours(dates.publishedDate, reply.publishedDate)
+    };
+}
+
+/**
+ * Reads the reviews of a listing page from the Next.js page data
+ * (props.pageProps: businessUnit, reviews, filters.pagination)
+ * @param {Function} $ - Cheerio root of the page
+ * @returns {Object|null} Product data, or null when the page has no usable data blob
+ */
+function parseNextData_Trustpilot($) {
+    const pageProps = readNextDataPageProps_Trustpilot($);
+    if (!pageProps || !Array.isArray(pageProps.reviews)) return null;
+
+    const productData = emptyProductData_Trustpilot();
+    const businessUnit = pageProps.businessUnit || {};
+    productData.productName = businessUnit.displayName || "";
+    productData.stars = businessUnit.trustScore != null ? String(businessUnit.trustScore) : "";
+    productData.totalReviews = businessUnit.numberOfReviews != null ? String(businessUnit.numberOfReviews) : "";
+
+    const pagination = (pageProps.filters && pageProps.filters.pagination) || {};
+    productData.hasNextPage = pagination.totalPages
+        ? pagination.currentPage < pagination.totalPages
+        : pageProps.reviews.length > 0;
+
+    productData.allReviews = pageProps.reviews.map(fromNextDataReview_Trustpilot);
+    return productData;
+}
+
+/**
+ * Reads the schema.org JSON-LD of the page (an @graph with the business'
+ * aggregateRating and its Review items)
+ * @param {Function} $ - Cheerio root of the page
+ * @returns {Object|null} Product data, or null when the page has no reviews in JSON-LD
+ */
+function parseJsonLd_Trustpilot($) {
+    const nodes = [];
+    $('script[type="application/ld+json"]').each((_, element) => {
+        try {
+            const data = JSON.parse($(element).contents().text());
+            (Array.isArray(data) ? data : [data]).forEach(item => {
+                nodes.push(item, ...(Array.isArray(item['@graph']) ? item['@graph'] : []));
             });
-        }).on('error', (err) => {
-            reject(err);
+        } catch (error) {
+            // Skip blocks that are not valid JSON
+        }
+    });
+
+    const isType = (node, type) => node && [].concat(node['@type'] || []).includes(type);
+    const reviews = nodes.filter(node => isType(node, 'Review'));
+    if (reviews.length === 0) return null;
+
+    const productData = emptyProductData_Trustpilot();
+    const business = nodes.find(node => node && node.aggregateRating) || {};
+    productData.productName = business.name || "";
+    productData.stars = business.aggregateRating ? String(business.aggregateRating.ratingValue || "") : "";
+    productData.totalReviews = business.aggregateRating ? String(business.aggregateRating.reviewCount || "") : "";
+    productData.hasNextPage = $('a[name="pagination-button-next"]').attr('href') !== undefined;
+
+    productData.allReviews = reviews.map(review => {
+        // Review @ids end with the review ID, e.g. ".../#/schema/Review/example.com/<id>"
+        const idMatch = String(review['@id'] || '').match(/([0-9a-f]{24})\/?$/i);
+        const reviewId = idMatch ? idMatch[1] : "";
+        const author = review.author || {};
+
+        return {
+            reviewerName: author.name || "",
+            jobTitle: "", // TrustPilot doesn't have job titles
+            reviewDate: review.datePublished || "",
+            stars: review.reviewRating ? String(review.reviewRating.ratingValue || "") : "",
+            reviewTitle: review.headline || review.name || "",
+            reviewText: review.reviewBody || "",
+            reviewId,
+            reviewLink: reviewId ? `${TRUSTPILOT_ORIGIN}/reviews/${reviewId}` : (review.url || ""),
+            country: (author.address && author.address.addressCountry) || "",
+            dateOfExperience: "",
+            verified: false,
+            verificationSource: "",
+            language: review.inLanguage || "",
+            usefulCount: null,
+            companyReply: "",
+            companyReplyDate: "",
+            replyDelayHours: null
+        };
+    });
+
+    return productData;
+}
+
+/**
+ * Reads the company reply and the useful votes of a rendered review
+ * @param {Function} $ - Cheerio root of the page
+ * @param {Object} container - Cheerio element of the review card or detail page
+ * @param {string} reviewDate - Review publish date, to compute the reply delay
+ * @returns {Object} { usefulCount, companyReply, companyReplyDate, replyDelayHours }
+ */
+function parseDomReply_Trustpilot($, container, reviewDate) {
+    const replyText = container.find("p[data-service-review-business-reply-text-typography]").first();
+    const replyBlock = replyText.closest("div").parent();
+    const companyReplyDate = replyBlock.find("time").first().attr("datetime") || "";
+    const usefulMatch = container.find("button[data-service-review-like-button], [data-useful-count]").first().text().match(/(\d+)/);
+
+    return {
+        usefulCount: usefulMatch ? Number(usefulMatch[1]) : null,
+        companyReply: replyText.text().trim(),
+        companyReplyDate,
+        replyDelayHours: getReplyDelayHours(reviewDate, companyReplyDate)
+    };
+}
+
+/**
+ * Reads the reviews from the rendered cards. Stable data-* attributes are tried
+ * before the build-hashed class names, which change with every Trustpilot deploy
+ * @param {Function} $ - Cheerio root of the page
+ * @returns {Object} Product data
+ */
+function parseDom_Trustpilot($) {
+    const productData = emptyProductData_Trustpilot();
+
+    // Parse header - split "Name Reviews 915"
+    const h1Text = $("h1").text().trim();
+    const headerMatch = h1Text.match(/^(.+?)\s+Reviews\s+([\d,]+)$/);
+    if (headerMatch) {
+        productData.productName = headerMatch[1];
+        productData.totalReviews = headerMatch[2].replace(/,/g, "");
+    } else {
+        productData.productName = h1Text;
+    }
+
+    // Extract star rating
+    productData.stars = $('p[data-rating-typography="true"]')
+        .first()
+        .text()
+        .trim();
+    productData.hasNextPage = $('a[name="pagination-button-next"]').attr('href') !== undefined;
+
+    let cards = $("article[data-service-review-card-paper]");
+    if (!cards.length) {
+        cards = $("div.styles_cardWrapper__g8amG.styles_show__Z8n7u");
+    }
+
+    // Extract individual reviews
+    cards.each((_, el) => {
+        const card = $(el);
+        const consumer = card.find('[data-consumer-name-typography]').first();
+        const reviewerName = consumer.text().trim() || card.find("article div a span").first().text().trim();
+        const countryText = card.find('[data-consumer-country-typography]').first().text().trim() ||
+                           card.find("article div a div span").text();
+        const country = countryText.split("•")[0].trim();
+        const stars = card.find("[data-service-review-rating]").attr("data-service-review-rating") || "";
+        const title = card.find("h2[data-service-review-title-typography]").text().trim();
+        const reviewLink = card.find("a[data-review-title-typography]").attr("href") || "";
+        const textElement = card.find("p[data-service-review-text-typography]").first();
+        const reviewText = textElement.text().trim();
+        // Full ISO timestamp - normalized to a UTC date later
+        const reviewDate = card.find("time[data-service-review-date-time-ago]").attr("datetime") || 
+                        card.find("time").text().trim();
+        
+        const dateOfExperience = card.find("p[data-service-review-date-of-experience-typography] span").text().trim() ||
+                                card.find("p[data-service-review-date-of-experience-typography]").text().replace(/^Date of experience:\s*/i, '').trim();
+        const label = card.find('[data-review-label-tooltip-trigger], [data-testid*="verified"]').first().text().trim();
+        const idMatch = reviewLink.match(/\/reviews\/([A-Za-z0-9]+)/);
+
+        productData.allReviews.push({
+            reviewerName,
+            jobTitle: "", // TrustPilot doesn't have job titles
+            reviewDate,
+            stars,
+            reviewTitle: title,
+            reviewText,
+            reviewId: idMatch ? idMatch[1] : "",
+            // Permalink (/reviews/<id>) - provides the review's stable ID
+            reviewLink: reviewLink ? new URL(reviewLink, TRUSTPILOT_ORIGIN).href : "",
+            country,
+            dateOfExperience: toExperienceDate(dateOfExperience),
+            verified: /verified/i.test(label),
+            verificationSource: label,
+            language: textElement.attr("lang") || card.attr("lang") || "",
+            ...parseDomReply_Trustpilot($, card, reviewDate)
         });
     });
+
+    return productData;
 }
 
 /**
- * Parses Trustpilot HTML content to extract review data
+ * Parses Trustpilot HTML content to extract review data. The JSON embedded in the
+ * page (Next.js data, then JSON-LD) is preferred; the rendered cards are the fallback
  * @param {string} html - HTML content to parse
- * @returns {Object} Parsed product data
+ * @returns {Object} { productData, source } where source is "next-data", "json-ld" or "dom"
  */
 function parsedDataFromHTML_Trustpilot(html) {
     try {
         const $ = cheerio.load(html);
-        const productData = {
-            productName: "",
-            reviewSite: "Trustpilot",
-            stars: "",
-            totalReviews: "",
-            allReviews: [],
-        };
 
-        // Parse header - split "Name Reviews 915"
-        const h1Text = $("h1").text().trim();
-        const headerMatch = h1Text.match(/^(.+?)\s+Reviews\s+([\d,]+)$/);
-        if (headerMatch) {
-            productData.productName = headerMatch[1];
-            productData.totalReviews = headerMatch[2].replace(/,/g, "");
-        } else {
-            productData.productName = h1Text;
-        }
+        const nextData = parseNextData_Trustpilot($);
+        if (nextData) return { productData: nextData, source: "next-data" };
 
-        // Extract star rating
-        productData.stars = $('p[data-rating-typography="true"]')
-            .first()
-            .text()
-            .trim();
-
-        // Extract individual reviews
-        $("div.styles_cardWrapper__g8amG.styles_show__Z8n7u").each((_, el) => {
-            const card = $(el);
-            const reviewerName = card.find("article div a span").first().text().trim();
-            const country = card.find("article div a div span").text().split("•")[0].trim();
-            const stars = card.find("article div section div").attr("data-service-review-rating") || "";
-            const title = card.find("h2[data-service-review-title-typography]").text().trim();
-            const reviewLink = card.find("a[data-review-title-typography]").attr("href") || "";
-            const reviewText = card.find("p[data-service-review-text-typography]").text().trim();
-            let reviewDate = card.find("time[data-service-review-date-time-ago]").attr("datetime") || 
-                            card.find("time").text().trim();
-            
-            // Format reviewDate to be just the date (remove time if present)
-            if (reviewDate.includes('T')) {
-                reviewDate = reviewDate.split('T')[0];
-            }
-            
-            const dateOfExperience = card.find("p[data-service-review-date-of-experience-typography] span").text().trim();
-
-            productData.allReviews.push({
-                reviewerName,
-                jobTitle: "", // TrustPilot doesn't have job titles
-                reviewDate,
-                stars,
-                reviewTitle: title,
-                reviewText
+        const jsonLd = parseJsonLd_Trustpilot($);
+        if (jsonLd) {
+            // JSON-LD has no header details on some pages - take them from the DOM
+            const dom = parseDom_Trustpilot($);
+            ['productName', 'stars', 'totalReviews'].forEach(field => {
+                if (!jsonLd[field]) jsonLd[field] = dom[field];
             });
-        });
+            return { productData: jsonLd, source: "json-ld" };
+        }
 
-        return { productData };
+        return { productData: parseDom_Trustpilot($), source: "dom" };
     } catch (error) {
         return { error };
     }
 }
 
+/**
+ * Parses a review's detail page (/reviews/<id>): the full text, the company's
+ * reply and the useful votes, which listing cards may truncate or leave out
+ * @param {string} html - HTML content of the detail page
+ * @returns {Object|null} { reviewText, usefulCount, companyReply, companyReplyDate, replyDelayHours },
+ *                        or null when the page shows no review
+ */
+function parseReviewDetail_Trustpilot(html) {
+    const $ = cheerio.load(html);
+
+    const pageProps = readNextDataPageProps_Trustpilot($);
+    if (pageProps && pageProps.review) {
+        const { reviewText, usefulCount, companyReply, companyReplyDate, replyDelayHours } =
+            fromNextDataReview_Trustpilot(pageProps.review);
+        return { reviewText, usefulCount, companyReply, companyReplyDate, replyDelayHours };
+    }
+
+    const reviewText = $("p[data-service-review-text-typography]").first().text().trim();
+    if (!reviewText) return null;
+    const reviewDate = $("time[data-service-review-date-time-ago]").first().attr("datetime") || "";
+    return { reviewText, ...parseDomReply_Trustpilot($, $.root(), reviewDate) };
+}
+
+/**
+ * Completes reviews from their detail pages (deep mode). Detail pages count
+ * against the Trustpilot rate limit like listing pages; a review whose page
+ * can't be fetched keeps what its card showed
+ * @param {Array<Object>} reviews - Reviews of one listing page
+ * @param {Object} options - { fetch: options for fetchPage }
+ * @returns {Promise<Array<Object>>} The reviews, completed where possible
+ */
+async function addReviewDetails_Trustpilot(reviews, options = {}) {
+    const detailed = [];
+    for (const review of reviews) {
+        if (!review.reviewLink) {
+            detailed.push(review);
+            continue;
+        }
+
+        try {
+            const response = assertSuccess(await fetchPage(review.reviewLink, options.fetch));
+            const details = parseReviewDetail_Trustpilot(response.body);
+            if (!details) {
+                console.warn(`⚠️ No review found on ${review.reviewLink}, keeping the card's data`);
+            }
+            // Keep what the card showed for every field the detail page leaves out
+            const shown = Object.entries(details || {}).filter(([, value]) => value !== null && value !== undefined && value !== '');
+            detailed.push({ ...review, ...Object.fromEntries(shown) });
+        } catch (error) {
+            console.warn(`⚠️ Could not fetch review details ${review.reviewLink}: ${error.message}`);
+            detailed.push(review);
+        }
+    }
+    return detailed;
+}
+
 /**
  * Scrapes all pages of Trustpilot reviews within date range
- * @param {Object} api - Crawlbase API instance
  * @param {string} baseUrl - Base URL to scrape
  * @param {string} startDateStr - Start date for filtering
  * @param {string} endDateStr - End date for filtering
+ * @param {Object} options - { fetch: options for fetchPage, dates: { unknownDates, now } for date filtering,
+ *                           pageHooks: hooks run on each page's reviews (see utils/page-hooks.js),
+ *                           resume: checkpoint to continue from (see utils/checkpoints.js),
+ *                           deep: also fetch each review's detail page for full text, company reply and useful votes }
  * @returns {Object} Scraped review data
  */
-async function scrapeAllPages_Trustpilot(baseUrl, startDateStr, endDateStr) {
-    let page = 1;
-    const allReviews = [];
-    let productInfo = null;
-    const startDate = new Date(startDateStr);
-    const endDate = new Date(endDateStr);
+async function scrapeAllPages_Trustpilot(baseUrl, startDateStr, endDateStr, options = {}) {
+    // A resumed scrape continues after the last checkpointed page (see utils/checkpoints.js)
+    const { resume } = options;
+    let page = resume ? resume.cursor.page : 1;
+    const allReviews = resume ? [...resume.reviews] : [];
+    let productInfo = resume ? resume.product : null;
+    const startDate = normalizeDate(startDateStr).date;
 
-    console.log(`Starting to scrape ${baseUrl} (Trustpilot)`);
+    logger.info(`Starting to scrape ${baseUrl} (Trustpilot)`);
 
     while (true) {
         // Add language parameter to get all reviews
@@ -145,13 +388,13 @@ async function scrapeAllPages_Trustpilot(baseUrl, startDateStr, endDateStr) {
             : `${baseUrl}?languages=all`;
         const url = generatePageUrl(langUrl, page);
         
-        console.log(`Trustpilot page ${page}: ${url}`);
+        logger.info(`Trustpilot page ${page}: ${url}`);
 
         // Retry fetch + parse up to 3 times if no reviews returned
         let parsedResult, resp;
         for (let attempt = 1; attempt <= 3; attempt++) {
             try {
-                resp = await fetchHtml(url);
+                resp = assertSuccess(await fetchPage(url, options.fetch));
                 parsedResult = parsedDataFromHTML_Trustpilot(resp.body);
 
                 if (parsedResult.error) {
@@ -167,16 +410,22 @@ async function scrapeAllPages_Trustpilot(baseUrl, startDateStr, endDateStr) {
                 if (attempt < 3) await delay(5000);
             } catch (error) {
                 console.error(`Fetch error on page ${page} attempt ${attempt}:`, error.message);
+                // A missing page means we ran past the last one - retrying won't help
+                if (error.status === 404) break;
                 if (attempt < 3) await delay(5000);
             }
         }
 
-        // Stop on parser error or still no reviews after retries
+        // Stop on fetch failure, parser error or still no reviews after retries
+        if (!parsedResult) {
+            logger.info(`Could not fetch page ${page}, stopping scrape.`);
+            break;
+        }
         if (parsedResult.error) {
             break;
         }
         if (!parsedResult.productData.allReviews.length) {
-            console.log(`No reviews found on page ${page} after retries, stopping scrape.`);
+            logger.info(`No reviews found on page ${page} after retries, stopping scrape.`);
             break;
         }
 
@@ -193,31 +442,36 @@ async function scrapeAllPages_Trustpilot(baseUrl, startDateStr, endDateStr) {
         }
 
         // Filter this page's reviews by date window
-        const filteredPageReviews = productData.allReviews.filter(r => {
-            const d = new Date(r.reviewDate);
-            return d >= startDate && d <= endDate;
-        });
-        allReviews.push(...filteredPageReviews);
+        const filteredPageReviews = productData.allReviews.filter(r =>
+            isReviewInDateRange(r.reviewDate, startDateStr, endDateStr, options.dates)
+        );
 
-        console.log(`Found ${productData.allReviews.length} reviews on page ${page}, ${filteredPageReviews.length} within date range`);
+        logger.info(`Found ${productData.allReviews.length} reviews on page ${page} (from ${parsedResult.source}), ${filteredPageReviews.length} within date range`);
+
+        const pageReviews = options.deep
+            ? await addReviewDetails_Trustpilot(filteredPageReviews, options)
+            : filteredPageReviews;
+
+        const pageHooks = await runPageHooks(options.pageHooks, { url, page, product: productInfo, reviews: pageReviews });
+        allReviews.push(...pageHooks.reviews);
+        if (pageHooks.stop) {
+            break;
+        }
 
         // Stop if the oldest review on the page is before start date
         const lastReview = productData.allReviews[productData.allReviews.length - 1];
-        if (new Date(lastReview.reviewDate) < startDate) {
-            console.log(`Reached reviews older than ${startDateStr}, stopping.`);
+        const lastReviewDate = normalizeDate(lastReview.reviewDate, options.dates).date;
+        if (startDate && lastReviewDate && lastReviewDate < startDate) {
+            logger.info(`Reached reviews older than ${startDateStr}, stopping.`);
             break;
         }
 
-        // Check for next page button
-        const $ = cheerio.load(resp.body);
-        const nextLink = $('a[name="pagination-button-next"]').attr('href');
-        if (!nextLink) {
-            console.log("No more Trustpilot pages.");
+        if (!productData.hasNextPage) {
+            logger.info("No more Trustpilot pages.");
             break;
         }
 
         page++;
-        await delay(25000); // Rate limiting
     }
 
     return {
@@ -227,7 +481,21 @@ async function scrapeAllPages_Trustpilot(baseUrl, startDateStr, endDateStr) {
     };
 }
 
+/**
+ * Trustpilot scraper definition for the scraper registry
+ */
+const scraper = {
+    name: "trustpilot",
+    label: "Trustpilot",
+    hostnames: ["trustpilot.com"],
+    // Trustpilot blocks fast pagination - one page every 25 seconds
+    fetchDefaults: { requestsPerMinute: 2.4 },
+    scrape: (job) => scrapeAllPages_Trustpilot(job.url, job.startDate, job.endDate, { fetch: job.fetch, dates: job.dates, pageHooks: job.pageHooks, resume: job.resume, deep: Boolean(job.options.deep) })
+};
+
 module.exports = {
+    scraper,
     scrapeAllPages_Trustpilot,
-    getScrapeOpsUrl
+    parsedDataFromHTML_Trustpilot,
+    parseReviewDetail_Trustpilot
 };
@@ -0,0 +1,375 @@
+const cheerio = require("cheerio");
+const { generatePageUrl, isReviewInDateRange, delay, resolveLimit } = require("../utils/common");
+const { toRating } = require("../utils/schema");
+const { fetchPage, assertSuccess } = require("../utils/http");
+const { runPageHooks } = require("../utils/page-hooks");
+const { getCheckpointReviewCount } = require("../utils/checkpoints");
+const logger = require("../utils/logger");
+
+const TRUSTRADIUS_ORIGIN = "https://www.trustradius.com";
+
+// Review card selectors, most specific first; the first one present on the page is used
+const TRUSTRADIUS_REVIEW_SELECTORS = [
+    '[data-testid="review-card"]',
+    'article[class*="review" i]',
+    'div[class*="ReviewCard"]',
+    'div.review'
+];
+
+/**
+ * Converts a TrustRadius score out of 10 to stars out of 5
+ * @param {string|number} score - Score as printed ("8.4", "8 out of 10")
+ * @returns {string} Stars, or "" when there is no score
+ */
+function toStars(score) {
+    const value = toRating(score);
+    return value === null ? "" : String(Math.round(value * 5) / 10);
+}
+
+/**
+ * Reads the review items and the aggregate rating of the page's schema.org JSON-LD
+ * @param {Function} $ - Cheerio root of the page
+ * @returns {Object} { product: node with aggregateRating or null, reviews: Review nodes }
+ */
+function readJsonLd_TrustRadius($) {
+    const nodes = [];
+    $('script[type="application/ld+json"]').each((_, element) => {
+        try {
+            const data = JSON.parse($(element).contents().text());
+            (Array.isArray(data) ? data : [data]).forEach(item => {
+                nodes.push(item, ...(Array.isArray(item['@graph']) ? item['@graph'] : []));
+                if (item && Array.isArray(item.review)) nodes.push(...item.review);
+            });
+        } catch (error) {
+            // Skip blocks that are not valid JSON
+        }
+    });
+
+    const isType = (node, type) => node && [].concat(node['@type'] || []).includes(type);
+    return {
+        product: nodes.find(node => node && node.aggregateRating) || null,
+        reviews: nodes.filter(node => isType(node, 'Review'))
+    };
+}
+
+/**
+ * Reads a list section of a review card ("Pros", "Cons"): the heading is followed
+ * by a list or paragraphs, up to the next heading
+ * @param {Function} $ - Cheerio root of the page
+ * @param {Object} card - Cheerio element of the review card
+ * @param {RegExp} pattern - Heading to look for
+ * @returns {string} Section items, one per line
+ */
+function parseListSection_TrustRadius($, card, pattern) {
+    const heading = card.find('h2, h3, h4, h5, strong, span, div')
+        .filter((_, element) => $(element).children().length === 0 && pattern.test($(element).text().trim()))
+        .first();
+    if (!heading.length) return "";
+
+    // A heading wrapped on its own is followed by its wrapper's siblings
+    let anchor = heading;
+    while (anchor.next().length === 0 && anchor.parent().length > 0 && !anchor.parent().is(card)) {
+        anchor = anchor.parent();
+    }
+
+    const items = [];
+    for (let sibling = anchor.next(); sibling.length > 0 && !/^h[1-6]$/i.test(sibling[0].tagName || ''); sibling = sibling.next()) {
+        const entries = sibling.is('ul, ol') ? sibling.find('li') : sibling.find('li').length ? sibling.find('li') : sibling;
+        entries.each((_, entry) => {
+            const text = $(entry).text().replace(/\s+/g, ' ').trim();
+            if (text) items.push(text);
+        });
+        if (items.length > 0) break;
+    }
+    return items.join("\n");
+}
+
+/**
+ * Reads the reviews from the rendered cards
+ * @param {Function} $ - Cheerio root of the page
+ * @param {Object} cards - Cheerio selection of the review cards
+ * @returns {Array<Object>} Reviews
+ */
+function parseReviewCards_TrustRadius($, cards) {
+    const reviews = [];
+
+    cards.each((_, element) => {
+        const card = $(element);
+        const cardText = card.text().replace(/\s+/g, ' ');
+
+        const reviewerName = card.find('[class*="reviewer" i] [class*="name" i], [itemprop="author"] [itemprop="name"], [class*="author" i] a').first().text().trim();
+        // "Director of IT in Information Technology (51-200 employees)" or separate position/company lines
+        const position = card.find('[class*="position" i], [class*="job-title" i], [class*="role" i]').first().text().replace(/\s+/g, ' ').trim();
+        // Company size comes from the reviewer details, never from the review text
+        const reviewerText = `${card.find('[class*="reviewer" i]').first().text()} ${position}`.replace(/\s+/g, ' ');
+        const sizeMatch = reviewerText.match(/\(?(\d[\d,]*\s*-\s*\d[\d,]*|\d[\d,]*\+)\s+employees\)?/i);
+        const industryMatch = position.match(/\bin\s+(.+?)\s*(?:\(|$)/);
+        const jobTitle = position.replace(/\s*\(.*$/, '').replace(/\s+in\s+.+$/, '').trim();
+
+        const scoreText = card.find('[class*="rating" i], [class*="score" i]').first().text();
+        const scoreMatch = (scoreText || cardText).match(/(\d+(?:\.\d+)?)\s*(?:out of|\/)\s*10/i);
+        const rating = scoreMatch ? scoreMatch[1] : "";
+
+        const reviewDate = card.find('time').first().attr('datetime') ||
+                          card.find('time, [class*="date" i]').first().text().trim();
+        const titleElement = card.find('h3 a, h3, h2 a, h2, [class*="title" i]').first();
+        const reviewTitle = titleElement.text().replace(/^["“']+|["”']+$/g, '').trim();
+        const reviewHref = card.find('a[href*="/reviews/"]').filter((_, link) => !/\/reviews\/?$/.test($(link).attr('href'))).first().attr('href') || "";
+
+        const pros = parseListSection_TrustRadius($, card, /^pros$/i);
+        const cons = parseListSection_TrustRadius($, card, /^cons$/i);
+        const reviewText = parseListSection_TrustRadius($, card, /^(use cases and deployment scope|overall|review)$/i) ||
+                          card.find('[class*="body" i] p, [itemprop="reviewBody"]').first().text().trim();
+
+        if (!reviewerName && !reviewText && !pros && !cons) return;
+
+        reviews.push({
+            reviewerName,
+            jobTitle,
+            reviewDate,
+            stars: toStars(rating),
+            reviewTitle,
+            reviewText,
+            rating: rating ? toRating(rating) : null,
+            pros,
+            cons,
+            companySize: sizeMatch ? `${sizeMatch[1].replace(/\s+/g, '')} employees` : "",
+            industry: industryMatch ? industryMatch[1].trim() : "",
+            reviewLink: reviewHref ? new URL(reviewHref, TRUSTRADIUS_ORIGIN).href : ""
+        });
+    });
+
+    return reviews;
+}
+
+/**
+ * Parses TrustRadius HTML content to extract review data. The rendered cards are
+ * preferred since only they show pros, cons and the reviewer's company; the
+ * JSON-LD reviews are the fallback
+ * @param {string} html - HTML content to parse
+ * @returns {Object} { productData } or { error }
+ */
+function parsedDataFromHTML_TrustRadius(html) {
+    try {
+        const $ = cheerio.load(html);
+        const jsonLd = readJsonLd_TrustRadius($);
+        const productData = {
+            productName: "",
+            reviewSite: "TrustRadius",
+            stars: "",
+            totalReviews: "",
+            trScore: null,
+            allReviews: [],
+            hasNextPage: null
+        };
+
+        productData.productName = $('h1').first().text().replace(/\s+/g, ' ')
+            .replace(/^Reviews\s+of\s+/i, '')
+            .replace(/\s+(Reviews|Reviews\s*&\s*Ratings).*$/i, '')
+            .trim() || (jsonLd.product && jsonLd.product.name) || "";
+
+        // trScore is out of 10, e.g. "trScore 8.4 out of 10"
+        const pageText = $('body').text().replace(/\s+/g, ' ');
+        const trScoreMatch = $('[class*="trScore" i], [data-testid="tr-score"]').first().text().match(/(\d+(?:\.\d+)?)/) ||
+                            pageText.match(/trScore\s*(\d+(?:\.\d+)?)\s*out of\s*10/i);
+        const aggregate = jsonLd.product ? jsonLd.product.aggregateRating : null;
+        if (trScoreMatch) {
+            productData.trScore = toRating(trScoreMatch[1]);
+        } else if (aggregate && String(aggregate.bestRating) === '10') {
+            productData.trScore = toRating(aggregate.ratingValue);
+        }
+        productData.stars = productData.trScore !== null ? toStars(productData.trScore) : "";
+
+        // Matched per element: in the page text the count runs into the trScore before it
+        const countElement = $('span, a, div, h2, p')
+            .filter((_, element) => $(element).children().length === 0 && /^[\d,]+\s+Reviews\b/i.test($(element).text().trim()))
+            .first();
+        const countMatch = countElement.text().trim().match(/^([\d,]+)/);
+        productData.totalReviews = (aggregate && String(aggregate.reviewCount || aggregate.ratingCount || "")) ||
+                                  (countMatch ? countMatch[1] : "");
+
+        const selector = TRUSTRADIUS_REVIEW_SELECTORS.find(candidate => $(candidate).length > 0);
+        if (selector) {
+            productData.allReviews = parseReviewCards_TrustRadius($, $(selector));
+        }
+        if (productData.allReviews.length === 0) {
+            productData.allReviews = jsonLd.reviews.map(review => {
+                const score = review.reviewRating ? review.reviewRating.ratingValue : "";
+                return {
+                    reviewerName: (review.author && review.author.name) || "",
+                    jobTitle: "",
+                    reviewDate: review.datePublished || "",
+                    stars: toStars(score),
+                    reviewTitle: review.name || review.headline || "",
+                    reviewText: review.reviewBody || "",
+                    rating: score ? toRating(score) : null,
+                    pros: "",
+                    cons: "",
+                    companySize: "",
+                    industry: "",
+                    reviewLink: review.url ? new URL(review.url, TRUSTRADIUS_ORIGIN).href : ""
+                };
+            });
+        }
+
+        // Without pagination controls it's unknown whether more pages follow
+        const next = $('a[rel="next"], link[rel="next"], [aria-label="Next page"], [aria-label="Next"]').first();
+        if (next.length > 0) {
+            productData.hasNextPage = !(next.is('[disabled]') || next.attr('aria-disabled') === 'true');
+        } else if ($('nav[aria-label*="pagination" i], [class*="pagination" i]').length > 0) {
+            productData.hasNextPage = false;
+        }
+
+        return { productData };
+    } catch (error) {
+        return { error };
+    }
+}
+
+/**
+ * Fetches and parses one TrustRadius reviews page, retrying when it fails or shows no reviews
+ * @param {string} url - Page URL
+ * @param {number} page - Page number, for logging
+ * @param {Object} options - { fetch: options for fetchPage }
+ * @returns {Object|null} Parsed product data of the page, or null when it could not be fetched
+ */
+async function fetchReviewsPage_TrustRadius(url, page, options = {}) {
+    let productData = null;
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        try {
+            const response = assertSuccess(await fetchPage(url, options.fetch));
+            const parsedResult = parsedDataFromHTML_TrustRadius(response.body);
+
+            if (parsedResult.error) {
+                console.error(`Error parsing TrustRadius page ${page}:`, parsedResult.error);
+                break;
+            }
+
+            productData = parsedResult.productData;
+            if (productData.allReviews.length > 0) break;
+
+            console.warn(`Attempt ${attempt} for page ${page} returned 0 reviews—retrying...`);
+            if (attempt < 3) await delay(5000);
+        } catch (fetchError) {
+            console.error(`Attempt ${attempt} for page ${page} failed:`, fetchError.message);
+            // A missing page means we ran past the last one - retrying won't help
+            if (fetchError.status === 404) break;
+            if (attempt < 3) await delay(5000);
+        }
+    }
+
+    return productData;
+}
+
+/**
+ * Scrapes TrustRadius reviews within the date range. TrustRadius doesn't list
+ * reviews by date, so every page is read (up to maxPages) and filtered
+ * @param {string} baseUrl - Reviews URL, e.g. https://www.trustradius.com/products/slack/reviews
+ * @param {string} startDate - Start date for filtering
+ * @param {string} endDate - End date for filtering
+ * @param {Object} options - { fetch: options for fetchPage, dates: { unknownDates, now } for date filtering,
+ *                           pageHooks: hooks run on each page's reviews (see utils/page-hooks.js),
+ *                           resume: checkpoint to continue from (see utils/checkpoints.js),
+ *                           maxPages: maximum pages to fetch (default: no limit) }
+ * @returns {Object|null} Scraped review data, or null when the first page could not be fetched
+ */
+async function scrapeAllPages_TrustRadius(baseUrl, startDate, endDate, options = {}) {
+    // A resumed scrape continues after the last checkpointed page (see utils/checkpoints.js)
+    const { resume } = options;
+    const maxPages = options.maxPages || Infinity;
+    let page = resume ? resume.cursor.page : 1;
+    let filteredReviews = resume ? [...resume.reviews] : [];
+    // The page hooks may stream the reviews to an output instead of passing them back
+    let collected = resume ? getCheckpointReviewCount(resume) : 0;
+    let productInfo = resume ? resume.product : null;
+    let previousFirstReview = null;
+
+    logger.info(`Starting to scrape ${baseUrl} (TrustRadius)`);
+
+    while (page <= maxPages) {
+        const url = generatePageUrl(baseUrl, page);
+        logger.info(`TrustRadius page ${page}: ${url}`);
+
+        const productData = await fetchReviewsPage_TrustRadius(url, page, options);
+        if (!productData) {
+            if (page === 1) return null;
+            logger.info(`Could not fetch page ${page}, stopping scrape.`);
+            break;
+        }
+
+        // Capture header info on first page
+        if (!productInfo) {
+            productInfo = {
+                productName: productData.productName,
+                reviewSite: "TrustRadius",
+                stars: productData.stars,
+                totalReviews: productData.totalReviews,
+                trScore: productData.trScore
+            };
+        }
+
+        const pageReviews = productData.allReviews;
+        if (pageReviews.length === 0) {
+            logger.info(`No reviews found on page ${page}, stopping scrape.`);
+            break;
+        }
+
+        // An out-of-range page number may serve the last page again
+        const firstReview = `${pageReviews[0].reviewerName}|${pageReviews[0].reviewDate}|${pageReviews[0].reviewTitle}`;
+        if (firstReview === previousFirstReview) {
+            logger.info(`Page ${page} repeats the previous page, stopping scrape.`);
+            break;
+        }
+        previousFirstReview = firstReview;
+
+        const pageFilteredReviews = pageReviews.filter(review =>
+            isReviewInDateRange(review.reviewDate, startDate, endDate, options.dates)
+        );
+        logger.info(`Found ${pageReviews.length} reviews on page ${page}, ${pageFilteredReviews.length} within date range`);
+
+        collected += pageFilteredReviews.length;
+        const pageHooks = await runPageHooks(options.pageHooks, { url, page, product: productInfo, reviews: pageFilteredReviews });
+        filteredReviews = filteredReviews.concat(pageHooks.reviews);
+        if (pageHooks.stop) break;
+
+        if (productData.hasNextPage === false) {
+            logger.info("No more TrustRadius pages.");
+            break;
+        }
+
+        page++;
+    }
+
+    logger.info(`Collected ${collected} reviews within date range`);
+
+    return {
+        ...productInfo,
+        allReviews: filteredReviews,
+        totalScrapedReviews: filteredReviews.length
+    };
+}
+
+/**
+ * TrustRadius scraper definition for the scraper registry
+ */
+const scraper = {
+    name: "trustradius",
+    label: "TrustRadius",
+    hostnames: ["trustradius.com"],
+    // Reviews are listed by relevance, so incremental runs read every page
+    sortedByDate: false,
+    scrape: (job) => scrapeAllPages_TrustRadius(job.url, job.startDate, job.endDate, {
+        fetch: job.fetch,
+        dates: job.dates,
+        pageHooks: job.pageHooks,
+        resume: job.resume,
+        maxPages: resolveLimit(job.options.maxPages)
+    })
+};
+
+module.exports = {
+    scraper,
+    scrapeAllPages_TrustRadius,
+    parsedDataFromHTML_TrustRadius
+};
@@ -2,142 +2,523 @@ const fs = require("fs");
 const path = require("path");
 require("dotenv").config();
 
-// Import platform-specific scrapers
-const { scrapeG2WithProxy } = require("./scrapers/g2-scraper");
-const { scrapeAndFilterReviews_Capterra } = require("./scrapers/capterra-scraper");
-const { scrapeAllPages_Trustpilot } = require("./scrapers/trustpilot-scraper");
-const { saveToJsonFile } = require("./utils/common");
+// Platform scrapers are looked up by hostname in the scraper registry
+const { getScraperForUrl, isSortedByDate, listScrapers, loadDefaultPlugins } = require("./scrapers");
+const { saveToJsonFile, getOutputFile, resolveLimit } = require("./utils/common");
+const { loadConfig, resolveFetchOptions } = require("./utils/config");
+const { setRecordMode } = require("./utils/recorder");
+const { normalizeDate } = require("./utils/dates");
+const { normalizeAndValidate } = require("./utils/schema");
+const { dedupeReviews } = require("./utils/review-id");
+const { getEntryKey, loadCheckpoint, clearCheckpoint, getCheckpointReviewCount, createCheckpointHook, loadRun, saveRun, clearRun } = require("./utils/checkpoints");
+const { runTasks } = require("./utils/scheduler");
+const { loadState, saveState, createIncrementalHook, updateSourceState, appendToHistory } = require("./utils/state-store");
+const { openDatabase, saveToDatabase } = require("./utils/database");
+const { createNdjsonOutput, readNdjsonReviews } = require("./utils/ndjson-output");
+const logger = require("./utils/logger");
+
+// Output formats of the scrape: json is written when an entry completes, ndjson while it runs
+const OUTPUT_FORMATS = ['json', 'ndjson'];
+
+/**
+ * Logs the records that failed schema validation
+ * @param {string} url - Source URL
+ * @param {Array<string>} productErrors - Product-level errors
+ * @param {Array<Object>} rejectedReviews - Rejected reviews with their errors
+ */
+function reportValidationErrors(url, productErrors, rejectedReviews) {
+    if (productErrors.length > 0) {
+        console.error(`❌ Invalid product data for ${url}: ${productErrors.join('; ')}`);
+    }
+    if (rejectedReviews.length > 0) {
+        console.warn(`⚠️ ${rejectedReviews.length} review(s) from ${url} failed validation and were not saved:`);
+        rejectedReviews.forEach(({ index, review, errors }) => {
+            console.warn(`   #${index + 1} ${review.reviewerName || '(no reviewer)'} ${review.reviewDate || ''}: ${errors.join('; ')}`);
+        });
+    }
+}
 
 /**
- * Determines the platform type from URL and calls appropriate scraper
+ * Finds the registered scraper for the URL, runs it and converts the result
+ * to the canonical schema (see utils/schema.js)
  * @param {string} url - The URL to scrape
  * @param {string} startDate - Start date for filtering
  * @param {string} endDate - End date for filtering
- * @returns {Object|null} Scraped review data or null if failed
+ * @param {Object} options - Extra entry options passed through to the scraper (e.g. maxReviews, maxPages, fetch, unknownDates)
+ * @param {Object} runOptions - Pipeline options
+ * @param {Array<Function>} runOptions.pageHooks - Hooks run on each page of reviews (see utils/page-hooks.js)
+ * @param {Object} runOptions.incrementalState - Only collect reviews newer than this source state (see utils/state-store.js)
+ * @param {string} runOptions.checkpointKey - Save a checkpoint under this key after every page (see utils/checkpoints.js)
+ * @param {Object} runOptions.resume - Checkpoint to continue from instead of starting at the first page
+ * @param {string} runOptions.ndjsonFile - Stream the reviews to this NDJSON file while scraping (see utils/ndjson-output.js);
+ *                                         a checkpoint of a streamed scrape continues the file it names instead
+ * @returns {Object|null} Validated review data or null if failed. A streamed scrape returns the product
+ *                       details and totalScrapedReviews without allReviews: read them from its NDJSON
+ *                       file with readNdjsonReviews (see utils/ndjson-output.js)
  */
-async function scrapeReviews(url, startDate, endDate) {
-    const urlLower = url.toLowerCase();
+async function scrapeReviews(url, startDate, endDate, options = {}, runOptions = {}) {
+    const scraper = getScraperForUrl(url);
+
+    if (!scraper) {
+        const supported = listScrapers().map(s => s.label || s.name).join(', ');
+        console.error(`❌ Unsupported platform. Supported: ${supported}`);
+        return null;
+    }
 
+    let ndjson = null;
     try {
-        if (urlLower.includes('capterra')) {
-            console.log(`🎯 Detected Capterra URL`);
-            return await scrapeAndFilterReviews_Capterra(url, startDate, endDate);
-        } 
-        else if (urlLower.includes('g2')) {
-            console.log(`🎯 Detected G2 URL - Using ScrapeOps Proxy Bypass`);
-            const maxReviews = 50; // Adjust as needed
-            return await scrapeG2WithProxy(url, startDate, endDate, maxReviews);
-        } 
-        else if (urlLower.includes('trustpilot')) {
-            console.log(`🎯 Detected Trustpilot URL`);
-            return await scrapeAllPages_Trustpilot(url, startDate, endDate);
-        } 
-        else {
-            console.error(`❌ Unsupported platform. Supported: G2, Capterra, Trustpilot`);
+        const fetchOptions = resolveFetchOptions(scraper.name, options.fetch, scraper.fetchDefaults);
+        logger.info(`🎯 Detected ${scraper.label || scraper.name} URL (fetching via ${fetchOptions.provider})`);
+        const { resume } = runOptions;
+        if (resume) {
+            logger.info(`⏯️ Resuming after page ${resume.page} with ${getCheckpointReviewCount(resume)} review(s) collected`);
+        }
+        // A resumed entry keeps the original scrape time so relative dates resolve the same way
+        const scrapedAt = resume ? new Date(resume.scrapedAt) : new Date();
+        // Reviews whose date can't be parsed are excluded from date filtering unless unknownDates is "include"
+        const dates = { unknownDates: options.unknownDates || 'exclude', now: scrapedAt };
+        const pageHooks = [...(runOptions.pageHooks || [])];
+        // Relative review dates are compared with the stored state as of the same scrape time
+        if (runOptions.incrementalState) {
+            pageHooks.unshift(createIncrementalHook(runOptions.incrementalState, dates, { sortedByDate: isSortedByDate(scraper, url) }));
+        }
+        // Reviews kept by the other hooks are streamed before the checkpoint is saved
+        const streamedTo = resume && resume.output;
+        if (runOptions.ndjsonFile || streamedTo) {
+            ndjson = createNdjsonOutput(streamedTo ? streamedTo.filePath : runOptions.ndjsonFile,
+                { platform: scraper.name, sourceUrl: url, scrapedAt: scrapedAt.toISOString() },
+                streamedTo ? { offset: streamedTo.offset } : { initialReviews: resume ? resume.reviews : [] });
+            pageHooks.push(ndjson.hook);
+        }
+        if (runOptions.checkpointKey) {
+            const entry = { key: runOptions.checkpointKey, url, startDate, endDate, scrapedAt: scrapedAt.toISOString() };
+            pageHooks.push(createCheckpointHook(entry, resume, undefined, ndjson));
+        }
+
+        const result = await scraper.scrape({
+            url,
+            startDate,
+            endDate,
+            options,
+            fetch: fetchOptions,
+            dates,
+            pageHooks,
+            resume: resume || null
+        });
+
+        if (!result) {
+            if (ndjson) ndjson.finish(null, 'failed');
             return null;
         }
+
+        const { product, productErrors, rejectedReviews } = normalizeAndValidate(result, {
+            platform: scraper.name,
+            sourceUrl: url,
+            scrapedAt: scrapedAt.toISOString()
+        });
+        reportValidationErrors(url, productErrors, ndjson ? ndjson.rejectedReviews : rejectedReviews);
+        if (productErrors.length > 0) {
+            if (ndjson) ndjson.finish(null, 'failed');
+            return null;
+        }
+
+        // Streamed reviews were validated and deduplicated as they were written, and stay in the file
+        if (ndjson) {
+            ndjson.finish(product);
+            const { allReviews, ...details } = product;
+            return { ...details, totalScrapedReviews: ndjson.position().reviewCount };
+        }
+
+        // The same review can show up on two pages when the site shifts its listing mid-run
+        const { reviews, duplicates } = dedupeReviews(product.allReviews);
+        if (duplicates > 0) {
+            logger.info(`🧹 Removed ${duplicates} duplicate review(s)`);
+        }
+        product.allReviews = reviews;
+        product.totalScrapedReviews = reviews.length;
+        return product;
     } catch (error) {
         console.error(`❌ Error scraping ${url}:`, error.message);
+        if (ndjson) ndjson.finish(null, 'failed');
         return null;
     }
 }
 
+/**
+ * Error raised when the input (file, entries or flags) cannot be used
+ */
+class InputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InputError';
+    }
+}
+
+/**
+ * Lists the problems of an input entry
+ * @param {Object} entry - Input entry
+ * @returns {Array<string>} Errors (empty when the entry is valid)
+ */
+function getInputEntryErrors(entry) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return ['entry must be an object'];
+    }
+    if (!entry.url || !entry.start_date || !entry.end_date) {
+        return ["each input entry must include 'url', 'start_date', and 'end_date'"];
+    }
+
+    const errors = [];
+    try {
+        new URL(entry.url);
+        if (!getScraperForUrl(entry.url)) {
+            errors.push(`unsupported platform for ${entry.url}`);
+        }
+    } catch (error) {
+        errors.push(`invalid url ${JSON.stringify(entry.url)}`);
+    }
+
+    const startDate = normalizeDate(entry.start_date).date;
+    const endDate = normalizeDate(entry.end_date).date;
+    if (!startDate) errors.push(`invalid start_date ${JSON.stringify(entry.start_date)}`);
+    if (!endDate) errors.push(`invalid end_date ${JSON.stringify(entry.end_date)}`);
+    if (startDate && endDate && startDate > endDate) {
+        errors.push(`start_date ${entry.start_date} is after end_date ${entry.end_date}`);
+    }
+    ['maxReviews', 'maxPages'].forEach(option => {
+        try {
+            resolveLimit(entry[option]);
+        } catch (error) {
+            errors.push(`${option}: ${error.message}`);
+        }
+    });
+    if (entry.deep !== undefined && typeof entry.deep !== 'boolean') {
+        errors.push(`deep must be true or false, got ${JSON.stringify(entry.deep)}`);
+    }
+    if (entry.country !== undefined && !/^[a-z]{2}$/i.test(entry.country)) {
+        errors.push(`country must be a two-letter country code, got ${JSON.stringify(entry.country)}`);
+    }
+    if (entry.language !== undefined && !/^[a-z]{2,3}([-_][a-z0-9]{2,4})?$/i.test(entry.language)) {
+        errors.push(`language must be a language code such as "en" or "pt-BR", got ${JSON.stringify(entry.language)}`);
+    }
+    return errors;
+}
+
 /**
  * Validates input data structure
  * @param {Object} entry - Input entry to validate
  * @returns {boolean} Whether the entry is valid
  */
 function validateInputEntry(entry) {
-    if (!entry.url || !entry.start_date || !entry.end_date) {
-        console.error("❌ Each input entry must include 'url', 'start_date', and 'end_date'");
+    const errors = getInputEntryErrors(entry);
+    if (errors.length > 0) {
+        console.error(`❌ Invalid input entry: ${errors.join('; ')}`);
         return false;
     }
     return true;
 }
 
+/**
+ * Reads the input entries from a JSON file holding one entry or an array of entries
+ * @param {string} inputFilePath - Input file
+ * @returns {Array<Object>} Input entries
+ */
+function readInputFile(inputFilePath) {
+    if (!fs.existsSync(inputFilePath)) {
+        throw new InputError(`Input file not found: ${inputFilePath}`);
+    }
+
+    let inputData;
+    try {
+        inputData = JSON.parse(fs.readFileSync(inputFilePath, 'utf8'));
+    } catch (error) {
+        throw new InputError(`Input file ${inputFilePath} is not valid JSON: ${error.message}`);
+    }
+
+    // Support both single object and array of objects
+    return Array.isArray(inputData) ? inputData : [inputData];
+}
+
+/**
+ * Returns the hostname an entry is scraped from, used to limit parallel entries per site
+ * @param {Object} entry - Input entry
+ * @returns {string} Hostname ("" when the URL is invalid)
+ */
+function getEntryHost(entry) {
+    try {
+        return new URL(entry.url).hostname.toLowerCase();
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Prints what a run would do without fetching or writing anything
+ * @param {Array<Object>} entries - Input entries
+ * @param {Object} options - Run options of main()
+ * @param {Object} state - Incremental state
+ */
+function printDryRun(entries, options, state) {
+    console.log("🧪 Dry run - nothing will be fetched or written");
+    entries.forEach((entry, i) => {
+        const errors = getInputEntryErrors(entry);
+        if (errors.length > 0) {
+            console.log(`\n${i + 1}. ❌ ${errors.join('; ')}`);
+            return;
+        }
+
+        const { url, start_date, end_date, ...entryOptions } = entry;
+        const scraper = getScraperForUrl(url);
+        const fetchOptions = resolveFetchOptions(scraper.name, entryOptions.fetch, scraper.fetchDefaults);
+        const incremental = Boolean(options.incremental || entryOptions.incremental);
+        const checkpoint = options.resume ? loadCheckpoint(getEntryKey(url, start_date, end_date)) : null;
+
+        console.log(`\n${i + 1}. ${scraper.label || scraper.name}: ${url}`);
+        console.log(`   📅 ${start_date} to ${end_date}`);
+        console.log(`   🌐 ${fetchOptions.provider}, ${fetchOptions.requestsPerMinute} request(s)/minute`);
+        if (incremental) {
+            const known = state[url] && state[url].newestReviewDate;
+            console.log(`   🔁 Incremental: ${known ? `reviews newer than ${known}` : 'first run'}`);
+        }
+        if (checkpoint) {
+            console.log(`   ⏯️ Resumes after page ${checkpoint.page} (${getCheckpointReviewCount(checkpoint)} review(s) collected)`);
+        }
+    });
+}
+
 /**
  * Main function to orchestrate the scraping process
+ * @param {Object} options - Run options
+ * @param {string} options.inputFile - Input file (default: ./input.json)
+ * @param {Array<Object>} options.entries - Entries to scrape instead of reading the input file
+ * @param {string} options.outputDir - Directory for the JSON results (default: ./output)
+ * @param {string} options.format - Output format, one of OUTPUT_FORMATS (default: "json"); ndjson files
+ *                                  are written while each entry is scraped, so partial results survive crashes
+ * @param {boolean} options.dryRun - Only print what would be scraped
+ * @param {boolean} options.record - Save every fetched page to the fixtures directory
+ * @param {boolean} options.replay - Serve every page from the fixtures directory (no network)
+ * @param {string} options.fixturesDir - Fixtures directory (default: ./fixtures)
+ * @param {boolean} options.incremental - Only collect reviews newer than the previous run, for every entry
+ * @param {boolean} options.deep - Fetch each review's detail page where the platform supports it (Trustpilot), for every entry
+ * @param {number} options.concurrency - Maximum entries scraped at once (default: config "scheduler" or 3)
+ * @param {boolean} options.resume - Continue an interrupted run: skip entries it completed and continue
+ *                                   unfinished entries from their last checkpoint
+ * @param {string} options.database - SQLite database to save every scrape to as well
+ *                                    (default: config "database.path", relative to the project; none when unset)
+ * @param {string} options.logLevel - Progress logging during the run: quiet, normal or verbose (see utils/logger.js)
+ * @returns {Promise<Object>} { total, completed, failed, invalid, files } - files are the results written
+ * @throws {InputError} When the input cannot be read or the options conflict
  */
-async function main() {
-    console.log("🚀 Starting Review Scraper...");
-    
+async function main(options = {}) {
+    const previousLogLevel = logger.setLogLevel(options.logLevel || logger.getLogLevel());
     try {
-        // No longer need to check for Crawlbase TOKEN since we're using Puppeteer
-        // Check if Puppeteer can run properly
-        console.log("🤖 Initializing Puppeteer...");
+        return await scrapeEntries(options);
+    } finally {
+        logger.setLogLevel(previousLogLevel);
+    }
+}
+
+/**
+ * Scrapes the entries with the options of main()
+ * @param {Object} options - Run options (see main)
+ * @returns {Promise<Object>} { total, completed, failed, invalid, files }
+ */
+async function scrapeEntries(options) {
+    logger.info("🚀 Starting Review Scraper...");
+
+    if (options.record && options.replay) {
+        throw new InputError("--record and --replay cannot be used together");
+    }
+    const format = options.format || 'json';
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new InputError(`Unknown output format "${format}". Supported: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (options.record || options.replay) {
+        setRecordMode(options.record ? 'record' : 'replay', options.fixturesDir);
+    }
+
+    // Register third-party scrapers from ./plugins and SCRAPER_PLUGINS
+    loadDefaultPlugins();
+
+    const entries = options.entries || readInputFile(options.inputFile || path.join(__dirname, 'input.json'));
+    
+    if (entries.length === 0) {
+        throw new InputError("No entries found in the input");
+    }
+
+    logger.info(`📋 Found ${entries.length} URL(s) to scrape`);
+
+    // Newest review already collected per source URL, for incremental entries
+    const state = loadState();
+    const summary = { total: entries.length, completed: 0, failed: 0, invalid: 0, files: [] };
+
+    if (options.dryRun) {
+        printDryRun(entries, options, state);
+        summary.invalid = entries.filter(entry => getInputEntryErrors(entry).length > 0).length;
+        return summary;
+    }
 
-        // Read input file
-        const inputFilePath = path.join(__dirname, 'input.json');
-        if (!fs.existsSync(inputFilePath)) {
-            console.error("❌ Input file not found: input.json");
-            console.error("Please create an input.json file with your scraping configuration");
-            process.exit(1);
+    // Optional SQLite sink next to the JSON files (see utils/database.js)
+    const databaseConfig = loadConfig().database || {};
+    const databasePath = options.database || (databaseConfig.path && path.resolve(__dirname, databaseConfig.path));
+    const db = databasePath ? openDatabase(databasePath) : null;
+    if (db) {
+        logger.info(`🗄️ Saving to database ${databasePath}`);
+    }
+
+    /**
+     * Saves a scrape to the database, when there is one
+     * @param {Object} result - Canonical product data
+     * @param {Object} entry - Input entry
+     * @param {Iterable<Object>} reviews - The scrape's reviews
+     */
+    const saveEntryToDatabase = (result, entry, reviews) => {
+        if (!db) return;
+        const saved = saveToDatabase(db, result, { startDate: entry.start_date, endDate: entry.end_date }, reviews);
+        console.log(`🗄️ Database run #${saved.runId}: ${saved.newReviews} new, ${saved.updatedReviews} updated review(s)`);
+    };
+
+    // Entries completed by this run; progress within an entry is checkpointed after every page
+    let run = options.resume ? loadRun() : null;
+    if (run && run.startedAt) {
+        logger.info(`⏯️ Resuming the run started at ${run.startedAt} (${run.completed.length} entr${run.completed.length === 1 ? 'y' : 'ies'} already done)`);
+    } else {
+        if (options.resume) {
+            logger.info("⏯️ Nothing to resume, starting a new run");
         }
+        clearRun();
+        run = { startedAt: new Date().toISOString(), completed: [] };
+        saveRun(run);
+    }
 
-        const inputData = JSON.parse(fs.readFileSync(inputFilePath, 'utf8'));
+    /**
+     * Scrapes one entry and saves its results
+     * @returns {Promise<string>} "completed", "failed" (to be resumed) or "invalid"
+     */
+    const processEntry = async (entry, i) => {
+        logger.info(`\n📄 Processing entry ${i + 1}/${entries.length}`);
         
-        // Support both single object and array of objects
-        const entries = Array.isArray(inputData) ? inputData : [inputData];
-        
-        if (entries.length === 0) {
-            console.error("❌ No entries found in input.json");
-            process.exit(1);
+        // Validate entry
+        if (!validateInputEntry(entry)) {
+            return 'invalid';
         }
 
-        console.log(`📋 Found ${entries.length} URL(s) to scrape`);
-
-        // Process each entry
-        for (let i = 0; i < entries.length; i++) {
-            const entry = entries[i];
-            console.log(`\n📄 Processing entry ${i + 1}/${entries.length}`);
-            
-            // Validate entry
-            if (!validateInputEntry(entry)) {
-                continue;
-            }
+        const { url, start_date, end_date, ...entryOptions } = entry;
+        const checkpointKey = getEntryKey(url, start_date, end_date);
+        if (run.completed.includes(checkpointKey)) {
+            logger.info(`⏭️ Already completed in the interrupted run: ${url}`);
+            return 'completed';
+        }
+        const incremental = Boolean(options.incremental || entryOptions.incremental);
+        logger.info(`🔗 URL: ${url}`);
+        logger.info(`📅 Date range: ${start_date} to ${end_date}`);
+        if (incremental) {
+            const known = state[url] && state[url].newestReviewDate;
+            logger.info(`🔁 Incremental mode - ${known ? `collecting reviews newer than ${known}` : 'first run, collecting everything'}`);
+        }
 
-            const { url, start_date, end_date } = entry;
-            console.log(`🔗 URL: ${url}`);
-            console.log(`📅 Date range: ${start_date} to ${end_date}`);
+        // Scrape reviews
+        const resume = options.resume ? loadCheckpoint(checkpointKey) : null;
+        const scrapeOptions = options.deep ? { ...entryOptions, deep: true } : entryOptions;
+        // A streamed entry continues its file, whatever the format of this run
+        const streamedTo = resume && resume.output;
+        const ndjsonFile = streamedTo
+            ? { filePath: streamedTo.filePath, filename: path.basename(streamedTo.filePath) }
+            : format === 'ndjson' ? getOutputFile(url, '.ndjson', options.outputDir) : null;
+        if (ndjsonFile) {
+            logger.info(`📝 Streaming reviews to ${ndjsonFile.filename}`);
+        }
+        const result = await scrapeReviews(url, start_date, end_date, scrapeOptions,
+            { incrementalState: incremental ? state[url] : null, checkpointKey, resume, ndjsonFile: ndjsonFile && ndjsonFile.filePath });
+        
+        if (!result) {
+            console.error(`❌ Failed to scrape data for ${url}`);
+            return 'failed';
+        }
 
-            // Scrape reviews
-            const result = await scrapeReviews(url, start_date, end_date);
-            
-            if (!result) {
-                console.error(`❌ Failed to scrape data for ${url}`);
-                continue;
-            }
+        // Streamed reviews stay in their file and are read back one at a time by each step
+        const runReviews = () => (ndjsonFile ? readNdjsonReviews(ndjsonFile.filePath) : result.allReviews);
 
-            // Save results
-            const fileInfo = saveToJsonFile(result, url);
+        if (incremental && result.totalScrapedReviews === 0) {
+            console.log(`✅ No new reviews for ${url}`);
+            updateSourceState(state, url, result, state[url] && state[url].historyFile, []);
+            saveState(state);
+            saveEntryToDatabase(result, entry, []);
+            if (ndjsonFile) fs.rmSync(ndjsonFile.filePath, { force: true });
+        } else {
+            // Save results (NDJSON outputs are already written)
+            const fileInfo = ndjsonFile || saveToJsonFile(result, url, options.outputDir);
+            summary.files.push(fileInfo.filePath);
             console.log(`✅ Scraping complete for ${url}`);
             console.log(`📁 Output file: ${fileInfo.filename}`);
             console.log(`📊 Reviews scraped: ${result.totalScrapedReviews}`);
-            
-            // Add delay between entries to be respectful
-            if (i < entries.length - 1) {
-                console.log("⏳ Waiting before next entry...");
-                await new Promise(resolve => setTimeout(resolve, 5000));
+            saveEntryToDatabase(result, entry, runReviews());
+
+            if (incremental) {
+                const history = appendToHistory(result, undefined, runReviews());
+                updateSourceState(state, url, result, path.relative(__dirname, history.filePath), runReviews());
+                saveState(state);
+                console.log(`📚 History: ${history.filePath} (${history.totalReviews} reviews)`);
             }
         }
 
-        console.log("\n🎉 All scraping tasks completed successfully!");
+        // The results are saved, so the entry no longer needs its checkpoint
+        run.completed.push(checkpointKey);
+        saveRun(run);
+        clearCheckpoint(checkpointKey);
+        return 'completed';
+    };
 
-    } catch (error) {
-        console.error("❌ Fatal error during scraping:", error.message);
-        process.exit(1);
+    // Entries for different sites run in parallel; requests to each host are
+    // rate limited in the fetch layer (see utils/rate-limiter.js)
+    const schedulerOptions = { ...(loadConfig().scheduler || {}) };
+    if (options.concurrency) {
+        schedulerOptions.concurrency = options.concurrency;
+    }
+    const tasks = entries.map((entry, i) => ({
+        host: getEntryHost(entry),
+        run: () => processEntry(entry, i)
+    }));
+    let results;
+    try {
+        results = await runTasks(tasks, schedulerOptions);
+    } finally {
+        if (db) db.close();
     }
-}
 
-// Run the main function
-if (require.main === module) {
-    main().catch(async (error) => {
-        console.error("❌ Unhandled error:", error);
-        process.exit(1);
-    });
+    results
+        .filter(result => result && result.error)
+        .forEach(({ error }) => console.error("❌ Entry failed:", error.message));
+    summary.completed = results.filter(result => result === 'completed').length;
+    summary.invalid = results.filter(result => result === 'invalid').length;
+    summary.failed = summary.total - summary.completed - summary.invalid;
+
+    if (summary.failed > 0) {
+        // Keep the checkpoints so the failed entries can continue where they stopped
+        console.log(`\n⚠️ ${summary.failed} entr${summary.failed === 1 ? 'y' : 'ies'} did not finish. Run again with --resume to continue them.`);
+        return summary;
+    }
+
+    clearRun();
+    if (summary.invalid > 0) {
+        console.log(`\n⚠️ Done, but ${summary.invalid} invalid entr${summary.invalid === 1 ? 'y was' : 'ies were'} skipped.`);
+    } else {
+        console.log("\n🎉 All scraping tasks completed successfully!");
+    }
+    return summary;
 }
 
 module.exports = {
+    OUTPUT_FORMATS,
     scrapeReviews,
-    main
+    main,
+    getInputEntryErrors,
+    readInputFile,
+    InputError
 };
+
+// Running this file directly is the same as "node cli.js scrape" (after the exports, which cli.js requires)
+if (require.main === module) {
+    require("./cli").run(['scrape', ...process.argv.slice(2)]).then(code => {
+        process.exitCode = code;
+    });
+}
@@ -0,0 +1,122 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const appStore = require("../scrapers/app-store-scraper");
+const googlePlay = require("../scrapers/google-play-scraper");
+const { resolveFetchOptions } = require("../utils/config");
+const { silenceConsole, replayPages, readFixture } = require("./helpers");
+
+const APP_STORE_URL = 'https://apps.apple.com/gb/app/acme-crm/id618783545';
+const GOOGLE_PLAY_URL = 'https://play.google.com/store/apps/details?id=com.acme.crm&hl=en&gl=US';
+
+/**
+ * Builds the body Google Play's review endpoint is asked with: newest first, 100 per page
+ * @param {string} appId - Package name
+ * @param {string|null} token - Pagination token, null for the first page
+ * @returns {string} Form-encoded request body
+ */
+function googlePlayRequest(appId, token) {
+    const query = JSON.stringify([null, null, [2, 2, [100, null, token], null, []], [appId, 7]]);
+    return `f.req=${encodeURIComponent(JSON.stringify([[["UsvDTd", query, null, "generic"]]]))}`;
+}
+
+test('app URLs give the app ID and the store country', () => {
+    assert.deepStrictEqual(appStore.parseAppStoreUrl(APP_STORE_URL), { appId: '618783545', country: 'gb' });
+    assert.deepStrictEqual(appStore.parseAppStoreUrl('https://apps.apple.com/app/acme-crm/id618783545'), { appId: '618783545', country: 'us' });
+    assert.strictEqual(appStore.parseAppStoreUrl('https://apps.apple.com/gb/app/acme-crm'), null);
+
+    assert.deepStrictEqual(googlePlay.parseGooglePlayUrl(GOOGLE_PLAY_URL), { appId: 'com.acme.crm', country: 'us', language: 'en' });
+    assert.deepStrictEqual(googlePlay.parseGooglePlayUrl('https://play.google.com/store/apps/details?id=com.acme.crm'),
+        { appId: 'com.acme.crm', country: 'us', language: 'en' });
+    assert.strictEqual(googlePlay.parseGooglePlayUrl('https://play.google.com/store/apps'), null);
+});
+
+test('both stores are fetched directly unless the entry or config says otherwise', () => {
+    [appStore.scraper, googlePlay.scraper].forEach(scraper => {
+        assert.deepStrictEqual(
+            resolveFetchOptions(scraper.name, {}, scraper.fetchDefaults, {}),
+            { provider: 'direct', country: 'us', timeout: 60000, requestsPerMinute: 20, burst: 1 }
+        );
+        assert.strictEqual(resolveFetchOptions(scraper.name, { provider: 'proxy' }, scraper.fetchDefaults, {}).provider, 'proxy');
+        const config = { fetch: { platforms: { [scraper.name]: { provider: 'scrapeops' } } } };
+        assert.strictEqual(resolveFetchOptions(scraper.name, {}, scraper.fetchDefaults, config).provider, 'scrapeops');
+    });
+});
+
+test('App Store feed entries become reviews, skipping the entry describing the app', () => {
+    const { productName, reviews } = appStore.parseReviewsFeed_AppStore(readFixture('app-store/feed-page-1.json'), 'gb');
+
+    assert.strictEqual(productName, 'Acme CRM Mobile');
+    assert.deepStrictEqual(reviews[0], {
+        reviewerName: 'deals_on_the_go',
+        jobTitle: '',
+        reviewDate: '2024-06-10T09:12:00-07:00',
+        stars: '5',
+        reviewTitle: 'Best mobile CRM',
+        reviewText: 'Logging calls from the car is finally easy.',
+        reviewId: '11223344551',
+        appVersion: '7.2.0',
+        usefulCount: 4,
+        country: 'gb'
+    });
+    assert.strictEqual(reviews[1].usefulCount, null);
+    assert.ok(appStore.parseReviewsFeed_AppStore('<html>Rate limited</html>', 'gb').error);
+});
+
+test('App Store reviews are read newest first until they predate the start date', async (t) => {
+    silenceConsole(t);
+    const feed = page => `https://itunes.apple.com/gb/rss/customerreviews/page=${page}/id=618783545/sortby=mostrecent/json`;
+    replayPages(t, {
+        'https://itunes.apple.com/lookup?id=618783545&country=gb': readFixture('app-store/lookup.json'),
+        [feed(1)]: readFixture('app-store/feed-page-1.json'),
+        [feed(2)]: readFixture('app-store/feed-page-2.json')
+    });
+
+    const result = await appStore.scrapeReviews_AppStore(APP_STORE_URL, '2024-01-01', '2024-12-31');
+    assert.deepStrictEqual(
+        [result.productName, result.reviewSite, result.stars, result.totalReviews],
+        ['Acme CRM Mobile', 'App Store', '4.61', '2840']
+    );
+    assert.deepStrictEqual(result.allReviews.map(review => review.reviewId), ['11223344551', '11223344552', '11223344553']);
+});
+
+test('Google Play review responses become reviews with developer replies and the next page token', () => {
+    const { reviews, token } = googlePlay.parseReviewsResponse_GooglePlay(readFixture('google-play/reviews-page-1.txt'), { country: 'us', language: 'en' });
+
+    assert.strictEqual(token, 'CpEBCo4BQUFAeyJwIjoiMiJ9');
+    assert.deepStrictEqual(reviews[0], {
+        reviewerName: 'Marta Ruiz',
+        jobTitle: '',
+        reviewDate: '2024-06-09T10:00:00.000Z',
+        stars: '5',
+        reviewTitle: '',
+        reviewText: 'Syncs with my calendar perfectly.',
+        reviewId: 'gp:AOqpTOH1',
+        appVersion: '7.2.0',
+        usefulCount: 12,
+        companyReply: 'Thank you, Marta!',
+        companyReplyDate: '2024-06-09T16:00:00.000Z',
+        country: 'us',
+        language: 'en'
+    });
+    assert.deepStrictEqual([reviews[1].companyReply, reviews[1].usefulCount, reviews[2].appVersion], ['', 0, '']);
+});
+
+test('Google Play reviews are requested newest first for the selected country and language', async (t) => {
+    silenceConsole(t);
+    replayPages(t, {
+        'https://play.google.com/store/apps/details?id=com.acme.crm&hl=pt-br&gl=br': readFixture('google-play/details.html'),
+        'https://play.google.com/_/PlayStoreUi/data/batchexecute?rpcids=UsvDTd&hl=pt-br&gl=br': {
+            body: readFixture('google-play/reviews-page-1.txt'),
+            requestBody: googlePlayRequest('com.acme.crm', null)
+        }
+    });
+
+    const result = await googlePlay.scrapeReviews_GooglePlay(GOOGLE_PLAY_URL, '2024-01-01', '2024-12-31', { country: 'BR', language: 'pt-BR' });
+    assert.deepStrictEqual(
+        [result.productName, result.reviewSite, result.stars, result.totalReviews],
+        ['Acme CRM', 'Google Play', '4.4', '15230']
+    );
+    // The page reaches reviews older than the start date, so its token is not followed
+    assert.deepStrictEqual(result.allReviews.map(review => review.reviewerName), ['Marta Ruiz', 'Lee Chen']);
+    assert.deepStrictEqual([result.allReviews[0].country, result.allReviews[0].language], ['br', 'pt-br']);
+});
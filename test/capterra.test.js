@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const cheerio = require("cheerio");
+const { scrapers, CAPTERRA_SITES, scrapeAndFilterReviews_Capterra, parsedDataFromHTML_Capterra, parseTotalReviews_Capterra } = require("../scrapers/capterra-scraper");
+const { isSortedByDate } = require("../scrapers");
+const { scrapeReviews } = require("../scrapper");
+const { silenceConsole, replayPages, readFixture } = require("./helpers");
+
+const CAPTERRA_URL = 'https://www.capterra.com/p/135003/Acme-CRM/reviews/';
+
+/**
+ * Serves the two Capterra fixture pages at the newest-first listing URLs
+ * @param {Object} t - node:test context
+ * @param {string} firstPage - HTML of the first page (default: the fixture)
+ */
+function replayCapterra(t, firstPage = readFixture('capterra/page-1.html')) {
+    replayPages(t, {
+        [`${CAPTERRA_URL}?sort=most_recent`]: firstPage,
+        [`${CAPTERRA_URL}?sort=most_recent&page=2`]: readFixture('capterra/page-2.html')
+    });
+}
+
+test('the review total comes from the product, never from other counts on the page', () => {
+    const total = html => parseTotalReviews_Capterra(cheerio.load(html));
+
+    assert.strictEqual(total('<script type="application/ld+json">{"@type":"Product","aggregateRating":{"reviewCount":1234}}</script>'), '1234');
+    assert.strictEqual(total('<script type="application/ld+json">{not json</script><div data-testid="overall-rating">4.6 (1,234)</div>'), '1,234');
+    assert.strictEqual(total('<p>Showing 1-25 of 1,234 reviews</p>'), '1,234');
+    assert.strictEqual(total('<aside>Zoho CRM <span>3 reviews</span></aside>'), '');
+    assert.strictEqual(total(readFixture('capterra/page-1.html')), '');
+});
+
+test('pagination follows the next link until the reviews are older than the start date', async (t) => {
+    silenceConsole(t);
+    replayCapterra(t);
+
+    const result = await scrapeAndFilterReviews_Capterra(CAPTERRA_URL, '2024-01-01', '2024-12-31');
+    assert.strictEqual(result.productName, 'Acme CRM');
+    assert.strictEqual(result.reviewSite, 'Capterra');
+    assert.deepStrictEqual(result.allReviews.map(review => review.reviewerName), ['Maria G.', 'Tom B.', 'Sara L.', 'Ken W.']);
+});
+
+test('a review total smaller than the listing does not end pagination early', async (t) => {
+    silenceConsole(t);
+    const page = readFixture('capterra/page-1.html').replace('</head>',
+        '<script type="application/ld+json">{"@type":"Product","aggregateRating":{"ratingValue":4.6,"reviewCount":3}}</script></head>');
+    replayCapterra(t, page);
+
+    const result = await scrapeAndFilterReviews_Capterra(CAPTERRA_URL, '2023-01-01', '2024-12-31');
+    assert.strictEqual(result.totalReviews, '3');
+    assert.strictEqual(result.allReviews.length, 5);
+});
+
+test('review cards keep their sections, reviewer profile and sub-ratings', () => {
+    const [maria, tom] = parsedDataFromHTML_Capterra(readFixture('capterra/page-1.html')).productData.allReviews;
+
+    assert.deepStrictEqual(
+        [maria.reviewText, maria.pros, maria.cons, maria.jobTitle, maria.industry, maria.companySize, maria.usageDuration],
+        ['It runs our whole sales process.', 'Quick to set up, great mobile app.', 'Reports need more filters.',
+            'Operations Manager', 'Retail', '51-200 employees', '1-2 years']
+    );
+    assert.deepStrictEqual(
+        [maria.easeOfUse, maria.customerService, maria.features, maria.valueForMoney, maria.likelihoodToRecommend],
+        [4, 5, null, 4, null]
+    );
+    // Without an "Overall" section the plain paragraph is the review text
+    assert.deepStrictEqual([tom.reviewText, tom.pros, tom.cons], ['Good value for a small team.', 'Price.', 'Limited automations.']);
+});
+
+test('sub-ratings are read from the rating next to their label and kept within their scale', () => {
+    const [uma, victor] = parsedDataFromHTML_Capterra(readFixture('capterra/sub-ratings.html')).productData.allReviews;
+    const subRatings = review => [review.easeOfUse, review.customerService, review.features, review.valueForMoney, review.likelihoodToRecommend];
+
+    // Star icons without text are read from their accessible label; a label followed
+    // by another label ("Features") has no score of its own
+    assert.deepStrictEqual(subRatings(uma), [3, 4.5, null, 3, 9]);
+    // "7.0" is out of a 5-point scale and "N/A" is no score
+    assert.deepStrictEqual(subRatings(victor), [null, null, null, 2, null]);
+});
+
+/**
+ * Builds the job the scraper registry hands to a Capterra family scraper
+ * @param {string} name - Scraper name ("capterra", "getapp" or "softwareadvice")
+ * @param {string} url - Reviews URL
+ * @param {string} startDate - Start date
+ * @returns {Promise<Object|null>} Scraped review data
+ */
+function scrapeSite(name, url, startDate) {
+    const scraper = scrapers.find(candidate => candidate.name === name);
+    return scraper.scrape({
+        url, startDate, endDate: '2024-12-31', options: {}, fetch: {},
+        dates: { unknownDates: 'exclude', now: new Date('2024-06-15T12:00:00Z') }
+    });
+}
+
+test('GetApp and Software Advice pages are parsed with their own site label', () => {
+    const html = readFixture('capterra/page-1.html');
+    [CAPTERRA_SITES.getapp, CAPTERRA_SITES.softwareadvice].forEach(site => {
+        const { productData } = parsedDataFromHTML_Capterra(html, site);
+        assert.strictEqual(productData.reviewSite, site.label);
+        assert.deepStrictEqual(productData.allReviews.map(review => review.reviewerName), ['Maria G.', 'Tom B.', 'Sara L.']);
+    });
+    assert.deepStrictEqual(scrapers.map(scraper => [scraper.name, scraper.label]),
+        [['capterra', 'Capterra'], ['getapp', 'GetApp'], ['softwareadvice', 'Software Advice']]);
+});
+
+test('sites without a newest-first sort are read in full and filtered by date', async (t) => {
+    silenceConsole(t);
+    const url = 'https://www.getapp.com/customer-management-software/a/acme-crm/reviews/';
+    replayPages(t, { [url]: readFixture('capterra/page-1.html'), [`${url}?page=2`]: readFixture('capterra/page-2.html') });
+
+    const result = await scrapeSite('getapp', url, '2024-05-01');
+    assert.strictEqual(result.reviewSite, 'GetApp');
+    // Page 1 ends with an older review, but GetApp's order is unknown so page 2 is read too
+    assert.deepStrictEqual(result.allReviews.map(review => review.reviewerName), ['Maria G.', 'Tom B.', 'Sara L.', 'Ken W.']);
+});
+
+test('incremental runs of sites without a newest-first sort read every page', async (t) => {
+    silenceConsole(t);
+    const url = 'https://www.getapp.com/customer-management-software/a/acme-crm/reviews/';
+    replayPages(t, {
+        [url]: readFixture('capterra/page-1.html'),
+        // A review newer than the last run, after one it already collected
+        [`${url}?page=2`]: readFixture('capterra/page-2.html').replace('May 2, 2024', 'June 5, 2024')
+    });
+
+    const incrementalState = { platform: 'getapp', newestReviewDate: '2024-05-25', newestReviewIds: [] };
+    const product = await scrapeReviews(url, '2024-01-01', '2024-12-31', {}, { incrementalState });
+    assert.deepStrictEqual(product.allReviews.map(review => review.reviewerName), ['Maria G.', 'Tom B.', 'Ken W.']);
+    assert.deepStrictEqual(scrapers.map(scraper => isSortedByDate(scraper, url)), [true, false, false]);
+});
+
+test('regional Capterra sites are listed newest first like capterra.com', async (t) => {
+    silenceConsole(t);
+    const url = 'https://www.capterra.co.uk/reviews/135003/acme-crm';
+    replayPages(t, { [`${url}?sort=most_recent`]: readFixture('capterra/page-1.html') });
+
+    const result = await scrapeSite('capterra', url, '2024-05-25');
+    assert.strictEqual(result.reviewSite, 'Capterra');
+    // The newest-first listing stops at the first page reaching older reviews
+    assert.deepStrictEqual(result.allReviews.map(review => review.reviewerName), ['Maria G.', 'Tom B.']);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const checkpoints = require("../utils/checkpoints");
+const { scrapeG2WithProxy } = require("../scrapers/g2-scraper");
+const { makeTempDir, silenceConsole, replayPages, readFixture } = require("./helpers");
+
+const G2_URL = 'https://www.g2.com/products/acme-crm/reviews';
+const entry = { key: 'acme', url: G2_URL, startDate: '2024-01-01', endDate: '2024-12-31', scrapedAt: '2024-06-15T12:00:00.000Z' };
+
+test('entry keys are readable, stable and depend on the date range', () => {
+    const key = checkpoints.getEntryKey(G2_URL, '2024-01-01', '2024-12-31');
+    assert.match(key, /^www_g2_com_products_acme_crm_reviews_[0-9a-f]{8}$/);
+    assert.strictEqual(checkpoints.getEntryKey(G2_URL, '2024-01-01', '2024-12-31'), key);
+    assert.notStrictEqual(checkpoints.getEntryKey(G2_URL, '2023-01-01', '2023-12-31'), key);
+});
+
+test('the checkpoint hook saves the progress after every page', async (t) => {
+    const dir = makeTempDir(t);
+    const hook = checkpoints.createCheckpointHook(entry, null, dir);
+
+    await hook({ page: 1, product: { productName: 'Acme' }, reviews: [{ reviewerName: 'Ann' }] });
+    await hook({ page: 2, product: null, reviews: [{ reviewerName: 'Bob' }], cursor: { page: 3, token: 'abc' } });
+
+    const checkpoint = checkpoints.loadCheckpoint('acme', dir);
+    assert.strictEqual(checkpoint.page, 2);
+    assert.deepStrictEqual(checkpoint.cursor, { page: 3, token: 'abc' });
+    assert.deepStrictEqual(checkpoint.product, { productName: 'Acme' });
+    assert.deepStrictEqual(checkpoint.reviews.map(review => review.reviewerName), ['Ann', 'Bob']);
+    assert.strictEqual(checkpoint.scrapedAt, entry.scrapedAt);
+    assert.deepStrictEqual(fs.readdirSync(dir), ['acme.json']);
+
+    checkpoints.clearCheckpoint('acme', dir);
+    assert.strictEqual(checkpoints.loadCheckpoint('acme', dir), null);
+});
+
+test('a resumed checkpoint hook carries over the reviews collected before', async (t) => {
+    const dir = makeTempDir(t);
+    const previous = { ...entry, page: 1, cursor: { page: 2 }, product: { productName: 'Acme' }, reviews: [{ reviewerName: 'Ann' }] };
+    await checkpoints.createCheckpointHook(entry, previous, dir)({ page: 2, reviews: [{ reviewerName: 'Bob' }] });
+
+    const checkpoint = checkpoints.loadCheckpoint('acme', dir);
+    assert.deepStrictEqual(checkpoint.cursor, { page: 3 });
+    assert.deepStrictEqual(checkpoint.reviews.map(review => review.reviewerName), ['Ann', 'Bob']);
+    assert.deepStrictEqual(previous.reviews, [{ reviewerName: 'Ann' }]);
+});
+
+test('unreadable checkpoints are ignored', (t) => {
+    silenceConsole(t);
+    const dir = makeTempDir(t);
+    fs.writeFileSync(path.join(dir, 'acme.json'), '{"page": 1,');
+    assert.strictEqual(checkpoints.loadCheckpoint('acme', dir), null);
+    assert.match(console.warn.mock.calls[0].arguments[0], /unreadable checkpoint/);
+});
+
+test('run progress is saved and cleared with the checkpoints', (t) => {
+    const dir = path.join(makeTempDir(t), 'checkpoints');
+    assert.deepStrictEqual(checkpoints.loadRun(dir), { startedAt: null, completed: [] });
+
+    checkpoints.saveRun({ startedAt: entry.scrapedAt, completed: ['acme'] }, dir);
+    assert.deepStrictEqual(checkpoints.loadRun(dir).completed, ['acme']);
+
+    checkpoints.clearRun(dir);
+    assert.strictEqual(fs.existsSync(dir), false);
+});
+
+test('a scrape resumed from its checkpoint continues at the next page', async (t) => {
+    silenceConsole(t);
+    const dir = makeTempDir(t);
+    replayPages(t, { [`${G2_URL}?order=most_recent`]: readFixture('g2/page-1.html') });
+
+    const hook = checkpoints.createCheckpointHook(entry, null, dir);
+    const firstRun = await scrapeG2WithProxy(G2_URL, '2024-01-01', '2024-12-31', Infinity, { pageHooks: [hook], maxPages: 1 });
+    assert.strictEqual(firstRun.allReviews.length, 3);
+
+    // Only page 2 can be fetched now, so the first page must come from the checkpoint
+    replayPages(t, { [`${G2_URL}?order=most_recent&page=2`]: readFixture('g2/page-2.html') });
+    const resume = checkpoints.loadCheckpoint('acme', dir);
+    assert.deepStrictEqual(resume.cursor, { page: 2 });
+
+    const resumed = await scrapeG2WithProxy(G2_URL, '2024-01-01', '2024-12-31', Infinity,
+        { pageHooks: [checkpoints.createCheckpointHook(entry, resume, dir)], resume });
+    assert.strictEqual(resumed.productName, 'Acme CRM');
+    assert.deepStrictEqual(resumed.allReviews.map(review => review.reviewerName),
+        ['Ann P.', 'Bruno K.', 'Chloe D.', 'Dev R.', 'Eva S.']);
+    assert.strictEqual(checkpoints.loadCheckpoint('acme', dir).reviews.length, 5);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { run, EXIT_CODES } = require("../cli");
+const logger = require("../utils/logger");
+const { FIXTURES_DIR, makeTempDir } = require("./helpers");
+
+const OUTPUTS_DIR = path.join(FIXTURES_DIR, 'outputs');
+
+/**
+ * Captures the console for the rest of the test
+ * @param {Object} t - node:test context
+ * @returns {Object} { log, error } returning the lines printed so far
+ */
+function captureConsole(t) {
+    const lines = {};
+    ['log', 'warn', 'error'].forEach(method => {
+        lines[method] = [];
+        t.mock.method(console, method, (...args) => lines[method].push(args.join(' ')));
+    });
+    return { log: () => lines.log.join('\n'), error: () => [...lines.warn, ...lines.error].join('\n') };
+}
+
+test('--quiet hides progress but keeps the results, without patching the console', async (t) => {
+    const output = captureConsole(t);
+    const outputDir = makeTempDir(t);
+    const consoleLog = console.log;
+
+    const code = await run(['export', '--input-dir', OUTPUTS_DIR, '--output-dir', outputDir, '--quiet']);
+
+    assert.strictEqual(code, EXIT_CODES.OK);
+    assert.doesNotMatch(output.log(), /Starting CSV export|Processing 1\/1/);
+    assert.match(output.log(), /Exported 3 reviews/);
+    assert.match(output.log(), /Successfully exported: 1 files/);
+    assert.strictEqual(console.log, consoleLog);
+    assert.strictEqual(logger.getLogLevel(), 'normal');
+    assert.strictEqual(fs.readdirSync(outputDir).length, 1);
+});
+
+test('without --quiet the progress is logged', async (t) => {
+    const output = captureConsole(t);
+    const outputDir = makeTempDir(t);
+
+    await run(['export', '--input-dir', OUTPUTS_DIR, '--output-dir', outputDir, '--dry-run']);
+    assert.match(output.log(), /Starting CSV export/);
+    assert.match(output.log(), /Would export 3 reviews/);
+    assert.deepStrictEqual(fs.readdirSync(outputDir), []);
+});
+
+test('a quiet dry run still lists what would be scraped', async (t) => {
+    const output = captureConsole(t);
+    const code = await run(['scrape', '--url', 'https://www.g2.com/products/acme-crm/reviews', '--since', '2024-01-01',
+        '--until', '2024-06-30', '--dry-run', '--quiet']);
+
+    assert.strictEqual(code, EXIT_CODES.OK);
+    assert.doesNotMatch(output.log(), /Starting Review Scraper/);
+    assert.match(output.log(), /G2: https:\/\/www\.g2\.com\/products\/acme-crm\/reviews/);
+    assert.match(output.log(), /2024-01-01 to 2024-06-30/);
+});
+
+test('usage errors exit with code 2', async (t) => {
+    const output = captureConsole(t);
+    assert.strictEqual(await run(['crawl']), EXIT_CODES.USAGE);
+    assert.strictEqual(await run(['export', '--quiet', '--verbose']), EXIT_CODES.USAGE);
+    assert.strictEqual(await run(['scrape', '--url', 'https://www.g2.com/products/x/reviews']), EXIT_CODES.USAGE);
+    assert.strictEqual(await run(['scrape', '--url', 'https://www.g2.com/products/x/reviews', '--since', 'someday']), EXIT_CODES.USAGE);
+    assert.strictEqual(await run(['export', '--format', 'pdf']), EXIT_CODES.USAGE);
+    assert.match(output.error(), /Unknown command "crawl"/);
+    assert.match(output.error(), /--quiet and --verbose cannot be used together/);
+    assert.match(output.error(), /Invalid --since date/);
+});
+
+test('validate reports invalid results with code 3', async (t) => {
+    const output = captureConsole(t);
+    const dir = makeTempDir(t);
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, JSON.stringify({ productName: 'Acme', allReviews: [{ reviewText: 'No ID' }] }));
+
+    assert.strictEqual(await run(['validate', path.join(OUTPUTS_DIR, 'g2_acme_crm_2024-06-15.json')]), EXIT_CODES.OK);
+    assert.strictEqual(await run(['validate', broken]), EXIT_CODES.INVALID);
+    assert.match(output.error(), /review #1: missing 'id'/);
+});
+
+test('report --format html writes a self-contained report of the outputs', async (t) => {
+    const output = captureConsole(t);
+    const file = path.join(makeTempDir(t), 'reports', 'acme.html');
+
+    assert.strictEqual(await run(['report', '--input-dir', OUTPUTS_DIR, '--format', 'html', '--output', file]), EXIT_CODES.OK);
+    assert.match(output.log(), /Report of 1 source\(s\) written to .*acme\.html/);
+    assert.match(fs.readFileSync(file, 'utf8'), /<h3>Acme CRM <span class="muted">G2<\/span><\/h3>/);
+
+    const empty = makeTempDir(t);
+    assert.strictEqual(await run(['report', '--input-dir', empty, '--format', 'html']), EXIT_CODES.FAILURE);
+    assert.match(output.error(), /No results in/);
+    assert.strictEqual(await run(['report', '--format', 'pdf']), EXIT_CODES.USAGE);
+});
@@ -0,0 +1,127 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const Database = require("better-sqlite3");
+const { openDatabase, saveToDatabase } = require("../utils/database");
+const { getKnownReviewIds } = require("../utils/review-id");
+const { makeTempDir, readFixture } = require("./helpers");
+
+/**
+ * @returns {Object} The canonical G2 output fixture
+ */
+function g2Output() {
+    return JSON.parse(readFixture('outputs/g2_acme_crm_2024-06-15.json'));
+}
+
+/**
+ * Opens a database in a temporary directory, closed after the test
+ * @param {Object} t - node:test context
+ * @returns {Object} { db, file }
+ */
+function tempDatabase(t) {
+    const file = path.join(makeTempDir(t), 'nested', 'reviews.db');
+    const db = openDatabase(file);
+    t.after(() => db.close());
+    return { db, file };
+}
+
+test('a scrape is saved as a product, a run and its reviews', (t) => {
+    const { db } = tempDatabase(t);
+
+    const saved = saveToDatabase(db, g2Output(), { startDate: '2024-01-01', endDate: '2024-06-30' });
+    assert.deepStrictEqual(saved, { runId: 1, newReviews: 3, updatedReviews: 0 });
+
+    assert.deepStrictEqual(db.prepare('SELECT platform, review_site, product_name, stars, total_reviews, extra, first_scraped_at FROM products').all(), [{
+        platform: 'g2', review_site: 'G2', product_name: 'Acme CRM', stars: 4.6, total_reviews: 1204,
+        extra: '{"category":"CRM"}', first_scraped_at: '2024-06-15T12:00:00.000Z'
+    }]);
+    assert.deepStrictEqual(db.prepare('SELECT start_date, end_date, scraped_reviews, new_reviews FROM scrape_runs').get(),
+        { start_date: '2024-01-01', end_date: '2024-06-30', scraped_reviews: 3, new_reviews: 3 });
+
+    const reviews = db.prepare(`SELECT id, review_date, stars, json_extract(extra, '$.industry') AS industry FROM reviews ORDER BY review_date DESC`).all();
+    assert.deepStrictEqual(reviews, [
+        { id: 'g2:acme-crm-review-9876543', review_date: '2024-06-10', stars: 4.5, industry: 'Computer Software' },
+        { id: 'g2:acme-crm-review-9876001', review_date: '2024-05-05', stars: 4, industry: 'Retail' },
+        { id: 'g2:acme-crm-review-9875500', review_date: '2024-05-01', stars: 2, industry: null }
+    ]);
+});
+
+test('rerunning a scrape updates the reviews it already has instead of duplicating them', (t) => {
+    const { db } = tempDatabase(t);
+    saveToDatabase(db, g2Output());
+
+    const rerun = g2Output();
+    rerun.scrapedAt = '2024-06-22T12:00:00.000Z';
+    rerun.stars = 4.7;
+    rerun.allReviews[0].reviewText = 'The pipeline view is fast. Edited later.';
+    rerun.allReviews.unshift({ ...rerun.allReviews[1], id: 'g2:acme-crm-review-9880000', reviewerName: 'Dana F.', reviewDate: '2024-06-20' });
+
+    assert.deepStrictEqual(saveToDatabase(db, rerun), { runId: 2, newReviews: 1, updatedReviews: 3 });
+    assert.strictEqual(db.prepare('SELECT COUNT(*) FROM products').pluck().get(), 1);
+    assert.strictEqual(db.prepare('SELECT COUNT(*) FROM reviews').pluck().get(), 4);
+    assert.deepStrictEqual(db.prepare('SELECT stars, first_scraped_at, last_scraped_at FROM products').get(),
+        { stars: 4.7, first_scraped_at: '2024-06-15T12:00:00.000Z', last_scraped_at: '2024-06-22T12:00:00.000Z' });
+
+    const edited = db.prepare('SELECT review_text, first_run_id, last_run_id, first_seen_at FROM reviews WHERE id = ?').get('g2:acme-crm-review-9876543');
+    assert.deepStrictEqual(edited, {
+        review_text: 'The pipeline view is fast. Edited later.', first_run_id: 1, last_run_id: 2, first_seen_at: '2024-06-15T12:00:00.000Z'
+    });
+    assert.strictEqual(db.prepare('SELECT first_run_id FROM reviews WHERE id = ?').pluck().get('g2:acme-crm-review-9880000'), 2);
+});
+
+test('a review stored under its hash ID takes its native ID instead of getting a second row', (t) => {
+    const { db } = tempDatabase(t);
+    const legacy = g2Output();
+    // Saved before G2 review links were read, when every review had a hash ID
+    legacy.allReviews = legacy.allReviews.map(review => ({ ...review, id: getKnownReviewIds(review)[1] }));
+    assert.match(legacy.allReviews[0].id, /^g2:h:/);
+    saveToDatabase(db, legacy);
+
+    assert.deepStrictEqual(saveToDatabase(db, g2Output()), { runId: 2, newReviews: 0, updatedReviews: 3 });
+    assert.deepStrictEqual(db.prepare('SELECT id, first_run_id, last_run_id FROM reviews ORDER BY review_date DESC').all(), [
+        { id: 'g2:acme-crm-review-9876543', first_run_id: 1, last_run_id: 2 },
+        { id: 'g2:acme-crm-review-9876001', first_run_id: 1, last_run_id: 2 },
+        { id: 'g2:acme-crm-review-9875500', first_run_id: 1, last_run_id: 2 }
+    ]);
+});
+
+test('reviews can be saved one at a time from an iterator', (t) => {
+    const { db } = tempDatabase(t);
+    const { allReviews, ...product } = g2Output();
+    function* reviews() {
+        yield* allReviews;
+    }
+
+    assert.deepStrictEqual(saveToDatabase(db, product, {}, reviews()), { runId: 1, newReviews: 3, updatedReviews: 0 });
+    assert.deepStrictEqual(db.prepare('SELECT scraped_reviews, new_reviews FROM scrape_runs').get(), { scraped_reviews: 3, new_reviews: 3 });
+});
+
+test('a database from a newer version is not opened', (t) => {
+    const file = path.join(makeTempDir(t), 'reviews.db');
+    const newer = new Database(file);
+    newer.pragma('user_version = 99');
+    newer.close();
+
+    assert.throws(() => openDatabase(file), /created by a newer version \(schema 99, supported: 1\)/);
+});
+
+test('the scraper loads without better-sqlite3, which only a database needs', () => {
+    // A child process where the native module cannot be resolved, as when its build failed
+    const script = `
+        const Module = require('module');
+        const resolve = Module._resolveFilename;
+        Module._resolveFilename = function (request, ...rest) {
+            if (request === 'better-sqlite3') throw new Error('Cannot find module');
+            return resolve.call(this, request, ...rest);
+        };
+        require('./scrapper');
+        try {
+            require('./utils/database').openDatabase(':memory:');
+        } catch (error) {
+            console.log(error.message);
+        }
+    `;
+    const output = execFileSync(process.execPath, ['-e', script], { cwd: path.join(__dirname, '..'), encoding: 'utf8' });
+    assert.match(output, /Saving to a database needs the better-sqlite3 package/);
+});
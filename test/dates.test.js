@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { normalizeDate, isDateInRange } = require("../utils/dates");
+
+const now = new Date('2024-06-15T10:00:00Z');
+
+test('absolute dates in the formats review sites print', () => {
+    const cases = {
+        '2024-01-05': '2024-01-05',
+        '2024-01-05T23:30:00-05:00': '2024-01-06',
+        '2024/01/05': '2024-01-05',
+        '01/05/2024': '2024-01-05',
+        '05.01.2024': '2024-01-05',
+        'January 5, 2024': '2024-01-05',
+        'Jan 5th 2024': '2024-01-05',
+        '5 January 2024': '2024-01-05',
+        '5. Januar 2024': '2024-01-05',
+        '5 de enero de 2024': '2024-01-05',
+        'Reviewed on March 3, 2024': '2024-03-03',
+        'Date of experience: 12 mars 2024': '2024-03-12'
+    };
+    Object.entries(cases).forEach(([raw, date]) => {
+        assert.strictEqual(normalizeDate(raw, { now }).date, date, raw);
+    });
+});
+
+test('month-only dates keep their precision', () => {
+    assert.deepStrictEqual(normalizeDate('March 2024'), { raw: 'March 2024', date: '2024-03-01', precision: 'month', known: true });
+});
+
+test('relative dates resolve against the scrape time', () => {
+    const cases = {
+        'today': '2024-06-15',
+        'yesterday': '2024-06-14',
+        '3 days ago': '2024-06-12',
+        'a month ago': '2024-05-15',
+        'vor 2 Wochen': '2024-06-01',
+        'il y a 1 an': '2023-06-15',
+        'hace 3 días': '2024-06-12',
+        'hours ago': '2024-06-15'
+    };
+    Object.entries(cases).forEach(([raw, date]) => {
+        assert.strictEqual(normalizeDate(raw, { now }).date, date, raw);
+    });
+});
+
+test('unparseable dates are never fabricated', () => {
+    ['', null, 'soon', '31/31/2024', '2024-02-30', 'Smarch 5, 2024'].forEach(raw => {
+        const result = normalizeDate(raw, { now });
+        assert.strictEqual(result.date, null, String(raw));
+        assert.strictEqual(result.known, false, String(raw));
+    });
+});
+
+test('isDateInRange includes both ends and handles unknown dates as configured', () => {
+    assert.strictEqual(isDateInRange('2024-01-01', '2024-01-01', '2024-12-31'), true);
+    assert.strictEqual(isDateInRange('2024-12-31', '2024-01-01', '2024-12-31'), true);
+    assert.strictEqual(isDateInRange('2025-01-01', '2024-01-01', '2024-12-31'), false);
+    assert.strictEqual(isDateInRange('2 days ago', '2024-06-13', '2024-06-13', { now }), true);
+    assert.strictEqual(isDateInRange('sometime', '2024-01-01', '2024-12-31'), false);
+    assert.strictEqual(isDateInRange('sometime', '2024-01-01', '2024-12-31', { unknownDates: 'include' }), true);
+});
@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const { main, convertToCSV, convertToXLSX, resolveColumns } = require("../export_reviews");
+const { FIXTURES_DIR, makeTempDir, silenceConsole } = require("./helpers");
+
+const G2_OUTPUT = path.join(FIXTURES_DIR, 'outputs', 'g2_acme_crm_2024-06-15.json');
+const TRUSTPILOT_OUTPUT = path.join(FIXTURES_DIR, 'exports', 'trustpilot_acme_crm_2024-06-16.json');
+
+/**
+ * Copies scraper outputs into a fresh input directory
+ * @param {Object} t - node:test context
+ * @param {Array<string>} files - Output files to copy
+ * @returns {string} Input directory
+ */
+function inputDirWith(t, files) {
+    const dir = makeTempDir(t);
+    files.forEach(file => fs.copyFileSync(file, path.join(dir, path.basename(file))));
+    return dir;
+}
+
+test('every field of any review becomes a column, nested fields included', () => {
+    const csv = convertToCSV([
+        { reviewerName: 'Ann', stars: 4.5 },
+        { reviewerName: 'Bruno', stars: 4, extra: { companyReply: 'Thanks', tags: ['a', 'b'] } }
+    ]);
+
+    assert.strictEqual(csv, [
+        'reviewerName,stars,extra.companyReply,extra.tags',
+        '"Ann","4.5","",""',
+        '"Bruno","4","Thanks","[""a"",""b""]"'
+    ].join('\n'));
+    assert.strictEqual(convertToCSV([]), '');
+});
+
+test('configured columns pick, rename and order the fields', () => {
+    const reviews = [{ reviewerName: 'Chloe', reviewText: 'Every change takes\ntoo many clicks; "really"', extra: { like: 'Price' } }];
+    const csv = convertToCSV(reviews, {
+        columns: [{ field: 'reviewText', header: 'Text; full' }, 'extra.like', { field: 'missing', header: 'Missing' }],
+        delimiter: ';',
+        bom: true
+    });
+
+    assert.strictEqual(csv, '\uFEFF"Text; full";extra.like;Missing\n"Every change takes\ntoo many clicks; ""really""";"Price";""');
+    assert.throws(() => resolveColumns([], [{ header: 'No field' }]), /Invalid export column/);
+});
+
+test('a combined export has one CSV with product columns and the union of all fields', async (t) => {
+    silenceConsole(t);
+    const inputDir = inputDirWith(t, [G2_OUTPUT, TRUSTPILOT_OUTPUT]);
+    const outputDir = makeTempDir(t);
+
+    const summary = await main({ inputDir, outputDir, combined: true, bom: true });
+    assert.deepStrictEqual(summary.files, [path.join(outputDir, 'all_reviews.csv')]);
+
+    const csv = fs.readFileSync(summary.files[0], 'utf8');
+    assert.ok(csv.startsWith('\uFEFF'));
+    const header = csv.slice(1, csv.indexOf('\n')).split(',');
+    assert.deepStrictEqual(header.slice(0, 5), ['productName', 'reviewSite', 'scrapedAt', 'id', 'platform']);
+    assert.ok(header.includes('sourceUrl'));
+    // Trustpilot-only fields are kept although the first review is from G2
+    assert.ok(header.includes('extra.companyReply'));
+    assert.ok(header.includes('extra.dislike'));
+
+    assert.match(csv, /\n"Acme CRM","G2","2024-06-15T12:00:00.000Z","g2:acme-crm-review-9876543","g2",/);
+    assert.match(csv, /\n"Acme CRM","Trustpilot","2024-06-16T08:30:00.000Z","trustpilot:6650f1a2b3c4d5e6f7a8b9c1","trustpilot",/);
+    assert.match(csv, /"Jörg Müller"/);
+});
+
+test('without --combined each source gets its own CSV', async (t) => {
+    silenceConsole(t);
+    const inputDir = inputDirWith(t, [G2_OUTPUT, TRUSTPILOT_OUTPUT]);
+    const outputDir = makeTempDir(t);
+
+    const summary = await main({ inputDir, outputDir, columns: ['reviewerName', { field: 'stars', header: 'Rating' }] });
+    assert.deepStrictEqual(fs.readdirSync(outputDir).sort(), ['g2_acme_crm_2024-06-15.csv', 'trustpilot_acme_crm_2024-06-16.csv']);
+    assert.strictEqual(summary.exported, 2);
+    assert.strictEqual(
+        fs.readFileSync(path.join(outputDir, 'trustpilot_acme_crm_2024-06-16.csv'), 'utf8'),
+        'reviewerName,Rating\n"Hannah M.","5"\n"Jörg Müller","2"'
+    );
+});
+
+test('invalid delimiters and unknown formats are rejected', async (t) => {
+    silenceConsole(t);
+    const inputDir = inputDirWith(t, [G2_OUTPUT]);
+    await assert.rejects(main({ inputDir, outputDir: makeTempDir(t), delimiter: '"' }), /Invalid CSV delimiter/);
+    await assert.rejects(main({ inputDir, outputDir: makeTempDir(t), format: 'pdf' }), /Unknown export format "pdf"/);
+});
+
+/**
+ * Loads an exported workbook
+ * @param {Buffer|string} source - Workbook contents or file path
+ * @returns {Promise<Object>} ExcelJS workbook
+ */
+async function loadWorkbook(source) {
+    const workbook = new ExcelJS.Workbook();
+    await (Buffer.isBuffer(source) ? workbook.xlsx.load(source) : workbook.xlsx.readFile(source));
+    return workbook;
+}
+
+test('the XLSX export has a summary sheet and one typed, frozen sheet per product and platform', async (t) => {
+    silenceConsole(t);
+    const inputDir = inputDirWith(t, [G2_OUTPUT, TRUSTPILOT_OUTPUT]);
+    const outputDir = makeTempDir(t);
+
+    const summary = await main({ inputDir, outputDir, format: 'xlsx' });
+    assert.deepStrictEqual(summary.files, [path.join(outputDir, 'all_reviews.xlsx')]);
+    const workbook = await loadWorkbook(summary.files[0]);
+    assert.deepStrictEqual(workbook.worksheets.map(sheet => sheet.name), ['Summary', 'Acme CRM - G2', 'Acme CRM - Trustpilot']);
+
+    const summarySheet = workbook.getWorksheet('Summary');
+    assert.deepStrictEqual(summarySheet.getRow(1).values.slice(1), ['Sheet', 'Product', 'Review site', 'Rating', 'Total reviews',
+        'Scraped reviews', 'Oldest review', 'Newest review', 'Scraped at', 'Source URL']);
+    assert.deepStrictEqual(summarySheet.getRow(2).values.slice(1, 9), ['Acme CRM - G2', 'Acme CRM', 'G2', 4.6, 1204, 3,
+        new Date('2024-05-01T00:00:00Z'), new Date('2024-06-10T00:00:00Z')]);
+    assert.strictEqual(summarySheet.getCell('G2').numFmt, 'yyyy-mm-dd');
+    assert.strictEqual(summarySheet.getCell('I2').numFmt, 'yyyy-mm-dd hh:mm');
+
+    const g2Sheet = workbook.getWorksheet('Acme CRM - G2');
+    const headers = g2Sheet.getRow(1).values;
+    const cell = (row, header) => g2Sheet.getRow(row).getCell(headers.indexOf(header));
+    assert.strictEqual(g2Sheet.views[0].state, 'frozen');
+    assert.strictEqual(g2Sheet.views[0].ySplit, 1);
+    assert.strictEqual(g2Sheet.getRow(1).font.bold, true);
+    assert.strictEqual(cell(2, 'stars').value, 4.5);
+    assert.deepStrictEqual(cell(2, 'reviewDate').value, new Date('2024-06-10T00:00:00Z'));
+    // Multi-line text stays one cell, wrapped
+    assert.strictEqual(cell(4, 'reviewText').value, 'Every change takes\ntoo many clicks.');
+    assert.strictEqual(cell(4, 'reviewText').alignment.wrapText, true);
+
+    const trustpilotSheet = workbook.getWorksheet('Acme CRM - Trustpilot');
+    assert.strictEqual(trustpilotSheet.getRow(3).getCell(trustpilotSheet.getRow(1).values.indexOf('reviewerName')).value, 'Jörg Müller');
+});
+
+test('sheet names are made valid for Excel and kept unique', async () => {
+    const source = (productName, reviewSite) => ({ productName, reviewSite, allReviews: [{ reviewerName: 'Ann' }] });
+    const buffer = await convertToXLSX([
+        source('Acme: CRM/Sales [EU]', 'G2'),
+        source('A product with a very long name indeed', 'Capterra'),
+        source('A product with a very long name indeed', 'Capterra')
+    ], { columns: ['reviewerName'] });
+
+    const workbook = await loadWorkbook(Buffer.from(buffer));
+    assert.deepStrictEqual(workbook.worksheets.map(sheet => sheet.name),
+        ['Summary', 'Acme CRM Sales EU - G2', 'A product with a very long name', 'A product with a very long (2)']);
+});
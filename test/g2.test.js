@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { scrapeG2WithProxy, parseG2HtmlContent } = require("../scrapers/g2-scraper");
+const { silenceConsole, replayPages, readFixture } = require("./helpers");
+
+const G2_URL = 'https://www.g2.com/products/acme-crm/reviews';
+const PAGE_1 = `${G2_URL}?order=most_recent`;
+const PAGE_2 = `${G2_URL}?order=most_recent&page=2`;
+
+/**
+ * @returns {string} Everything the scraper logged so far
+ */
+function logged() {
+    return console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+}
+
+test('G2 reviews are read most recent first across pages until the last page', async (t) => {
+    silenceConsole(t);
+    replayPages(t, { [PAGE_1]: readFixture('g2/page-1.html'), [PAGE_2]: readFixture('g2/page-2.html') });
+
+    const result = await scrapeG2WithProxy(G2_URL, '2024-01-01', '2024-12-31', Infinity);
+    assert.strictEqual(result.productName, 'Acme CRM');
+    assert.strictEqual(result.stars, '4.6');
+    assert.strictEqual(result.totalReviews, '1,204');
+    assert.deepStrictEqual(result.allReviews.map(review => review.reviewDate),
+        ['2024-06-10', '2024-06-05', '2024-06-01', '2024-05-20', '2024-05-02']);
+    assert.match(logged(), /No more G2 pages/);
+});
+
+test('pagination stops at the first page reaching reviews older than the start date', async (t) => {
+    silenceConsole(t);
+    replayPages(t, { [PAGE_1]: readFixture('g2/page-1.html') });
+
+    const result = await scrapeG2WithProxy(G2_URL, '2024-06-03', '2024-12-31', Infinity);
+    assert.deepStrictEqual(result.allReviews.map(review => review.reviewerName), ['Ann P.', 'Bruno K.']);
+    assert.match(logged(), /Reached reviews older than 2024-06-03/);
+});
+
+test('maxPages and maxReviews limit the scrape', async (t) => {
+    silenceConsole(t);
+    replayPages(t, { [PAGE_1]: readFixture('g2/page-1.html'), [PAGE_2]: readFixture('g2/page-2.html') });
+
+    const onePage = await scrapeG2WithProxy(G2_URL, '2024-01-01', '2024-12-31', Infinity, { maxPages: 1 });
+    assert.strictEqual(onePage.allReviews.length, 3);
+
+    const fourReviews = await scrapeG2WithProxy(G2_URL, '2024-01-01', '2024-12-31', 4);
+    assert.deepStrictEqual(fourReviews.allReviews.map(review => review.reviewerName), ['Ann P.', 'Bruno K.', 'Chloe D.', 'Dev R.']);
+});
+
+test('a page repeating the previous one ends pagination', async (t) => {
+    silenceConsole(t);
+    // Without pagination controls, G2 serves the last page again for out-of-range page numbers
+    const page = readFixture('g2/page-1.html').replace(/<link rel="next"[^>]*>/, '').replace(/<nav[\s\S]*<\/nav>/, '');
+    replayPages(t, { [PAGE_1]: page, [PAGE_2]: page });
+
+    const result = await scrapeG2WithProxy(G2_URL, '2024-01-01', '2024-12-31', Infinity);
+    assert.strictEqual(result.allReviews.length, 3);
+    assert.match(logged(), /Page 2 repeats the previous page/);
+});
+
+test('an explicit sort order in the URL is kept', async (t) => {
+    silenceConsole(t);
+    const url = `${G2_URL}?order=g2_sort`;
+    replayPages(t, { [url]: readFixture('g2/page-2.html') });
+
+    const result = await scrapeG2WithProxy(url, '2024-01-01', '2024-12-31', Infinity);
+    assert.strictEqual(result.allReviews.length, 2);
+});
+
+test('reviewer metadata is read from the reviewer block and its badges', (t) => {
+    silenceConsole(t);
+    const [ann, bruno, chloe] = parseG2HtmlContent(readFixture('g2/page-1.html')).allReviews;
+
+    assert.deepStrictEqual(
+        [ann.reviewerName, ann.jobTitle, ann.industry, ann.companySegment, ann.companySize, ann.reviewSource],
+        ['Ann P.', 'Head of Operations', 'Computer Software', 'Mid-Market', '51-1000 emp.', 'Organic']
+    );
+    assert.deepStrictEqual([ann.verifiedCurrentUser, ann.validatedReviewer, ann.incentivized], [true, true, false]);
+    assert.strictEqual(ann.reviewLink, 'https://www.g2.com/products/acme-crm/reviews/acme-crm-review-9876543');
+    assert.deepStrictEqual([bruno.incentivized, bruno.reviewSource], [true, 'Seller invite']);
+    // A labeled block without an industry leaves it empty rather than guessing
+    assert.deepStrictEqual([chloe.jobTitle, chloe.industry, chloe.companySegment], ['Founder', '', 'Enterprise']);
+});
+
+test('reviewer metadata never comes from the review text', (t) => {
+    silenceConsole(t);
+    const [anonymous, priya] = parseG2HtmlContent(readFixture('g2/reviewer-blocks.html')).allReviews;
+
+    assert.deepStrictEqual(anonymous, {
+        ...anonymous,
+        reviewerName: 'Verified User in Hospitality',
+        jobTitle: '',
+        industry: '',
+        companySegment: '',
+        companySize: '',
+        userRole: '',
+        verifiedCurrentUser: false,
+        validatedReviewer: false,
+        incentivized: false,
+        reviewSource: ''
+    });
+    assert.strictEqual(anonymous.like, 'Scheduling shifts takes minutes. Review source: our own survey. User Role: we all use it.');
+
+    // Unlabeled blocks list job title, then industry
+    assert.deepStrictEqual(
+        [priya.reviewerName, priya.jobTitle, priya.industry, priya.companySize, priya.userRole, priya.reviewSource,
+            priya.verifiedCurrentUser, priya.validatedReviewer],
+        ['Priya N.', 'Marketing Lead', 'Health, Wellness and Fitness', '50 or fewer emp.', 'Administrator', 'Organic', true, false]
+    );
+});
+
+test('questions and answers are read from the review markup in page order', (t) => {
+    silenceConsole(t);
+    const [nora, lukas, omar, pia] = parseG2HtmlContent(readFixture('g2/questions.html')).allReviews;
+
+    // Answers may contain question marks, and questions G2 adds are kept
+    assert.deepStrictEqual(nora.questionAnswers, [
+        { question: 'What do you like best about Acme CRM?', answer: 'Why did we wait so long? The import just worked.' },
+        { question: 'What do you dislike about Acme CRM?', answer: 'Is there a dark mode? Not yet. Slow search No bulk edit' },
+        { question: 'Recommendations to others considering Acme CRM:', answer: 'Start with the free trial.' },
+        { question: 'What problems is Acme CRM solving and how is that benefiting you?', answer: 'Our deals live in one place.' }
+    ]);
+    assert.deepStrictEqual([nora.like, nora.dislike, nora.problemsSolved],
+        ['Why did we wait so long? The import just worked.', 'Is there a dark mode? Not yet. Slow search No bulk edit', 'Our deals live in one place.']);
+
+    // Localized questions are still paired with their answers
+    assert.deepStrictEqual(lukas.questionAnswers, [
+        { question: 'Was gefällt dir am besten an Acme CRM?', answer: 'Die Pipeline-Ansicht.' },
+        { question: 'Was gefällt dir nicht an Acme CRM?', answer: 'Die Berichte.' }
+    ]);
+
+    // Without heading tags, leaf elements ending with a question mark are the questions
+    assert.deepStrictEqual([omar.like, omar.dislike, omar.questionAnswers.length], ['The calendar sync.', 'Mobile app lags.', 2]);
+
+    // Plain-text reviews fall back to the English questions
+    assert.deepStrictEqual([pia.like, pia.dislike, pia.problemsSolved, pia.questionAnswers],
+        ['Email templates.', 'Too many clicks.', 'Follow-ups.', []]);
+});
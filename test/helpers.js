@@ -0,0 +1,61 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const recorder = require("../utils/recorder");
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Reads a fixture file of test/fixtures
+ * @param {string} name - Path relative to test/fixtures
+ * @returns {string} File contents
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+/**
+ * Creates a temporary directory that is removed when the test ends
+ * @param {Object} t - node:test context
+ * @returns {string} Directory path
+ */
+function makeTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-scraper-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Silences the scrapers' progress output for the rest of the test
+ * @param {Object} t - node:test context
+ */
+function silenceConsole(t) {
+    ['log', 'info', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+}
+
+/**
+ * Serves pages from recordings for the rest of the test (see utils/recorder.js).
+ * A page is its body, or { status, body, requestBody } for other statuses and POST requests
+ * @param {Object} t - node:test context
+ * @param {Object} pages - Pages keyed by URL
+ * @returns {string} Recordings directory
+ */
+function replayPages(t, pages) {
+    const dir = makeTempDir(t);
+    recorder.setRecordMode('replay', dir);
+    t.after(() => recorder.setRecordMode(null));
+
+    Object.entries(pages).forEach(([url, page]) => {
+        const { status = 200, body, requestBody } = typeof page === 'string' ? { body: page } : page;
+        recorder.recordResponse(url, { url, status, headers: {}, provider: 'replay', body }, requestBody);
+    });
+    return dir;
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    readFixture,
+    makeTempDir,
+    silenceConsole,
+    replayPages
+};
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const zlib = require("zlib");
+const { fetchPage, assertSuccess, FetchError, CookieJar } = require("../utils/http");
+const { getProvider, registerProvider } = require("../utils/fetch-providers");
+
+/**
+ * Starts a local server for the duration of the test
+ * @returns {Promise<string>} Base URL
+ */
+async function startServer(t, handler) {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Reads a request body
+ * @returns {Promise<string>} Body
+ */
+function readBody(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body));
+    });
+}
+
+test('direct fetches decode gzip bodies and follow redirects', async (t) => {
+    const base = await startServer(t, (req, res) => {
+        if (req.url === '/old') {
+            res.writeHead(301, { Location: '/page' });
+            return res.end();
+        }
+        res.writeHead(200, { 'Content-Encoding': 'gzip', 'Content-Type': 'text/html' });
+        res.end(zlib.gzipSync('<p>héllo</p>'));
+    });
+
+    const response = await fetchPage(`${base}/old`, { provider: 'direct', cookieJar: new CookieJar() });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.url, `${base}/page`);
+    assert.strictEqual(response.body, '<p>héllo</p>');
+    assert.strictEqual(response.provider, 'direct');
+});
+
+test('POST bodies are sent, and redirects other than 307/308 continue with a GET', async (t) => {
+    const requests = [];
+    const base = await startServer(t, async (req, res) => {
+        requests.push({ method: req.method, url: req.url, body: await readBody(req) });
+        if (req.url === '/post') {
+            res.writeHead(302, { Location: '/done' });
+            return res.end();
+        }
+        if (req.url === '/keep') {
+            res.writeHead(307, { Location: '/echo' });
+            return res.end();
+        }
+        res.end(`${req.method} ${req.url}`);
+    });
+
+    const options = { provider: 'direct', method: 'POST', body: 'a=1', cookieJar: new CookieJar() };
+    assert.strictEqual((await fetchPage(`${base}/post`, options)).body, 'GET /done');
+    assert.strictEqual((await fetchPage(`${base}/keep`, options)).body, 'POST /echo');
+    assert.deepStrictEqual(requests.map(({ method, body }) => `${method}:${body}`), ['POST:a=1', 'GET:', 'POST:a=1', 'POST:a=1']);
+});
+
+test('cookies set by a host are sent back to it', async (t) => {
+    const base = await startServer(t, (req, res) => {
+        res.writeHead(200, { 'Set-Cookie': 'session=abc; Path=/; HttpOnly' });
+        res.end(req.headers.cookie || '');
+    });
+    const cookieJar = new CookieJar();
+
+    assert.strictEqual((await fetchPage(base, { provider: 'direct', cookieJar })).body, '');
+    assert.strictEqual((await fetchPage(base, { provider: 'direct', cookieJar })).body, 'session=abc');
+});
+
+test('redirect loops and error statuses raise FetchErrors', async (t) => {
+    const base = await startServer(t, (req, res) => {
+        if (req.url === '/loop') {
+            res.writeHead(302, { Location: '/loop' });
+            return res.end();
+        }
+        res.writeHead(404);
+        res.end('missing');
+    });
+
+    await assert.rejects(fetchPage(`${base}/loop`, { provider: 'direct' }), { name: 'FetchError', code: 'EREDIRECT' });
+    const response = await fetchPage(`${base}/missing`, { provider: 'direct' });
+    assert.throws(() => assertSuccess(response), (error) => error instanceof FetchError && error.status === 404);
+});
+
+test('requests time out', async (t) => {
+    const base = await startServer(t, () => {});
+    await assert.rejects(fetchPage(base, { provider: 'direct', timeout: 50 }), { code: 'ETIMEDOUT' });
+});
+
+test('the ScrapeOps provider routes through its API and needs an API key', () => {
+    const scrapeops = getProvider('scrapeops');
+    const prepared = scrapeops.prepare('https://www.g2.com/products/x/reviews', { apiKey: 'key', country: 'de', wait: 1000 });
+    const requestUrl = new URL(prepared.requestUrl);
+
+    assert.strictEqual(requestUrl.origin, 'https://proxy.scrapeops.io');
+    assert.strictEqual(requestUrl.searchParams.get('url'), 'https://www.g2.com/products/x/reviews');
+    assert.strictEqual(requestUrl.searchParams.get('country'), 'de');
+    assert.strictEqual(requestUrl.searchParams.get('wait'), '1000');
+    assert.strictEqual(prepared.followRedirects, false);
+    assert.throws(() => scrapeops.prepare('https://example.com', { apiKey: 'your_scrapeops_api_key_here' }), /API key/);
+});
+
+test('providers are looked up by name and can be added', () => {
+    assert.throws(() => getProvider('carrier-pigeon'), /Unknown fetch provider/);
+    assert.throws(() => getProvider('proxy').prepare('https://example.com', {}), /Proxy URL/);
+
+    registerProvider({ name: 'custom', prepare: url => ({ requestUrl: url, headers: {}, followRedirects: true }) });
+    assert.strictEqual(getProvider('custom').name, 'custom');
+});
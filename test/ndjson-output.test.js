@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { createNdjsonOutput, readNdjsonReviews, parseNdjsonOutput } = require("../utils/ndjson-output");
+const { createCheckpointHook, loadCheckpoint, getCheckpointReviewCount } = require("../utils/checkpoints");
+const { runPageHooks } = require("../utils/page-hooks");
+const { scrapeG2WithProxy } = require("../scrapers/g2-scraper");
+const { registerScraper } = require("../scrapers");
+const { scrapeReviews } = require("../scrapper");
+const { makeTempDir, silenceConsole, replayPages, readFixture } = require("./helpers");
+
+const G2_URL = 'https://www.g2.com/products/acme-crm/reviews';
+const STREAMED_URL = 'https://reviews.streamed.local/acme';
+const scrapedAt = '2024-06-15T12:00:00.000Z';
+const context = { platform: 'streamed', sourceUrl: STREAMED_URL, scrapedAt };
+const product = { productName: 'Acme', reviewSite: 'Streamed', stars: '4.5', totalReviews: '3' };
+
+/**
+ * @param {string} reviewerName - Reviewer
+ * @param {string} reviewDate - Review date
+ * @returns {Object} A raw review that passes validation
+ */
+function review(reviewerName, reviewDate) {
+    return { reviewerName, reviewText: `Review by ${reviewerName}`, stars: 4, reviewDate };
+}
+
+/**
+ * @param {string} filePath - NDJSON output
+ * @returns {Array<Object>} Its records, one per line
+ */
+function readRecords(filePath) {
+    return fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('maxReviews is enforced before the page hooks, so the file has as many reviews as its run record counts', async (t) => {
+    silenceConsole(t);
+    replayPages(t, {
+        [`${G2_URL}?order=most_recent`]: readFixture('g2/page-1.html'),
+        [`${G2_URL}?order=most_recent&page=2`]: readFixture('g2/page-2.html')
+    });
+    const filePath = path.join(makeTempDir(t), 'g2.ndjson');
+    const output = createNdjsonOutput(filePath, { platform: 'g2', sourceUrl: G2_URL, scrapedAt });
+    const pages = [];
+    const countPage = async ({ reviews }) => { pages.push(reviews.length); };
+
+    const result = await scrapeG2WithProxy(G2_URL, '2024-01-01', '2024-12-31', 4, { pageHooks: [countPage, output.hook] });
+    output.finish(result);
+
+    assert.deepStrictEqual(pages, [3, 1]);
+    // The output owns the reviews, so the scraper keeps none
+    assert.deepStrictEqual(result.allReviews, []);
+    const records = readRecords(filePath);
+    assert.strictEqual(records.filter(record => record.type === 'review').length, 4);
+    assert.deepStrictEqual([records[4].type, records[4].totalScrapedReviews], ['run', 4]);
+});
+
+test('invalid and repeated reviews are not written and the invalid ones are reported', async (t) => {
+    const filePath = path.join(makeTempDir(t), 'out.ndjson');
+    const output = createNdjsonOutput(filePath, context);
+
+    await output.hook({ reviews: [review('Ann', '2024-06-10'), { ...review('Bob', '2024-06-09'), stars: 9 }] });
+    await output.hook({ reviews: [review('Ann', '2024-06-10')] });
+    output.finish({ ...context, ...product, allReviews: [] });
+    // A second finish, e.g. from an error handler, leaves the closed file alone
+    output.finish(null, 'failed');
+
+    assert.deepStrictEqual(output.rejectedReviews.map(({ index, review }) => [index, review.reviewerName]), [[1, 'Bob']]);
+    const { product: read, complete } = parseNdjsonOutput(fs.readFileSync(filePath, 'utf8'));
+    assert.strictEqual(complete, true);
+    assert.deepStrictEqual(read.allReviews.map(review => review.reviewerName), ['Ann']);
+    assert.strictEqual(read.totalScrapedReviews, 1);
+});
+
+test('a streaming checkpoint records how far the output got instead of the reviews', async (t) => {
+    const dir = makeTempDir(t);
+    const filePath = path.join(dir, 'out.ndjson');
+    const output = createNdjsonOutput(filePath, context);
+    const entry = { key: 'acme', url: STREAMED_URL, startDate: '2024-01-01', endDate: '2024-12-31', scrapedAt };
+    const hooks = [output.hook, createCheckpointHook(entry, null, dir, output)];
+
+    await runPageHooks(hooks, { page: 1, product, reviews: [review('Ann', '2024-06-10'), review('Bob', '2024-06-09')] });
+    await runPageHooks(hooks, { page: 2, product: null, reviews: [review('Cid', '2024-06-01')] });
+
+    const checkpoint = loadCheckpoint('acme', dir);
+    assert.deepStrictEqual(checkpoint.reviews, []);
+    assert.deepStrictEqual(checkpoint.output, { filePath, offset: fs.statSync(filePath).size, reviewCount: 3 });
+    assert.deepStrictEqual(checkpoint.cursor, { page: 3 });
+    assert.strictEqual(getCheckpointReviewCount(checkpoint), 3);
+    assert.strictEqual(getCheckpointReviewCount({ reviews: [review('Ann', '2024-06-10')] }), 1);
+});
+
+test('a resumed streaming scrape continues its file from the checkpointed offset', async (t) => {
+    silenceConsole(t);
+    const filePath = path.join(makeTempDir(t), 'out.ndjson');
+    const first = createNdjsonOutput(filePath, context);
+    await first.hook({ reviews: [review('Ann', '2024-06-10'), review('Bob', '2024-06-09')] });
+    const position = first.position();
+    // A page written after the checkpoint, cut short when the process died
+    await first.hook({ reviews: [review('Zed', '2024-06-08')] });
+    fs.appendFileSync(filePath, '{"type":"review","id":"stream');
+
+    const seen = [];
+    registerScraper({
+        name: 'streamed',
+        hostnames: ['reviews.streamed.local'],
+        scrape: async ({ url, pageHooks, resume }) => {
+            seen.push(resume.cursor.page);
+            // Bob shows up again as the listing shifted
+            const { reviews } = await runPageHooks(pageHooks, { url, page: 2, product, reviews: [review('Bob', '2024-06-09'), review('Cid', '2024-06-01')] });
+            return { ...product, allReviews: [...resume.reviews, ...reviews] };
+        }
+    });
+
+    const resume = { page: 1, cursor: { page: 2 }, product, reviews: [], output: { filePath, ...position }, scrapedAt };
+    const result = await scrapeReviews(STREAMED_URL, '2024-01-01', '2024-12-31', {}, { resume, ndjsonFile: path.join(path.dirname(filePath), 'new.ndjson') });
+
+    assert.deepStrictEqual(seen, [2]);
+    // The reviews stay in the file
+    assert.strictEqual(result.allReviews, undefined);
+    assert.strictEqual(result.totalScrapedReviews, 3);
+    assert.strictEqual(result.productName, 'Acme');
+    assert.deepStrictEqual([...readNdjsonReviews(filePath)].map(review => review.reviewerName), ['Ann', 'Bob', 'Cid']);
+
+    const records = readRecords(filePath);
+    assert.deepStrictEqual(records.map(record => record.reviewerName || record.type), ['Ann', 'Bob', 'Cid', 'run']);
+    assert.strictEqual(records[3].totalScrapedReviews, 3);
+    assert.strictEqual(fs.existsSync(path.join(path.dirname(filePath), 'new.ndjson')), false);
+});
+
+test('reviews are read back one line at a time, across chunk boundaries', (t) => {
+    const filePath = path.join(makeTempDir(t), 'out.ndjson');
+    const lines = ['Jörg', 'Zoë', 'Ann'].map(name => JSON.stringify({ type: 'review', id: `streamed:${name}`, reviewerName: name }));
+    // The last line of a killed scrape may be cut short
+    fs.writeFileSync(filePath, `${lines.join('\n')}\n{"type":"run","status":"completed"}\n{"type":"review","id":"stre`);
+
+    [3, 7, 64 * 1024].forEach(chunkSize => {
+        assert.deepStrictEqual([...readNdjsonReviews(filePath, chunkSize)].map(review => review.reviewerName), ['Jörg', 'Zoë', 'Ann']);
+    });
+    fs.writeFileSync(filePath, lines[0]);
+    assert.deepStrictEqual([...readNdjsonReviews(filePath)].map(review => review.id), ['streamed:Jörg']);
+});
@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const http = require("http");
+const recorder = require("../utils/recorder");
+const { fetchPage, CookieJar } = require("../utils/http");
+const { delay } = require("../utils/common");
+const { makeTempDir, silenceConsole, replayPages } = require("./helpers");
+
+test('record mode saves fetched pages that replay mode serves without the network', async (t) => {
+    silenceConsole(t);
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+        hits++;
+        res.end(`page ${req.url}`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/reviews?page=2`;
+    const dir = makeTempDir(t);
+    t.after(() => recorder.setRecordMode(null));
+
+    recorder.setRecordMode('record', dir);
+    await fetchPage(url, { provider: 'direct', cookieJar: new CookieJar() });
+    const fixturePath = recorder.getFixturePath(url);
+    assert.ok(fs.existsSync(fixturePath));
+    assert.strictEqual(JSON.parse(fs.readFileSync(fixturePath, 'utf8')).url, url);
+
+    await new Promise(resolve => server.close(resolve));
+    recorder.setRecordMode('replay', dir);
+    const replayed = await fetchPage(url, { provider: 'direct' });
+    assert.strictEqual(replayed.body, 'page /reviews?page=2');
+    assert.strictEqual(replayed.provider, 'replay');
+    assert.strictEqual(hits, 1);
+});
+
+test('replaying a page that was never recorded fails like a network error', async (t) => {
+    silenceConsole(t);
+    replayPages(t, {});
+    await assert.rejects(fetchPage('https://www.g2.com/products/x/reviews'), { name: 'FetchError', code: 'ENORECORDING' });
+});
+
+test('recordings of POST requests are told apart by their body', async (t) => {
+    silenceConsole(t);
+    const url = 'https://play.google.com/_/PlayStoreUi/data/batchexecute';
+    replayPages(t, { [url]: 'get' });
+    recorder.recordResponse(url, { url, status: 200, headers: {}, body: 'page 1' }, 'f.req=1');
+    recorder.recordResponse(url, { url, status: 200, headers: {}, body: 'page 2' }, 'f.req=2');
+
+    assert.strictEqual((await fetchPage(url, { method: 'POST', body: 'f.req=1' })).body, 'page 1');
+    assert.strictEqual((await fetchPage(url, { method: 'POST', body: 'f.req=2' })).body, 'page 2');
+    assert.strictEqual((await fetchPage(url)).body, 'get');
+});
+
+test('delays are skipped while replaying', async (t) => {
+    silenceConsole(t);
+    replayPages(t, {});
+    const startedAt = Date.now();
+    await delay(5000);
+    assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('unknown record modes are rejected', () => {
+    assert.throws(() => recorder.setRecordMode('rewind'), /Unknown record mode/);
+});
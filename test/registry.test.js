@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const registry = require("../scrapers");
+const { makeTempDir, silenceConsole } = require("./helpers");
+
+test('matchesHostname matches the hostname and its subdomains only', () => {
+    assert.strictEqual(registry.matchesHostname('g2.com', ['g2.com']), true);
+    assert.strictEqual(registry.matchesHostname('www.G2.com.', ['g2.com']), true);
+    assert.strictEqual(registry.matchesHostname('notg2.com', ['g2.com']), false);
+    assert.strictEqual(registry.matchesHostname('g2.com.evil.io', ['g2.com']), false);
+});
+
+test('built-in scrapers are found by URL', () => {
+    const cases = {
+        'https://www.g2.com/products/slack/reviews': 'g2',
+        'https://www.capterra.com/p/135003/Slack/reviews/': 'capterra',
+        'https://www.capterra.co.uk/reviews/135003/slack': 'capterra',
+        'https://www.getapp.com/collaboration-software/a/slack/reviews/': 'getapp',
+        'https://www.softwareadvice.com/im/slack-profile/reviews/': 'softwareadvice',
+        'https://www.trustpilot.com/review/slack.com': 'trustpilot',
+        'https://www.trustradius.com/products/slack/reviews': 'trustradius',
+        'https://apps.apple.com/us/app/slack/id618783545': 'appstore',
+        'https://play.google.com/store/apps/details?id=com.Slack': 'googleplay'
+    };
+    Object.entries(cases).forEach(([url, name]) => {
+        const scraper = registry.getScraperForUrl(url);
+        assert.ok(scraper, url);
+        assert.strictEqual(scraper.name, name, url);
+    });
+    assert.strictEqual(registry.getScraperForUrl('https://example.com/reviews'), null);
+    assert.strictEqual(registry.getScraperForUrl('not a url'), null);
+});
+
+test('scrapers declare whether their listing is sorted newest first', () => {
+    const sorted = url => registry.isSortedByDate(registry.getScraperForUrl(url), url);
+    assert.strictEqual(sorted('https://www.g2.com/products/slack/reviews'), true);
+    assert.strictEqual(sorted('https://www.g2.com/products/slack/reviews?order=most_recent'), true);
+    assert.strictEqual(sorted('https://www.g2.com/products/slack/reviews?order=g2_sort'), false);
+    assert.strictEqual(sorted('https://www.trustpilot.com/review/slack.com'), true);
+    assert.strictEqual(sorted('https://www.trustradius.com/products/slack/reviews'), false);
+    // Scrapers that don't say are taken as sorted
+    assert.strictEqual(registry.isSortedByDate({ name: 'plugin' }, 'https://example.com'), true);
+});
+
+test('registerScraper validates definitions and replaces scrapers with the same name', (t) => {
+    silenceConsole(t);
+    assert.throws(() => registry.registerScraper({ hostnames: ['a.com'], scrape: async () => null }), /name/);
+    assert.throws(() => registry.registerScraper({ name: 'x', hostnames: ['a.com'] }), /scrape/);
+    assert.throws(() => registry.registerScraper({ name: 'x', scrape: async () => null }), /hostnames/);
+
+    const custom = { name: 'custom', match: url => url.includes('/custom/'), scrape: async () => null };
+    registry.registerScraper(custom);
+    assert.strictEqual(registry.getScraperForUrl('https://intranet.local/custom/1'), custom);
+
+    const replacement = { ...custom, match: () => false };
+    registry.registerScraper(replacement);
+    assert.strictEqual(registry.listScrapers().filter(s => s.name === 'custom').length, 1);
+    assert.strictEqual(registry.getScraperForUrl('https://intranet.local/custom/1'), null);
+});
+
+test('loadPlugins registers the scrapers exported by plugin modules', (t) => {
+    silenceConsole(t);
+    const dir = makeTempDir(t);
+    fs.writeFileSync(path.join(dir, 'intranet.js'), `module.exports = { scrapers: [
+        { name: 'intranet-a', hostnames: ['a.intranet.local'], scrape: async () => null },
+        { name: 'intranet-b', hostnames: ['b.intranet.local'], scrape: async () => null }
+    ] };`);
+    fs.writeFileSync(path.join(dir, 'broken.js'), 'module.exports = { name: "" };');
+
+    assert.strictEqual(registry.loadPlugins({ dir }), 2);
+    assert.strictEqual(registry.getScraperForUrl('https://b.intranet.local/x').name, 'intranet-b');
+});
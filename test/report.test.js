@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { getRatingDistribution, getMonthlyTrend, getRecentLowStarReviews, groupProductsAcrossPlatforms } = require("../utils/report");
+const { renderHtmlReport, escapeHtml } = require("../utils/html-report");
+const { readOutputFiles, mergeOutputs } = require("../utils/outputs");
+const { FIXTURES_DIR, makeTempDir, silenceConsole } = require("./helpers");
+
+/**
+ * Merges the G2 and Trustpilot output fixtures, both of Acme CRM
+ * @param {Object} t - node:test context
+ * @returns {Array<Object>} [{ files, data, duplicates }] from mergeOutputs
+ */
+function acmeProducts(t) {
+    const dir = makeTempDir(t);
+    ['outputs/g2_acme_crm_2024-06-15.json', 'exports/trustpilot_acme_crm_2024-06-16.json'].forEach(file =>
+        fs.copyFileSync(path.join(FIXTURES_DIR, file), path.join(dir, path.basename(file))));
+    return mergeOutputs(readOutputFiles(dir));
+}
+
+test('ratings are counted per whole star, with unrated reviews apart', () => {
+    const reviews = [{ stars: 4.5 }, { stars: 4.4 }, { stars: 0 }, { stars: 1 }, { stars: null }, {}];
+    assert.deepStrictEqual(getRatingDistribution(reviews), { 1: 2, 2: 0, 3: 0, 4: 1, 5: 1, unrated: 2 });
+});
+
+test('the monthly trend covers every month between the first and the last review', () => {
+    const trend = getMonthlyTrend([
+        { reviewDate: '2024-02-03', stars: 5 },
+        { reviewDate: '2023-11-20', stars: 2 },
+        { reviewDate: '2023-11-02', stars: 3 },
+        { reviewDate: '2023-12-24', stars: null },
+        { reviewDate: null, stars: 1 }
+    ]);
+    assert.deepStrictEqual(trend, [
+        { month: '2023-11', reviews: 2, averageStars: 2.5 },
+        { month: '2023-12', reviews: 1, averageStars: null },
+        { month: '2024-01', reviews: 0, averageStars: null },
+        { month: '2024-02', reviews: 1, averageStars: 5 }
+    ]);
+    assert.deepStrictEqual(getMonthlyTrend([{ reviewDate: null }]), []);
+});
+
+test('the most recent low-star reviews come first', () => {
+    const reviews = [
+        { reviewerName: 'Old', stars: 1, reviewDate: '2024-01-01' },
+        { reviewerName: 'Happy', stars: 5, reviewDate: '2024-06-01' },
+        { reviewerName: 'Undated', stars: 2, reviewDate: null },
+        { reviewerName: 'Recent', stars: 2, reviewDate: '2024-05-01' }
+    ];
+    assert.deepStrictEqual(getRecentLowStarReviews(reviews).map(review => review.reviewerName), ['Recent', 'Old', 'Undated']);
+    assert.deepStrictEqual(getRecentLowStarReviews(reviews, { maxStars: 1, limit: 1 }).map(review => review.reviewerName), ['Old']);
+});
+
+test('products are compared across platforms by name, ignoring case', () => {
+    const product = (platform, productName) => ({ files: [], data: { platform, productName, allReviews: [] } });
+    const groups = groupProductsAcrossPlatforms([
+        product('g2', 'Acme CRM'),
+        product('capterra', ' acme crm '),
+        product('g2', 'Solo'),
+        product('g2', 'Twice'),
+        product('g2', 'twice')
+    ]);
+    assert.deepStrictEqual(groups.map(({ productName, sources }) => [productName, sources.map(source => source.platform)]),
+        [['Acme CRM', ['g2', 'capterra']]]);
+});
+
+test('the HTML report compares the platforms and lists the low-star reviews of each source', (t) => {
+    silenceConsole(t);
+    const html = renderHtmlReport(acmeProducts(t), { generatedAt: new Date('2024-06-20T00:00:00Z') });
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /Generated 2024-06-20T00:00:00.000Z from 2 source\(s\), 5 review\(s\)/);
+    assert.match(html, /<h2>Platform comparison<\/h2>\n<h3>Acme CRM<\/h3>/);
+    assert.match(html, /<tr><th>Site rating<\/th><td class="number">4.6<\/td><td class="number">4.3<\/td><\/tr>/);
+    assert.match(html, /<tr><th>Total reviews on site<\/th><td class="number">1,204<\/td><td class="number">1,482<\/td><\/tr>/);
+    assert.match(html, /<tr><th>1-2 stars<\/th><td class="number">33%<\/td><td class="number">50%<\/td><\/tr>/);
+    assert.match(html, /<strong>2★ Too many clicks<\/strong>/);
+    assert.match(html, /<strong>2★ Pricey<\/strong>\n<span class="muted">Jörg Müller, 2024-06-02<\/span>/);
+    assert.strictEqual((html.match(/<svg /g) || []).length, 5);
+    // Self-contained: no scripts, stylesheets or images to load
+    assert.doesNotMatch(html, /<script|<link|<img|src=/);
+});
+
+test('review text is escaped in the HTML report', () => {
+    const html = renderHtmlReport([{ files: [], data: {
+        platform: 'g2',
+        productName: 'Acme <b>CRM</b>',
+        sourceUrl: 'https://www.g2.com/products/acme-crm/reviews?a=1&b="2"',
+        allReviews: [{ reviewerName: 'Eve', reviewDate: '2024-06-01', stars: 1, reviewText: '<script>alert(1)</script>' }]
+    } }]);
+
+    assert.doesNotMatch(html, /<script>|<b>CRM/);
+    assert.match(html, /<blockquote>&lt;script&gt;alert\(1\)&lt;\/script&gt;<\/blockquote>/);
+    assert.match(html, /href="https:\/\/www\.g2\.com\/products\/acme-crm\/reviews\?a=1&amp;b=&quot;2&quot;"/);
+    assert.strictEqual(escapeHtml(null), '');
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const { getNativeReviewId, getReviewId, getHashReviewId, dedupeReviews } = require("../utils/review-id");
+const { createIncrementalHook, appendToHistory } = require("../utils/state-store");
+const { makeTempDir, silenceConsole } = require("./helpers");
+
+const g2Review = {
+    platform: 'g2',
+    reviewerName: 'Ann',
+    reviewDate: '2024-03-05',
+    reviewText: 'Great for teams',
+    reviewLink: 'https://www.g2.com/products/acme/reviews/acme-review-9876543'
+};
+const legacyId = getHashReviewId(g2Review);
+
+test('native IDs come from explicit IDs or review permalinks', () => {
+    assert.strictEqual(getNativeReviewId({ reviewId: 42 }), '42');
+    assert.strictEqual(getNativeReviewId({ extra: { reviewLink: 'https://www.trustpilot.com/reviews/65f0a1b2c3?x=1' } }), '65f0a1b2c3');
+    assert.strictEqual(getNativeReviewId(g2Review), 'acme-review-9876543');
+    assert.strictEqual(getNativeReviewId({ reviewLink: 'https://example.com/about' }), null);
+    assert.strictEqual(getReviewId(g2Review), 'g2:acme-review-9876543');
+});
+
+test('hash IDs ignore spacing and case and resolve relative dates', () => {
+    const { reviewLink, ...review } = g2Review;
+    assert.strictEqual(getReviewId(review), legacyId);
+    assert.match(legacyId, /^g2:h:[0-9a-f]{16}$/);
+    assert.strictEqual(getReviewId({ ...review, reviewerName: ' ANN ', reviewText: 'Great  for\nteams' }), legacyId);
+    assert.strictEqual(getReviewId({ ...review, reviewDate: 'yesterday' }, { now: new Date('2024-03-06T12:00:00Z') }), legacyId);
+    assert.notStrictEqual(getReviewId({ ...review, reviewText: 'Other text' }), legacyId);
+});
+
+test('dedupeReviews keeps the first occurrence of each ID', () => {
+    const { reviews, duplicates } = dedupeReviews([
+        { id: 'x:1', reviewText: 'a' },
+        { id: 'x:2', reviewText: 'b' },
+        { id: 'x:1', reviewText: 'a again' }
+    ]);
+    assert.deepStrictEqual(reviews.map(review => review.reviewText), ['a', 'b']);
+    assert.strictEqual(duplicates, 1);
+});
+
+test('reviews stored under their hash ID match the same review with a native ID', () => {
+    const native = { ...g2Review, id: getReviewId(g2Review) };
+    const { reviewLink, ...legacy } = { ...g2Review, id: legacyId };
+
+    assert.strictEqual(dedupeReviews([native, legacy]).reviews[0], native);
+    assert.strictEqual(dedupeReviews([native, legacy]).duplicates, 1);
+    assert.strictEqual(dedupeReviews([legacy, native]).reviews[0], legacy);
+    assert.strictEqual(dedupeReviews([legacy, native]).duplicates, 1);
+
+    // Two reviews the site tells apart stay apart even when their text is identical
+    const twin = { ...native, id: 'g2:acme-review-1234567' };
+    assert.strictEqual(dedupeReviews([native, twin]).duplicates, 0);
+});
+
+test('incremental runs recognise reviews whose ID in the state is the legacy hash', async (t) => {
+    silenceConsole(t);
+    const hook = createIncrementalHook({ platform: 'g2', newestReviewDate: '2024-03-05', newestReviewIds: [legacyId] });
+    const result = await hook({ page: 1, reviews: [g2Review] });
+    assert.deepStrictEqual(result, { reviews: [], stop: true });
+});
+
+test('history saved with legacy hash IDs does not grow a second copy of each review', (t) => {
+    const dir = makeTempDir(t);
+    const { reviewLink, ...legacy } = { ...g2Review, id: legacyId };
+    const run = (review) => ({ platform: 'g2', sourceUrl: 'https://www.g2.com/products/acme/reviews', allReviews: [review] });
+
+    appendToHistory(run(legacy), dir);
+    const { filePath, totalReviews } = appendToHistory(run({ ...g2Review, id: getReviewId(g2Review) }), dir);
+
+    assert.strictEqual(totalReviews, 1);
+    assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).allReviews[0].id, 'g2:acme-review-9876543');
+});
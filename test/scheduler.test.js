@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { runTasks } = require("../utils/scheduler");
+const { TokenBucket, acquireRequestSlot, resetRateLimits } = require("../utils/rate-limiter");
+
+/**
+ * Builds tasks that record how many run at once, overall and per host
+ * @param {Array<string>} hosts - Host of each task
+ * @returns {Object} { tasks, peak, order } where order lists task starts
+ */
+function trackedTasks(hosts) {
+    const peak = { total: 0, hosts: {} };
+    const running = { total: 0, hosts: {} };
+    const order = [];
+    const tasks = hosts.map((host, index) => ({
+        host,
+        run: async () => {
+            order.push(index);
+            running.total++;
+            running.hosts[host] = (running.hosts[host] || 0) + 1;
+            peak.total = Math.max(peak.total, running.total);
+            peak.hosts[host] = Math.max(peak.hosts[host] || 0, running.hosts[host]);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running.total--;
+            running.hosts[host]--;
+            if (host === 'broken') throw new Error('boom');
+            return `done ${index}`;
+        }
+    }));
+    return { tasks, peak, order };
+}
+
+test('runTasks overlaps hosts but runs one task per host at a time', async () => {
+    const { tasks, peak, order } = trackedTasks(['g2', 'g2', 'capterra', 'trustpilot', 'g2']);
+    const results = await runTasks(tasks, { concurrency: 3 });
+
+    assert.deepStrictEqual(results, ['done 0', 'done 1', 'done 2', 'done 3', 'done 4']);
+    assert.strictEqual(peak.total, 3);
+    assert.strictEqual(peak.hosts.g2, 1);
+    // The second G2 entry waits, so the other platforms start before it
+    assert.deepStrictEqual(order.slice(0, 3), [0, 2, 3]);
+});
+
+test('runTasks honours the concurrency settings', async () => {
+    const sequential = trackedTasks(['a', 'b', 'c']);
+    await runTasks(sequential.tasks, { concurrency: 1 });
+    assert.strictEqual(sequential.peak.total, 1);
+
+    const sameHost = trackedTasks(['a', 'a', 'a']);
+    await runTasks(sameHost.tasks, { concurrency: 3, perHostConcurrency: 2 });
+    assert.strictEqual(sameHost.peak.hosts.a, 2);
+
+    assert.deepStrictEqual(await runTasks([]), []);
+});
+
+test('a failing task does not stop the others', async () => {
+    const { tasks } = trackedTasks(['broken', 'g2']);
+    const [failed, done] = await runTasks(tasks);
+    assert.strictEqual(failed.error.message, 'boom');
+    assert.strictEqual(done, 'done 1');
+});
+
+test('the token bucket allows a burst, then spaces requests out', async () => {
+    // 1200 requests per minute is one every 50 ms
+    const bucket = new TokenBucket({ requestsPerMinute: 1200, burst: 2 });
+    const waits = [await bucket.take(), await bucket.take(), await bucket.take()];
+
+    assert.deepStrictEqual(waits.slice(0, 2), [0, 0]);
+    assert.ok(waits[2] > 0 && waits[2] <= 50, `waited ${waits[2]} ms`);
+});
+
+test('request slots are limited per host and only when a rate is set', async (t) => {
+    resetRateLimits();
+    t.after(resetRateLimits);
+
+    assert.strictEqual(await acquireRequestSlot('https://www.g2.com/a'), 0);
+    assert.strictEqual(await acquireRequestSlot('https://www.g2.com/a', { requestsPerMinute: 1200 }), 0);
+    assert.ok(await acquireRequestSlot('https://WWW.G2.com/b', { requestsPerMinute: 1200 }) > 0);
+    assert.strictEqual(await acquireRequestSlot('https://www.capterra.com/a', { requestsPerMinute: 1200 }), 0);
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+    SCHEMA_VERSION,
+    toRating,
+    toCount,
+    normalizeReview,
+    normalizeProduct,
+    normalizeAndValidate,
+    validateProduct
+} = require("../utils/schema");
+
+const context = { platform: 'g2', sourceUrl: 'https://www.g2.com/products/acme/reviews', scrapedAt: '2024-06-15T12:00:00.000Z' };
+
+test('toRating and toCount read the numbers sites print', () => {
+    assert.strictEqual(toRating('4.6 (14)'), 4.6);
+    assert.strictEqual(toRating('4,5'), 4.5);
+    assert.strictEqual(toRating(5), 5);
+    assert.strictEqual(toRating('N/A'), null);
+    assert.strictEqual(toCount('1,234 reviews'), 1234);
+    assert.strictEqual(toCount('1.234'), 1234);
+    assert.strictEqual(toCount(42), 42);
+    assert.strictEqual(toCount(''), null);
+});
+
+test('normalizeReview keeps the canonical fields and moves the rest into extra', () => {
+    const review = normalizeReview({
+        reviewerName: ' Ann ',
+        jobTitle: 'CTO',
+        reviewDate: 'March 5, 2024',
+        stars: '4.0',
+        reviewTitle: 'Good',
+        reviewText: 'Works well',
+        like: 'Speed',
+        extra: { industry: 'Retail' }
+    }, context);
+
+    assert.strictEqual(review.platform, 'g2');
+    assert.strictEqual(review.sourceUrl, context.sourceUrl);
+    assert.strictEqual(review.reviewerName, 'Ann');
+    assert.strictEqual(review.reviewDate, '2024-03-05');
+    assert.strictEqual(review.reviewDateRaw, 'March 5, 2024');
+    assert.strictEqual(review.stars, 4);
+    assert.deepStrictEqual(review.extra, { industry: 'Retail', like: 'Speed' });
+    assert.match(review.id, /^g2:/);
+});
+
+test('normalizeProduct keeps the product-level extra fields scrapers return', () => {
+    const product = normalizeProduct({
+        productName: 'Acme',
+        reviewSite: 'G2',
+        stars: '4.5',
+        totalReviews: '1,024',
+        trScore: 8.4,
+        extra: { category: 'CRM' },
+        allReviews: [{ reviewerName: 'Ann', reviewText: 'Nice', reviewDate: '2024-03-05', stars: 5 }]
+    }, context);
+
+    assert.strictEqual(product.schemaVersion, SCHEMA_VERSION);
+    assert.strictEqual(product.stars, 4.5);
+    assert.strictEqual(product.totalReviews, 1024);
+    assert.strictEqual(product.scrapedAt, context.scrapedAt);
+    assert.strictEqual(product.totalScrapedReviews, 1);
+    assert.deepStrictEqual(product.extra, { category: 'CRM', trScore: 8.4 });
+    assert.deepStrictEqual(validateProduct(product), []);
+});
+
+test('normalizeAndValidate rejects invalid reviews and reports product errors', () => {
+    const { product, productErrors, rejectedReviews } = normalizeAndValidate({
+        productName: '',
+        stars: 9,
+        allReviews: [
+            { reviewerName: 'Ann', reviewText: 'Fine', reviewDate: '2024-03-05', stars: 4 },
+            { reviewerName: 'Bob', reviewText: 'Off the scale', reviewDate: '2024-03-05', stars: 7 },
+            { reviewerName: 'Cid', reviewText: '', reviewDate: '2024-03-05', stars: 3 }
+        ]
+    }, context);
+
+    assert.strictEqual(product.allReviews.length, 1);
+    assert.deepStrictEqual(rejectedReviews.map(({ index }) => index), [1, 2]);
+    assert.match(rejectedReviews[0].errors.join(), /stars/);
+    assert.match(rejectedReviews[1].errors.join(), /no text/);
+    assert.ok(productErrors.some(error => /productName/.test(error)));
+    assert.ok(productErrors.some(error => /stars/.test(error)));
+});
+
+test('validateProduct rejects a non-object extra', () => {
+    const product = normalizeProduct({ productName: 'Acme', allReviews: [] }, context);
+    assert.deepStrictEqual(validateProduct(product), []);
+    assert.match(validateProduct({ ...product, extra: [] }).join(), /extra/);
+});
@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { loadState, saveState, createIncrementalHook, updateSourceState, appendToHistory } = require("../utils/state-store");
+const { getReviewId } = require("../utils/review-id");
+const { runPageHooks } = require("../utils/page-hooks");
+const { registerScraper } = require("../scrapers");
+const { scrapeReviews } = require("../scrapper");
+const { makeTempDir, silenceConsole } = require("./helpers");
+
+const now = new Date('2024-06-15T10:00:00Z');
+const ann = { reviewerName: 'Ann', reviewText: 'Solid tool', stars: 5 };
+const sourceState = {
+    platform: 'intranet',
+    newestReviewDate: '2024-06-13',
+    newestReviewIds: [getReviewId({ ...ann, reviewDate: '2024-06-13' }, { platform: 'intranet' })]
+};
+
+/**
+ * One page of reviews, newest first, with dates relative to `now`
+ * @returns {Array<Object>} Raw reviews
+ */
+function latestPage() {
+    return [
+        { reviewerName: 'Bob', reviewText: 'New since last run', stars: 4, reviewDate: 'yesterday' },
+        { reviewerName: 'Eve', reviewText: 'Same day, not seen yet', stars: 3, reviewDate: '2 days ago' },
+        { ...ann, reviewDate: '2 days ago' },
+        { reviewerName: 'Cid', reviewText: 'Older', stars: 2, reviewDate: '5 days ago' }
+    ];
+}
+
+test('the incremental hook keeps new reviews and stops at the ones collected before', async (t) => {
+    silenceConsole(t);
+    const hook = createIncrementalHook(sourceState, { now });
+    const result = await hook({ page: 1, reviews: latestPage() });
+
+    assert.deepStrictEqual(result.reviews.map(review => review.reviewerName), ['Bob', 'Eve']);
+    assert.strictEqual(result.stop, true);
+});
+
+test('on listings not sorted by date the incremental hook drops known reviews without stopping', async (t) => {
+    silenceConsole(t);
+    const hook = createIncrementalHook(sourceState, { now }, { sortedByDate: false });
+    const result = await hook({ page: 1, reviews: latestPage().reverse() });
+
+    assert.deepStrictEqual(result.reviews.map(review => review.reviewerName), ['Eve', 'Bob']);
+    assert.strictEqual(result.stop, false);
+});
+
+test('the incremental hook keeps everything on the first run', async () => {
+    const hook = createIncrementalHook(undefined, { now });
+    assert.strictEqual(await hook({ page: 1, reviews: latestPage() }), undefined);
+});
+
+test('scrapeReviews resolves relative dates for the incremental hook at the scrape time', async (t) => {
+    silenceConsole(t);
+    registerScraper({
+        name: 'intranet',
+        hostnames: ['reviews.intranet.local'],
+        scrape: async ({ url, pageHooks }) => {
+            const { reviews } = await runPageHooks(pageHooks, { url, page: 1, product: {}, reviews: latestPage() });
+            return { productName: 'Intranet', reviewSite: 'Intranet', allReviews: reviews };
+        }
+    });
+
+    // Resuming keeps the original scrape time, which is far from the clock of this test
+    const product = await scrapeReviews('https://reviews.intranet.local/acme', '2024-01-01', '2024-12-31', {},
+        { incrementalState: sourceState, resume: { page: 0, reviews: [], scrapedAt: now.toISOString() } });
+
+    assert.deepStrictEqual(product.allReviews.map(review => [review.reviewerName, review.reviewDate]),
+        [['Bob', '2024-06-14'], ['Eve', '2024-06-13']]);
+});
+
+test('updateSourceState tracks the newest date and every review seen on it', () => {
+    const state = { 'https://x': { ...sourceState } };
+    const product = {
+        platform: 'intranet',
+        scrapedAt: now.toISOString(),
+        allReviews: [
+            { id: 'intranet:eve', reviewDate: '2024-06-13' },
+            { id: 'intranet:old', reviewDate: '2024-06-01' },
+            { id: 'intranet:nodate', reviewDate: null }
+        ]
+    };
+
+    updateSourceState(state, 'https://x', product, 'history/x.json');
+    assert.deepStrictEqual(state['https://x'].newestReviewIds, [...sourceState.newestReviewIds, 'intranet:eve']);
+
+    product.allReviews.push({ id: 'intranet:bob', reviewDate: '2024-06-14' });
+    updateSourceState(state, 'https://x', product, 'history/x.json');
+    assert.deepStrictEqual(state['https://x'], {
+        platform: 'intranet',
+        newestReviewDate: '2024-06-14',
+        newestReviewIds: ['intranet:bob'],
+        lastRunAt: now.toISOString(),
+        historyFile: 'history/x.json'
+    });
+});
+
+test('the source state can be updated from reviews read one at a time', () => {
+    const state = {};
+    function* reviews() {
+        yield { id: 'intranet:eve', reviewDate: '2024-06-13' };
+        yield { id: 'intranet:bob', reviewDate: '2024-06-14' };
+    }
+
+    updateSourceState(state, 'https://x', { platform: 'intranet', scrapedAt: now.toISOString() }, 'history/x.json', reviews());
+    assert.deepStrictEqual([state['https://x'].newestReviewDate, state['https://x'].newestReviewIds], ['2024-06-14', ['intranet:bob']]);
+});
+
+test('state is saved atomically and read back', (t) => {
+    const dir = makeTempDir(t);
+    assert.deepStrictEqual(loadState(dir), {});
+    saveState({ 'https://x': sourceState }, dir);
+    assert.deepStrictEqual(loadState(dir), { 'https://x': sourceState });
+    assert.deepStrictEqual(fs.readdirSync(dir), ['state.json']);
+});
+
+test('appendToHistory adds new reviews in front and skips ones already recorded', (t) => {
+    const dir = makeTempDir(t);
+    const run = (ids) => ({
+        platform: 'intranet',
+        sourceUrl: 'https://reviews.intranet.local/acme',
+        allReviews: ids.map(id => ({ id: `intranet:${id}` }))
+    });
+
+    appendToHistory(run(['b', 'a']), dir);
+    const { filePath, totalReviews } = appendToHistory(run(['c', 'b']), dir);
+
+    assert.strictEqual(path.basename(filePath), 'reviews_intranet_local_acme.json');
+    assert.strictEqual(totalReviews, 3);
+    const history = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.deepStrictEqual(history.allReviews.map(review => review.id), ['intranet:c', 'intranet:b', 'intranet:a']);
+});
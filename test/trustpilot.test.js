@@ -0,0 +1,162 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { scrapeAllPages_Trustpilot, parsedDataFromHTML_Trustpilot, parseReviewDetail_Trustpilot } = require("../scrapers/trustpilot-scraper");
+const { silenceConsole, replayPages, readFixture } = require("./helpers");
+
+const TRUSTPILOT_URL = 'https://www.trustpilot.com/review/acme-crm.example';
+
+test('the Next.js page data is preferred over JSON-LD and the rendered cards', () => {
+    const { productData, source } = parsedDataFromHTML_Trustpilot(readFixture('trustpilot/next-data.html'));
+
+    assert.strictEqual(source, 'next-data');
+    assert.deepStrictEqual(
+        [productData.productName, productData.stars, productData.totalReviews, productData.hasNextPage],
+        ['Acme CRM', '4.3', '1482', true]
+    );
+
+    const [hannah, jonas] = productData.allReviews;
+    assert.deepStrictEqual(hannah, {
+        reviewerName: 'Hannah M.',
+        jobTitle: '',
+        reviewDate: '2024-06-10T08:00:00.000Z',
+        stars: '5',
+        reviewTitle: 'Support got back within the hour',
+        reviewText: 'Our import failed twice and support walked us through it.',
+        reviewId: '6650f1a2b3c4d5e6f7a8b9c0',
+        reviewLink: 'https://www.trustpilot.com/reviews/6650f1a2b3c4d5e6f7a8b9c0',
+        country: 'GB',
+        dateOfExperience: '2024-06-08',
+        verified: true,
+        verificationSource: 'Invited',
+        language: 'en',
+        usefulCount: 3,
+        companyReply: 'Thanks Hannah, glad it worked out!',
+        companyReplyDate: '2024-06-11T14:30:00.000Z',
+        replyDelayHours: 30.5
+    });
+    assert.deepStrictEqual(
+        [jonas.country, jonas.dateOfExperience, jonas.verified, jonas.usefulCount, jonas.companyReply, jonas.replyDelayHours],
+        ['DE', '', false, null, '', null]
+    );
+});
+
+test('JSON-LD reviews are used when the page has no Next.js data', () => {
+    const { productData, source } = parsedDataFromHTML_Trustpilot(readFixture('trustpilot/json-ld.html'));
+
+    assert.strictEqual(source, 'json-ld');
+    // The JSON-LD business has no aggregateRating - the header comes from the DOM
+    assert.deepStrictEqual(
+        [productData.productName, productData.stars, productData.totalReviews, productData.hasNextPage],
+        ['Acme CRM', '4.3', '1482', true]
+    );
+
+    const [olivia, pedro] = productData.allReviews;
+    assert.deepStrictEqual(
+        [olivia.reviewerName, olivia.reviewTitle, olivia.stars, olivia.reviewId, olivia.reviewLink, olivia.country, olivia.language],
+        ['Olivia R.', 'Easy onboarding', '4', '6650f1a2b3c4d5e6f7a8b9c2',
+            'https://www.trustpilot.com/reviews/6650f1a2b3c4d5e6f7a8b9c2', 'US', 'en']
+    );
+    assert.deepStrictEqual([pedro.reviewTitle, pedro.stars, pedro.country], ['Mobile app crashes', '1', '']);
+});
+
+test('the rendered cards are read through their data attributes', () => {
+    const { productData, source } = parsedDataFromHTML_Trustpilot(readFixture('trustpilot/dom.html'));
+
+    assert.strictEqual(source, 'dom');
+    assert.deepStrictEqual(
+        [productData.productName, productData.stars, productData.totalReviews, productData.hasNextPage],
+        ['Acme CRM', '4.3', '1482', false]
+    );
+
+    const [quinn, rosa] = productData.allReviews;
+    assert.deepStrictEqual(quinn, {
+        reviewerName: 'Quinn T.',
+        jobTitle: '',
+        reviewDate: '2024-05-15T12:00:00.000Z',
+        stars: '3',
+        reviewTitle: 'Decent, reports are slow',
+        reviewText: 'Reports take a minute to load on large pipelines.',
+        reviewId: '6650f1a2b3c4d5e6f7a8b9c4',
+        reviewLink: 'https://www.trustpilot.com/reviews/6650f1a2b3c4d5e6f7a8b9c4',
+        country: 'CA',
+        dateOfExperience: '2024-05-10',
+        verified: true,
+        verificationSource: 'Verified',
+        language: 'fr',
+        usefulCount: 2,
+        companyReply: "We're working on report speed.",
+        companyReplyDate: '2024-05-16T09:00:00.000Z',
+        replyDelayHours: 21
+    });
+    assert.deepStrictEqual(
+        [rosa.reviewerName, rosa.reviewId, rosa.reviewLink, rosa.verified, rosa.companyReply],
+        ['Rosa V.', '', '', false, '']
+    );
+});
+
+test('all languages are scraped page by page until the last page', async (t) => {
+    silenceConsole(t);
+    replayPages(t, {
+        [`${TRUSTPILOT_URL}?languages=all`]: readFixture('trustpilot/next-data.html'),
+        [`${TRUSTPILOT_URL}?languages=all&page=2`]: readFixture('trustpilot/dom.html')
+    });
+
+    const result = await scrapeAllPages_Trustpilot(TRUSTPILOT_URL, '2024-05-05', '2024-12-31');
+    assert.deepStrictEqual([result.productName, result.stars, result.totalReviews], ['Acme CRM', '4.3', '1482']);
+    // Rosa V.'s review predates the start date
+    assert.deepStrictEqual(result.allReviews.map(review => review.reviewerName), ['Hannah M.', 'Jonas K.', 'Quinn T.']);
+    assert.strictEqual(result.totalScrapedReviews, 3);
+});
+
+test('review detail pages give the full text, the company reply and the useful votes', () => {
+    assert.deepStrictEqual(parseReviewDetail_Trustpilot(readFixture('trustpilot/review-detail-dom.html')), {
+        reviewText: 'Reports take a minute to load on large pipelines. Everything else is fine.',
+        usefulCount: 4,
+        companyReply: "We're working on report speed.",
+        companyReplyDate: '2024-05-17T12:00:00.000Z',
+        replyDelayHours: 48
+    });
+    assert.strictEqual(parseReviewDetail_Trustpilot('<html><body><p>Page not found</p></body></html>'), null);
+});
+
+test('deep mode completes each review from its detail page and keeps the card when that fails', async (t) => {
+    silenceConsole(t);
+    replayPages(t, {
+        [`${TRUSTPILOT_URL}?languages=all`]: readFixture('trustpilot/next-data.html').replace('"totalPages":2', '"totalPages":1'),
+        'https://www.trustpilot.com/reviews/6650f1a2b3c4d5e6f7a8b9c0': readFixture('trustpilot/review-detail.html')
+        // Jonas K.'s detail page was not recorded, so fetching it fails
+    });
+
+    const result = await scrapeAllPages_Trustpilot(TRUSTPILOT_URL, '2024-01-01', '2024-12-31', { deep: true });
+    const [hannah, jonas] = result.allReviews;
+
+    assert.deepStrictEqual(
+        [hannah.reviewText, hannah.usefulCount, hannah.companyReply, hannah.companyReplyDate, hannah.replyDelayHours],
+        ['Our import failed twice and support walked us through it. They even followed up a week later to check the data.', 7,
+            "Thanks Hannah, glad it worked out! We've passed this on to the team.", '2024-06-11T14:30:00.000Z', 30.5]
+    );
+    // The listing's fields are kept
+    assert.deepStrictEqual([hannah.reviewerName, hannah.verified, hannah.verificationSource], ['Hannah M.', true, 'Invited']);
+    assert.deepStrictEqual([jonas.reviewText, jonas.companyReply], ['Works, but the price went up again.', '']);
+    assert.match(console.warn.mock.calls.map(call => call.arguments.join(' ')).join('\n'),
+        /Could not fetch review details https:\/\/www\.trustpilot\.com\/reviews\/6650f1a2b3c4d5e6f7a8b9c1/);
+});
+
+test('deep mode keeps the votes and reply of the card when the detail page does not show them', async (t) => {
+    silenceConsole(t);
+    const detail = readFixture('trustpilot/review-detail.html')
+        .replace('"likes":7,', '')
+        .replace(/,\s*"reply":\{[^}]*\}/, '');
+    replayPages(t, {
+        [`${TRUSTPILOT_URL}?languages=all`]: readFixture('trustpilot/next-data.html').replace('"totalPages":2', '"totalPages":1'),
+        'https://www.trustpilot.com/reviews/6650f1a2b3c4d5e6f7a8b9c0': detail
+    });
+
+    const [hannah] = (await scrapeAllPages_Trustpilot(TRUSTPILOT_URL, '2024-01-01', '2024-12-31', { deep: true })).allReviews;
+    assert.strictEqual(hannah.reviewText,
+        'Our import failed twice and support walked us through it. They even followed up a week later to check the data.');
+    assert.deepStrictEqual(
+        [hannah.usefulCount, hannah.companyReply, hannah.companyReplyDate, hannah.replyDelayHours],
+        [3, 'Thanks Hannah, glad it worked out!', '2024-06-11T14:30:00.000Z', 30.5]
+    );
+});
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { scrapeAllPages_TrustRadius, parsedDataFromHTML_TrustRadius } = require("../scrapers/trustradius-scraper");
+const { scrapeReviews } = require("../scrapper");
+const { silenceConsole, replayPages, readFixture } = require("./helpers");
+
+const TRUSTRADIUS_URL = 'https://www.trustradius.com/products/acme-crm/reviews';
+
+test('review cards give the header, ratings, reviewer role and pros/cons', () => {
+    const { productData } = parsedDataFromHTML_TrustRadius(readFixture('trustradius/page-1.html'));
+
+    assert.deepStrictEqual(
+        [productData.productName, productData.trScore, productData.stars, productData.totalReviews, productData.hasNextPage],
+        ['Acme CRM', 8.4, '4.2', '312', true]
+    );
+    assert.deepStrictEqual(productData.allReviews[0], {
+        reviewerName: 'Sam W.',
+        jobTitle: 'Director of Sales',
+        reviewDate: '2024-06-07',
+        stars: '4',
+        reviewTitle: 'Great pipeline tracking',
+        reviewText: 'Our sales team tracks every deal in Acme CRM.',
+        rating: 8,
+        pros: 'Pipeline view\nEmail sync',
+        cons: 'Reporting is basic',
+        companySize: '51-200 employees',
+        industry: 'Computer Software',
+        reviewLink: 'https://www.trustradius.com/reviews/acme-crm-2024-06-07-10-11-12'
+    });
+    assert.deepStrictEqual(
+        [productData.allReviews[1].industry, productData.allReviews[1].companySize, productData.allReviews[1].stars],
+        ['Hospital & Health Care', '1001-5000 employees', '3']
+    );
+});
+
+test('the company size is never read from the review text', () => {
+    const html = readFixture('trustradius/page-1.html')
+        .replace(' (1001-5000 employees)', '')
+        .replace('Used by our outreach team.', 'Used by our outreach team of 11-50 employees.');
+    const uri = parsedDataFromHTML_TrustRadius(html).productData.allReviews[1];
+
+    assert.deepStrictEqual([uri.jobTitle, uri.industry, uri.companySize], ['IT Manager', 'Hospital & Health Care', '']);
+});
+
+test('JSON-LD reviews are used when the page shows no review cards', () => {
+    const { productData } = parsedDataFromHTML_TrustRadius(readFixture('trustradius/page-2.html'));
+
+    // The aggregate rating is out of 10, like the trScore
+    assert.deepStrictEqual(
+        [productData.productName, productData.trScore, productData.totalReviews, productData.hasNextPage],
+        ['Acme CRM', 8.4, '312', false]
+    );
+    assert.deepStrictEqual(
+        productData.allReviews.map(review => [review.reviewerName, review.reviewDate, review.stars, review.reviewLink]),
+        [
+            ['Tina G.', '2024-03-02', '4.5', 'https://www.trustradius.com/reviews/acme-crm-2024-03-02-09-30-00'],
+            ['Vik R.', '2022-08-15', '2', '']
+        ]
+    );
+});
+
+test('every page is read and its reviews filtered by date, as TrustRadius does not sort by date', async (t) => {
+    silenceConsole(t);
+    replayPages(t, {
+        [TRUSTRADIUS_URL]: readFixture('trustradius/page-1.html'),
+        [`${TRUSTRADIUS_URL}?page=2`]: readFixture('trustradius/page-2.html')
+    });
+
+    const result = await scrapeAllPages_TrustRadius(TRUSTRADIUS_URL, '2024-01-01', '2024-12-31');
+    assert.deepStrictEqual([result.productName, result.reviewSite, result.trScore], ['Acme CRM', 'TrustRadius', 8.4]);
+    assert.deepStrictEqual(result.allReviews.map(review => review.reviewerName), ['Sam W.', 'Tina G.']);
+
+    const onePage = await scrapeAllPages_TrustRadius(TRUSTRADIUS_URL, '2020-01-01', '2024-12-31', { maxPages: 1 });
+    assert.deepStrictEqual(onePage.allReviews.map(review => review.reviewerName), ['Sam W.', 'Uri P.']);
+});
+
+test('a first page that cannot be fetched gives no result', async (t) => {
+    silenceConsole(t);
+    replayPages(t, { [TRUSTRADIUS_URL]: { status: 404, body: 'Not found' } });
+
+    assert.strictEqual(await scrapeAllPages_TrustRadius(TRUSTRADIUS_URL, '2024-01-01', '2024-12-31'), null);
+});
+
+test('an incremental run reads every page, as a new review may follow a known one', async (t) => {
+    silenceConsole(t);
+    replayPages(t, {
+        [TRUSTRADIUS_URL]: readFixture('trustradius/page-1.html'),
+        [`${TRUSTRADIUS_URL}?page=2`]: readFixture('trustradius/page-2.html')
+    });
+
+    const incrementalState = { platform: 'trustradius', newestReviewDate: '2024-01-01', newestReviewIds: [] };
+    const product = await scrapeReviews(TRUSTRADIUS_URL, '2020-01-01', '2024-12-31', {}, { incrementalState });
+    assert.deepStrictEqual(product.allReviews.map(review => review.reviewDate), ['2024-06-07', '2024-03-02']);
+});
@@ -0,0 +1,152 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_CHECKPOINT_DIR = path.join(__dirname, '..', 'state', 'checkpoints');
+const RUN_FILENAME = 'run.json';
+
+/**
+ * Writes JSON atomically (write to a temp file, then rename), so a crash
+ * mid-write never leaves a truncated checkpoint behind
+ * @param {string} filePath - Destination file
+ * @param {Object} data - Data to write
+ */
+function writeJsonAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Builds the key identifying an input entry across runs. The date range is part
+ * of the key, so the same URL scraped for another period gets its own checkpoint
+ * @param {string} url - Source URL
+ * @param {string} startDate - Entry start date
+ * @param {string} endDate - Entry end date
+ * @returns {string} Entry key, e.g. "www_g2_com_products_slack_reviews_1a2b3c4d"
+ */
+function getEntryKey(url, startDate, endDate) {
+    const name = url
+        .replace(/^https?:\/\//, '')
+        .replace(/[^a-z0-9]/gi, '_')
+        .toLowerCase()
+        .slice(0, 80);
+    const hash = crypto.createHash('sha1').update(`${url}|${startDate}|${endDate}`).digest('hex').slice(0, 8);
+    return `${name}_${hash}`;
+}
+
+/**
+ * Loads the checkpoint of an unfinished entry
+ * @param {string} key - Entry key (see getEntryKey)
+ * @param {string} checkpointDir - Checkpoint directory (default: <project>/state/checkpoints)
+ * @returns {Object|null} { key, url, startDate, endDate, scrapedAt, page, cursor, product, reviews, output, updatedAt }
+ *                       or null; output ({ filePath, offset, reviewCount }) is set when the reviews were streamed
+ */
+function loadCheckpoint(key, checkpointDir = DEFAULT_CHECKPOINT_DIR) {
+    const filePath = path.join(checkpointDir, `${key}.json`);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        console.warn(`⚠️ Ignoring unreadable checkpoint ${filePath}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Removes the checkpoint of an entry (once its results are saved)
+ * @param {string} key - Entry key
+ * @param {string} checkpointDir - Checkpoint directory
+ */
+function clearCheckpoint(key, checkpointDir = DEFAULT_CHECKPOINT_DIR) {
+    fs.rmSync(path.join(checkpointDir, `${key}.json`), { force: true });
+}
+
+/**
+ * Counts the reviews an entry collected before its checkpoint
+ * @param {Object} checkpoint - Checkpoint (see loadCheckpoint)
+ * @returns {number} Reviews kept so far, in the checkpoint or in its NDJSON output
+ */
+function getCheckpointReviewCount(checkpoint) {
+    return checkpoint.output ? checkpoint.output.reviewCount : checkpoint.reviews.length;
+}
+
+/**
+ * Creates a page hook that persists the entry's progress after every page:
+ * the last page fetched, the cursor to continue from and every review kept so far.
+ * It must run after the other hooks so it records the reviews they kept.
+ * When the reviews are streamed to an NDJSON output, the checkpoint records how far
+ * the output got instead of the reviews, so it stays small however many pages are scraped
+ * @param {Object} entry - { key, url, startDate, endDate, scrapedAt }
+ * @param {Object} previous - Checkpoint being resumed (its reviews are carried over), or null
+ * @param {string} checkpointDir - Checkpoint directory
+ * @param {Object} output - NDJSON output the reviews are streamed to (see utils/ndjson-output.js), or null
+ * @returns {Function} Page hook (see utils/page-hooks.js)
+ */
+function createCheckpointHook(entry, previous = null, checkpointDir = DEFAULT_CHECKPOINT_DIR, output = null) {
+    const reviews = previous && !output ? [...previous.reviews] : [];
+    let product = previous ? previous.product : null;
+
+    return async (context) => {
+        if (!output) {
+            reviews.push(...context.reviews);
+        }
+        product = context.product || product;
+
+        writeJsonAtomic(path.join(checkpointDir, `${entry.key}.json`), {
+            ...entry,
+            page: context.page,
+            // Scrapers with page numbers don't need to pass a cursor
+            cursor: context.cursor || { page: context.page + 1 },
+            product,
+            reviews,
+            ...(output && { output: { filePath: output.filePath, ...output.position() } }),
+            updatedAt: new Date().toISOString()
+        });
+    };
+}
+
+/**
+ * Loads the progress of the last run: the keys of the entries it completed
+ * @param {string} checkpointDir - Checkpoint directory
+ * @returns {Object} { startedAt, completed: [keys] }
+ */
+function loadRun(checkpointDir = DEFAULT_CHECKPOINT_DIR) {
+    const filePath = path.join(checkpointDir, RUN_FILENAME);
+    if (!fs.existsSync(filePath)) {
+        return { startedAt: null, completed: [] };
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Persists the progress of the current run
+ * @param {Object} run - { startedAt, completed: [keys] }
+ * @param {string} checkpointDir - Checkpoint directory
+ */
+function saveRun(run, checkpointDir = DEFAULT_CHECKPOINT_DIR) {
+    writeJsonAtomic(path.join(checkpointDir, RUN_FILENAME), run);
+}
+
+/**
+ * Removes the run progress and every entry checkpoint (after a complete run,
+ * or before a fresh run that doesn't resume)
+ * @param {string} checkpointDir - Checkpoint directory
+ */
+function clearRun(checkpointDir = DEFAULT_CHECKPOINT_DIR) {
+    fs.rmSync(checkpointDir, { recursive: true, force: true });
+}
+
+module.exports = {
+    getEntryKey,
+    loadCheckpoint,
+    clearCheckpoint,
+    getCheckpointReviewCount,
+    createCheckpointHook,
+    loadRun,
+    saveRun,
+    clearRun
+};
@@ -1,32 +1,43 @@
 const fs = require("fs");
 const path = require("path");
+const { isReplaying } = require("./recorder");
+const { normalizeDate, isDateInRange } = require("./dates");
 
 /**
- * Saves data to a JSON file with timestamp
- * @param {Object} data - The data to save
+ * Builds a timestamped output file path for a source and creates the directory
  * @param {string} rawName - The raw name/URL to use for filename
+ * @param {string} extension - File extension, e.g. ".json"
+ * @param {string} outputDir - Directory to write to (default: <project>/output)
  * @returns {Object} File information with path and filename
  */
-function saveToJsonFile(data, rawName) {
-    const outputDir = path.join(__dirname, '..', 'output');
+function getOutputFile(rawName, extension, outputDir = path.join(__dirname, '..', 'output')) {
     if (!fs.existsSync(outputDir)) {
-        fs.mkdirSync(outputDir);
+        fs.mkdirSync(outputDir, { recursive: true });
     }
     
-    // Use rawName (URL) if provided, else productName
-    const baseRaw = rawName || data.productName;
     // Remove protocol and sanitize
-    const sanitizedProductName = baseRaw.toString()
+    const sanitizedProductName = rawName.toString()
         .replace(/^https?:\/\//, '')
         .replace(/[^a-z0-9]/gi, '_')
         .toLowerCase();
     
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `${sanitizedProductName}_${timestamp}.json`;
-    const filePath = path.join(outputDir, filename);
-    
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-    return { filePath, filename };
+    const filename = `${sanitizedProductName}_${timestamp}${extension}`;
+    return { filePath: path.join(outputDir, filename), filename };
+}
+
+/**
+ * Saves data to a JSON file with timestamp
+ * @param {Object} data - The data to save
+ * @param {string} rawName - The raw name/URL to use for filename
+ * @param {string} outputDir - Directory to write to (default: <project>/output)
+ * @returns {Object} File information with path and filename
+ */
+function saveToJsonFile(data, rawName, outputDir) {
+    // Use rawName (URL) if provided, else productName
+    const fileInfo = getOutputFile(rawName || data.productName, '.json', outputDir);
+    fs.writeFileSync(fileInfo.filePath, JSON.stringify(data, null, 2), 'utf8');
+    return fileInfo;
 }
 
 /**
@@ -47,28 +58,30 @@ function generatePageUrl(baseUrl, pageNum) {
 }
 
 /**
- * Parses various date formats
+ * Resolves a limit option such as maxReviews or maxPages
+ * @param {number|string|null} value - Entry value: a positive integer, or null/"unlimited" for no limit
+ * @param {number} defaultValue - Limit when the option is not set
+ * @returns {number} The limit (Infinity for no limit)
+ */
+function resolveLimit(value, defaultValue = Infinity) {
+    if (value === undefined) return defaultValue;
+    if (value === null || value === 'unlimited') return Infinity;
+
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit <= 0) {
+        throw new Error(`Invalid limit ${JSON.stringify(value)}: expected a positive integer or "unlimited"`);
+    }
+    return limit;
+}
+
+/**
+ * Parses various date formats (see utils/dates.js)
  * @param {string} dateStr - Date string to parse
- * @returns {Date} Parsed date
+ * @returns {Date} Parsed date at UTC midnight, or an invalid Date when unparseable
  */
 function parseDate(dateStr) {
-    dateStr = dateStr.trim();
-    
-    // Format: YYYY/MM/DD
-    let m = dateStr.match(/^(\d{4})\/(\d{1,2})\/(\d{1,2})$/);
-    if (m) {
-        const [, year, month, day] = m;
-        return new Date(+year, +month - 1, +day);
-    }
-    
-    // Format: MM/DD/YYYY
-    m = dateStr.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
-    if (m) {
-        const [, month, day, year] = m;
-        return new Date(+year, +month - 1, +day);
-    }
-    
-    return new Date(dateStr);
+    const { date } = normalizeDate(dateStr);
+    return date ? new Date(`${date}T00:00:00Z`) : new Date(NaN);
 }
 
 /**
@@ -76,76 +89,53 @@ function parseDate(dateStr) {
  * @param {Array} reviews - Array of review objects
  * @param {string} startDateStr - Start date string
  * @param {string} endDateStr - End date string
+ * @param {Object} options - { unknownDates: "exclude" | "include", now }
  * @returns {Array} Filtered reviews
  */
-function filterReviewsByDate(reviews, startDateStr, endDateStr) {
-    const start = parseDate(startDateStr);
-    const end = parseDate(endDateStr);
-    
-    return reviews.filter(review => {
-        const rd = parseDate(review.reviewDate);
-        return !isNaN(rd) && rd >= start && rd <= end;
-    });
+function filterReviewsByDate(reviews, startDateStr, endDateStr, options = {}) {
+    return reviews.filter(review => isDateInRange(review.reviewDate, startDateStr, endDateStr, options));
 }
 
 /**
- * Calculates date from relative time strings (e.g., "2 months ago")
+ * Calculates date from relative time strings (e.g., "2 months ago", "yesterday")
  * @param {string} relativeTimeStr - Relative time string
- * @returns {Date} Calculated date
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Date} Calculated date at UTC midnight, or an invalid Date when unparseable
  */
-function calculateDateFromRelative(relativeTimeStr) {
-    const currentDate = new Date();
-    const lowerStr = relativeTimeStr.toLowerCase();
-    
-    if (lowerStr.includes('year')) {
-        const years = parseInt(relativeTimeStr);
-        return new Date(currentDate.getFullYear() - years, currentDate.getMonth(), currentDate.getDate());
-    } else if (lowerStr.includes('month')) {
-        const months = parseInt(relativeTimeStr);
-        let newMonth = currentDate.getMonth() - months;
-        let newYear = currentDate.getFullYear();
-        
-        while (newMonth < 0) {
-            newMonth += 12;
-            newYear--;
-        }
-        return new Date(newYear, newMonth, currentDate.getDate());
-    } else if (lowerStr.includes('day')) {
-        const days = parseInt(relativeTimeStr);
-        const resultDate = new Date(currentDate);
-        resultDate.setDate(resultDate.getDate() - days);
-        return resultDate;
-    } else {
-        return new Date(relativeTimeStr);
-    }
+function calculateDateFromRelative(relativeTimeStr, now = new Date()) {
+    const { date } = normalizeDate(relativeTimeStr, { now });
+    return date ? new Date(`${date}T00:00:00Z`) : new Date(NaN);
 }
 
 /**
  * Checks if a review date is within the specified range
- * @param {string} reviewDateStr - Review date string
+ * @param {string} reviewDateStr - Review date string (absolute or relative)
  * @param {string} startDate - Start date string
  * @param {string} endDate - End date string
+ * @param {Object} options - { unknownDates: "exclude" (default) | "include", now }
  * @returns {boolean} Whether the review is in range
  */
-function isReviewInDateRange(reviewDateStr, startDate, endDate) {
-    const reviewDate = calculateDateFromRelative(reviewDateStr);
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    return reviewDate >= start && reviewDate <= end;
+function isReviewInDateRange(reviewDateStr, startDate, endDate, options = {}) {
+    return isDateInRange(reviewDateStr, startDate, endDate, options);
 }
 
 /**
- * Adds delay between requests
+ * Adds delay between requests. Skipped when replaying recorded pages
  * @param {number} ms - Milliseconds to wait
  * @returns {Promise} Promise that resolves after delay
  */
 function delay(ms) {
+    if (isReplaying()) {
+        return Promise.resolve();
+    }
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 module.exports = {
     saveToJsonFile,
+    getOutputFile,
     generatePageUrl,
+    resolveLimit,
     parseDate,
     filterReviewsByDate,
     calculateDateFromRelative,
@@ -0,0 +1,62 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'scraper.config.json');
+
+const DEFAULT_FETCH_OPTIONS = {
+    provider: 'scrapeops',
+    country: 'us',
+    timeout: 60000,
+    // Per-host token bucket (see utils/rate-limiter.js)
+    requestsPerMinute: 12,
+    burst: 1
+};
+
+let cachedConfig = null;
+
+/**
+ * Loads the optional scraper.config.json from the project root
+ * @param {string} configPath - Path to the config file
+ * @returns {Object} Parsed config ({} when the file does not exist)
+ */
+function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+    if (cachedConfig && cachedConfig.path === configPath) {
+        return cachedConfig.data;
+    }
+
+    let data = {};
+    if (fs.existsSync(configPath)) {
+        data = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+
+    cachedConfig = { path: configPath, data };
+    return data;
+}
+
+/**
+ * Resolves the fetch options for a job. Later sources override earlier ones:
+ * defaults, the scraper's own defaults, config "fetch",
+ * config "fetch.platforms[platform]", entry "fetch"
+ * @param {string} platform - Scraper name (e.g. "g2")
+ * @param {Object} entryFetch - The input entry's "fetch" settings
+ * @param {Object} platformDefaults - The scraper's fetchDefaults
+ * @param {Object} config - Loaded config (default: loadConfig())
+ * @returns {Object} Fetch options for fetchPage
+ */
+function resolveFetchOptions(platform, entryFetch = {}, platformDefaults = {}, config = loadConfig()) {
+    const { platforms = {}, ...globalFetch } = config.fetch || {};
+
+    return {
+        ...DEFAULT_FETCH_OPTIONS,
+        ...platformDefaults,
+        ...globalFetch,
+        ...(platforms[platform] || {}),
+        ...entryFetch
+    };
+}
+
+module.exports = {
+    loadConfig,
+    resolveFetchOptions,
+    DEFAULT_FETCH_OPTIONS
+};
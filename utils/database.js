@@ -0,0 +1,206 @@
+const fs = require("fs");
+const path = require("path");
+const { getKnownReviewIds } = require("./review-id");
+
+const DEFAULT_DATABASE_PATH = path.join(__dirname, '..', 'reviews.db');
+
+// Bumped whenever the tables change; openDatabase migrates older files
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS products (
+    id INTEGER PRIMARY KEY,
+    source_url TEXT NOT NULL UNIQUE,
+    platform TEXT NOT NULL,
+    review_site TEXT,
+    product_name TEXT,
+    stars REAL,
+    total_reviews INTEGER,
+    extra TEXT,
+    first_scraped_at TEXT NOT NULL,
+    last_scraped_at TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS scrape_runs (
+    id INTEGER PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    scraped_at TEXT NOT NULL,
+    start_date TEXT,
+    end_date TEXT,
+    stars REAL,
+    total_reviews INTEGER,
+    scraped_reviews INTEGER NOT NULL,
+    new_reviews INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS reviews (
+    id TEXT PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    platform TEXT NOT NULL,
+    source_url TEXT NOT NULL,
+    reviewer_name TEXT,
+    job_title TEXT,
+    review_date TEXT,
+    review_date_raw TEXT,
+    stars REAL,
+    review_title TEXT,
+    review_text TEXT,
+    extra TEXT,
+    first_run_id INTEGER NOT NULL REFERENCES scrape_runs(id),
+    last_run_id INTEGER NOT NULL REFERENCES scrape_runs(id),
+    first_seen_at TEXT NOT NULL,
+    last_seen_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS reviews_product_date ON reviews (product_id, review_date);
+CREATE INDEX IF NOT EXISTS scrape_runs_product ON scrape_runs (product_id, scraped_at);
+`;
+
+/**
+ * Opens (and creates when needed) the SQLite review database. It has three tables:
+ *   products    - one row per source URL with its latest rating and review count
+ *   scrape_runs - one row per saved scrape of a product
+ *   reviews     - one row per review, keyed by the stable review ID (see utils/review-id.js);
+ *                 first_run_id/last_run_id tell when it was first and last scraped
+ * extra columns hold the platform-specific fields as JSON (query them with json_extract)
+ * @param {string} filePath - Database file (default: <project>/reviews.db)
+ * @returns {Object} better-sqlite3 database
+ */
+function openDatabase(filePath = DEFAULT_DATABASE_PATH) {
+    // better-sqlite3 is a native module: it is only loaded when a database is used,
+    // so scrapes without one still run where it failed to build
+    let Database;
+    try {
+        Database = require("better-sqlite3");
+    } catch (error) {
+        throw new Error(`Saving to a database needs the better-sqlite3 package, which could not be loaded (${error.message}). Reinstall it or run without a database`);
+    }
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const db = new Database(filePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    const version = db.pragma('user_version', { simple: true });
+    if (version > SCHEMA_VERSION) {
+        db.close();
+        throw new Error(`${filePath} was created by a newer version (schema ${version}, supported: ${SCHEMA_VERSION})`);
+    }
+    db.exec(SCHEMA);
+    db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    return db;
+}
+
+/**
+ * Serializes an extra object for a JSON column
+ * @param {Object} extra - Platform-specific fields
+ * @returns {string|null} JSON, or null when there are none
+ */
+function toJsonColumn(extra) {
+    return extra && Object.keys(extra).length > 0 ? JSON.stringify(extra) : null;
+}
+
+/**
+ * Saves a scrape to the database in one transaction: upserts the product,
+ * adds a scrape run and upserts its reviews by ID, so rerunning a scrape
+ * updates the reviews it already has instead of duplicating them. A review
+ * stored under its hash ID before its scraper read the site's ID gets the new ID
+ * @param {Object} db - Database from openDatabase
+ * @param {Object} product - Canonical product data (see utils/schema.js)
+ * @param {Object} run - { startDate, endDate } of the scraped entry
+ * @param {Iterable<Object>} reviews - The scrape's reviews (default: product.allReviews)
+ * @returns {Object} { runId, newReviews, updatedReviews }
+ */
+function saveToDatabase(db, product, run = {}, reviews = product.allReviews || []) {
+    const save = db.transaction(() => {
+        const scrapedAt = product.scrapedAt || new Date().toISOString();
+        const { id: productId } = db.prepare(`
+            INSERT INTO products (source_url, platform, review_site, product_name, stars, total_reviews, extra, first_scraped_at, last_scraped_at)
+            VALUES (@sourceUrl, @platform, @reviewSite, @productName, @stars, @totalReviews, @extra, @scrapedAt, @scrapedAt)
+            ON CONFLICT (source_url) DO UPDATE SET
+                platform = excluded.platform,
+                review_site = excluded.review_site,
+                product_name = excluded.product_name,
+                stars = excluded.stars,
+                total_reviews = excluded.total_reviews,
+                extra = excluded.extra,
+                last_scraped_at = excluded.last_scraped_at
+            RETURNING id
+        `).get({
+            sourceUrl: product.sourceUrl,
+            platform: product.platform,
+            reviewSite: product.reviewSite,
+            productName: product.productName,
+            stars: product.stars,
+            totalReviews: product.totalReviews,
+            extra: toJsonColumn(product.extra),
+            scrapedAt
+        });
+
+        // The review counts are filled in once the reviews are saved, as they may be read one at a time
+        const runId = db.prepare(`
+            INSERT INTO scrape_runs (product_id, scraped_at, start_date, end_date, stars, total_reviews, scraped_reviews, new_reviews)
+            VALUES (?, ?, ?, ?, ?, ?, 0, 0)
+        `).run(productId, scrapedAt, run.startDate || null, run.endDate || null,
+            product.stars, product.totalReviews).lastInsertRowid;
+
+        const upsertReview = db.prepare(`
+            INSERT INTO reviews (id, product_id, platform, source_url, reviewer_name, job_title, review_date, review_date_raw,
+                                 stars, review_title, review_text, extra, first_run_id, last_run_id, first_seen_at, last_seen_at)
+            VALUES (@id, @productId, @platform, @sourceUrl, @reviewerName, @jobTitle, @reviewDate, @reviewDateRaw,
+                    @stars, @reviewTitle, @reviewText, @extra, @runId, @runId, @scrapedAt, @scrapedAt)
+            ON CONFLICT (id) DO UPDATE SET
+                product_id = excluded.product_id,
+                reviewer_name = excluded.reviewer_name,
+                job_title = excluded.job_title,
+                review_date = excluded.review_date,
+                review_date_raw = excluded.review_date_raw,
+                stars = excluded.stars,
+                review_title = excluded.review_title,
+                review_text = excluded.review_text,
+                extra = excluded.extra,
+                last_run_id = excluded.last_run_id,
+                last_seen_at = excluded.last_seen_at
+        `);
+        const known = db.prepare('SELECT 1 FROM reviews WHERE id = ?').pluck();
+        const adoptId = db.prepare('UPDATE reviews SET id = ? WHERE id = ?');
+        let scrapedReviews = 0;
+        let newReviews = 0;
+        for (const review of reviews) {
+            const storedId = getKnownReviewIds(review, { platform: review.platform || product.platform }).find(id => known.get(id));
+            if (!storedId) {
+                newReviews++;
+            } else if (storedId !== review.id) {
+                adoptId.run(review.id, storedId);
+            }
+            scrapedReviews++;
+            upsertReview.run({
+                id: review.id,
+                productId,
+                platform: review.platform || product.platform,
+                sourceUrl: review.sourceUrl || product.sourceUrl,
+                reviewerName: review.reviewerName,
+                jobTitle: review.jobTitle,
+                reviewDate: review.reviewDate,
+                reviewDateRaw: review.reviewDateRaw,
+                stars: review.stars,
+                reviewTitle: review.reviewTitle,
+                reviewText: review.reviewText,
+                extra: toJsonColumn(review.extra),
+                runId,
+                scrapedAt
+            });
+        }
+        db.prepare('UPDATE scrape_runs SET scraped_reviews = ?, new_reviews = ? WHERE id = ?').run(scrapedReviews, newReviews, runId);
+
+        return { runId: Number(runId), newReviews, updatedReviews: scrapedReviews - newReviews };
+    });
+
+    return save();
+}
+
+module.exports = {
+    openDatabase,
+    saveToDatabase,
+    DEFAULT_DATABASE_PATH
+};
@@ -0,0 +1,280 @@
+/**
+ * Review date normalization. All dates are handled as UTC calendar dates
+ * (YYYY-MM-DD strings) so results don't depend on the machine's timezone,
+ * and relative dates ("3 weeks ago") are resolved against the scrape time.
+ */
+
+/**
+ * Month names (full and abbreviated) in the languages the review sites are served in
+ */
+const MONTHS = {
+    // English
+    january: 1, jan: 1, february: 2, feb: 2, march: 3, mar: 3, april: 4, apr: 4, may: 5, june: 6, jun: 6,
+    july: 7, jul: 7, august: 8, aug: 8, september: 9, sep: 9, sept: 9, october: 10, oct: 10,
+    november: 11, nov: 11, december: 12, dec: 12,
+    // German
+    januar: 1, jän: 1, februar: 2, märz: 3, mär: 3, mai: 5, juni: 6, juli: 7, oktober: 10, okt: 10, dezember: 12, dez: 12,
+    // French
+    janvier: 1, janv: 1, février: 2, févr: 2, fevrier: 2, mars: 3, avril: 4, avr: 4, juin: 6, juillet: 7, juil: 7,
+    août: 8, aout: 8, septembre: 9, octobre: 10, novembre: 11, décembre: 12, decembre: 12, déc: 12,
+    // Spanish
+    enero: 1, ene: 1, febrero: 2, marzo: 3, abril: 4, abr: 4, mayo: 5, junio: 6, julio: 7, agosto: 8, ago: 8,
+    septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12, dic: 12,
+    // Italian
+    gennaio: 1, gen: 1, febbraio: 2, aprile: 4, maggio: 5, mag: 5, giugno: 6, giu: 6, luglio: 7, lug: 7,
+    settembre: 9, set: 9, ottobre: 10, ott: 10, dicembre: 12,
+    // Portuguese
+    janeiro: 1, fevereiro: 2, fev: 2, março: 3, maio: 5, junho: 6, julho: 7, setembro: 9, outubro: 10, out: 10,
+    dezembro: 12,
+    // Dutch
+    januari: 1, februari: 2, maart: 3, mei: 5, augustus: 8
+};
+
+/**
+ * Relative time unit words mapped to the unit used by subtractFromDate
+ */
+const RELATIVE_UNITS = {
+    second: 'second', seconds: 'second', sec: 'second', secs: 'second',
+    minute: 'minute', minutes: 'minute', min: 'minute', mins: 'minute',
+    hour: 'hour', hours: 'hour', hr: 'hour', hrs: 'hour',
+    day: 'day', days: 'day',
+    week: 'week', weeks: 'week',
+    month: 'month', months: 'month',
+    year: 'year', years: 'year',
+    // German ("vor 3 Tagen")
+    sekunde: 'second', sekunden: 'second', minuten: 'minute', stunde: 'hour', stunden: 'hour',
+    tag: 'day', tagen: 'day', tage: 'day', woche: 'week', wochen: 'week', monat: 'month', monaten: 'month', monate: 'month',
+    jahr: 'year', jahren: 'year', jahre: 'year',
+    // French ("il y a 3 jours")
+    seconde: 'second', secondes: 'second', heure: 'hour', heures: 'hour', jour: 'day', jours: 'day',
+    semaine: 'week', semaines: 'week', mois: 'month', an: 'year', ans: 'year', année: 'year', années: 'year',
+    // Spanish ("hace 3 días")
+    segundo: 'second', segundos: 'second', minuto: 'minute', minutos: 'minute', hora: 'hour', horas: 'hour',
+    día: 'day', días: 'day', dia: 'day', dias: 'day', semana: 'week', semanas: 'week', mes: 'month', meses: 'month',
+    año: 'year', años: 'year'
+};
+
+/**
+ * Words meaning "one" in relative dates ("a month ago", "an hour ago", "vor einem Tag", "il y a un mois")
+ */
+const ONE_WORDS = ['a', 'an', 'one', 'ein', 'einem', 'einer', 'un', 'une', 'una', 'uno'];
+
+/**
+ * Formats a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} ISO-8601 date
+ */
+function toIsoDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Builds a YYYY-MM-DD string, or null when the parts are not a real calendar date
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string|null} ISO-8601 date
+ */
+function buildIsoDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return toIsoDateString(date);
+}
+
+/**
+ * Looks up a month name in any supported language
+ * @param {string} name - Month name, possibly abbreviated with a trailing dot
+ * @returns {number|null} Month (1-12)
+ */
+function monthFromName(name) {
+    const key = name.toLowerCase().replace(/\.$/, '');
+    return MONTHS[key] || null;
+}
+
+/**
+ * Subtracts an amount of a unit from a date, clamping month/year arithmetic
+ * to the end of the month (e.g. one month before March 31 is February 28/29)
+ * @param {Date} now - Reference time
+ * @param {number} amount - How many units ago
+ * @param {string} unit - second, minute, hour, day, week, month or year
+ * @returns {Date} Resulting date
+ */
+function subtractFromDate(now, amount, unit) {
+    const msPerUnit = { second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000 };
+    if (msPerUnit[unit]) {
+        return new Date(now.getTime() - amount * msPerUnit[unit]);
+    }
+
+    const months = unit === 'year' ? amount * 12 : amount;
+    const target = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(now.getUTCDate(), lastDay));
+    return target;
+}
+
+/**
+ * Parses relative dates such as "yesterday", "3 weeks ago", "an hour ago",
+ * "vor 2 Tagen", "il y a 3 mois" or "hace 1 año"
+ * @param {string} text - Lower-cased date text
+ * @param {Date} now - Reference time
+ * @returns {string|null} ISO-8601 date
+ */
+function parseRelativeDate(text, now) {
+    if (/\b(just now|right now|today|heute|aujourd'hui|hoy|oggi|hoje|vandaag)\b/.test(text) || /\bmoments? ago\b/.test(text)) {
+        return toIsoDateString(now);
+    }
+    if (/\b(yesterday|gestern|hier|ayer|ieri|ontem|gisteren)\b/.test(text)) {
+        return toIsoDateString(subtractFromDate(now, 1, 'day'));
+    }
+
+    const amountPattern = `(\\d+|${ONE_WORDS.join('|')}|few|several)`;
+    const unitPattern = '([a-záéíóúñäöüçèêû]+)';
+    const patterns = [
+        new RegExp(`\\b${amountPattern}\\s+${unitPattern}\\s+ago\\b`), // 3 weeks ago
+        new RegExp(`\\bvor\\s+${amountPattern}\\s+${unitPattern}`),    // vor 3 Wochen
+        new RegExp(`\\bil y a\\s+${amountPattern}\\s+${unitPattern}`), // il y a 3 semaines
+        new RegExp(`\\bhace\\s+${amountPattern}\\s+${unitPattern}`),   // hace 3 semanas
+        new RegExp(`\\b${unitPattern}\\s+ago\\b`)                     // hours ago
+    ];
+
+    for (const pattern of patterns) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        const [amountWord, unitWord] = match.length === 3 ? [match[1], match[2]] : ['1', match[1]];
+        const unit = RELATIVE_UNITS[unitWord];
+        if (!unit) continue;
+
+        let amount;
+        if (/^\d+$/.test(amountWord)) {
+            amount = parseInt(amountWord, 10);
+        } else if (amountWord === 'few' || amountWord === 'several') {
+            // "a few days ago" can't be resolved exactly; use the smallest plausible amount
+            amount = 2;
+        } else {
+            amount = 1;
+        }
+        return toIsoDateString(subtractFromDate(now, amount, unit));
+    }
+
+    return null;
+}
+
+/**
+ * Parses absolute dates in numeric and month-name formats
+ * @param {string} text - Date text
+ * @returns {Object|null} { date, precision } where precision is "day" or "month"
+ */
+function parseAbsoluteDate(text) {
+    let m;
+
+    // ISO date or timestamp: 2024-01-05, 2024-01-05T10:00:00Z (the UTC calendar date is kept)
+    if ((m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s](.+))?$/))) {
+        if (m[4] && /[zZ]|[+-]\d{2}:?\d{2}$/.test(m[4])) {
+            const timestamp = new Date(text.replace(' ', 'T'));
+            if (!isNaN(timestamp)) return { date: toIsoDateString(timestamp), precision: 'day' };
+        }
+        const date = buildIsoDate(+m[1], +m[2], +m[3]);
+        return date ? { date, precision: 'day' } : null;
+    }
+
+    // YYYY/MM/DD or YYYY.MM.DD
+    if ((m = text.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/))) {
+        const date = buildIsoDate(+m[1], +m[2], +m[3]);
+        return date ? { date, precision: 'day' } : null;
+    }
+
+    // MM/DD/YYYY (US, as printed by G2 and Capterra)
+    if ((m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+        const date = buildIsoDate(+m[3], +m[1], +m[2]);
+        return date ? { date, precision: 'day' } : null;
+    }
+
+    // DD.MM.YYYY or DD-MM-YYYY (European)
+    if ((m = text.match(/^(\d{1,2})[.-](\d{1,2})[.-](\d{4})$/))) {
+        const date = buildIsoDate(+m[3], +m[2], +m[1]);
+        return date ? { date, precision: 'day' } : null;
+    }
+
+    const words = text.toLowerCase().replace(/,/g, ' ').replace(/\b(de|del|of|the)\b/g, ' ').split(/\s+/).filter(Boolean);
+
+    // Month D YYYY: "January 5, 2024", "Jan 5th 2024"
+    if (words.length === 3 && monthFromName(words[0]) && /^\d{1,2}(st|nd|rd|th)?$/.test(words[1]) && /^\d{4}$/.test(words[2])) {
+        const date = buildIsoDate(+words[2], monthFromName(words[0]), parseInt(words[1], 10));
+        return date ? { date, precision: 'day' } : null;
+    }
+
+    // D Month YYYY: "5 January 2024", "5. Januar 2024", "5 de enero de 2024"
+    if (words.length === 3 && /^\d{1,2}(\.|er|º)?$/.test(words[0]) && monthFromName(words[1]) && /^\d{4}$/.test(words[2])) {
+        const date = buildIsoDate(+words[2], monthFromName(words[1]), parseInt(words[0], 10));
+        return date ? { date, precision: 'day' } : null;
+    }
+
+    // Month YYYY: "January 2024" - only the month is known, the 1st is used
+    if (words.length === 2 && monthFromName(words[0]) && /^\d{4}$/.test(words[1])) {
+        return { date: buildIsoDate(+words[1], monthFromName(words[0]), 1), precision: 'month' };
+    }
+
+    return null;
+}
+
+/**
+ * Normalizes a date as printed by a review site
+ * @param {string} raw - Raw date text
+ * @param {Object} options - Options
+ * @param {Date|string} options.now - Scrape time used to resolve relative dates (default: now)
+ * @returns {Object} { raw, date, precision, known } where date is YYYY-MM-DD or null,
+ *                   precision is "day", "month" or null and known tells whether it was parsed
+ */
+function normalizeDate(raw, { now = new Date() } = {}) {
+    const rawText = raw == null ? '' : String(raw).trim();
+    const unknown = { raw: rawText, date: null, precision: null, known: false };
+    if (!rawText) return unknown;
+
+    // Strip labels sites put in front of the date
+    const text = rawText
+        .replace(/^(reviewed|posted|published|updated|written|date of experience|date)\s*(on|:)?\s*/i, '')
+        .trim();
+
+    const absolute = parseAbsoluteDate(text);
+    if (absolute && absolute.date) {
+        return { raw: rawText, date: absolute.date, precision: absolute.precision, known: true };
+    }
+
+    const reference = now instanceof Date ? now : new Date(now);
+    const relative = parseRelativeDate(text.toLowerCase(), reference);
+    if (relative) {
+        return { raw: rawText, date: relative, precision: 'day', known: true };
+    }
+
+    return unknown;
+}
+
+/**
+ * Checks whether a review date is inside [startDate, endDate] (inclusive)
+ * @param {string} raw - Raw or ISO review date
+ * @param {string} startDate - Range start (any format normalizeDate understands)
+ * @param {string} endDate - Range end
+ * @param {Object} options - Options
+ * @param {string} options.unknownDates - "exclude" (default) or "include" reviews whose date can't be parsed
+ * @param {Date|string} options.now - Scrape time for relative dates
+ * @returns {boolean} Whether the review is in range
+ */
+function isDateInRange(raw, startDate, endDate, { unknownDates = 'exclude', now } = {}) {
+    const { date } = normalizeDate(raw, { now });
+    if (!date) {
+        return unknownDates === 'include';
+    }
+
+    const start = normalizeDate(startDate).date;
+    const end = normalizeDate(endDate).date;
+    return (!start || date >= start) && (!end || date <= end);
+}
+
+module.exports = {
+    normalizeDate,
+    isDateInRange,
+    toIsoDateString
+};
@@ -0,0 +1,145 @@
+const { HttpProxyAgent } = require("http-proxy-agent");
+const { HttpsProxyAgent } = require("https-proxy-agent");
+const { SocksProxyAgent } = require("socks-proxy-agent");
+const logger = require("./logger");
+require('dotenv').config();
+
+/**
+ * Headers sent by the direct and proxy providers so requests look like a regular browser
+ */
+const BROWSER_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Cache-Control': 'no-cache',
+    'Upgrade-Insecure-Requests': '1'
+};
+
+/**
+ * Fetch providers decide how a target URL is requested. Each provider is
+ *   { name, prepare(url, options) => { requestUrl, headers, agent, followRedirects, useCookies } }
+ * requestUrl is the URL actually requested (e.g. the ScrapeOps endpoint),
+ * useCookies enables the shared cookie jar for the target host.
+ */
+const providers = new Map();
+
+/**
+ * Registers a fetch provider. A provider with the same name replaces the existing one
+ * @param {Object} provider - Provider definition (see above)
+ * @returns {Object} The registered provider
+ */
+function registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.prepare !== 'function') {
+        throw new Error("Fetch provider must have a 'name' and a prepare(url, options) function");
+    }
+    providers.set(provider.name, provider);
+    return provider;
+}
+
+/**
+ * Looks up a fetch provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} The provider
+ */
+function getProvider(name) {
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown fetch provider '${name}'. Available: ${[...providers.keys()].join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * Creates an agent for an http(s):// or socks(4|5)(h):// proxy URL
+ * @param {string} proxyUrl - Proxy URL, may include credentials
+ * @param {string} targetUrl - URL that will be requested through the proxy
+ * @returns {Object} Agent for http/https.request
+ */
+function createProxyAgent(proxyUrl, targetUrl) {
+    const protocol = new URL(proxyUrl).protocol;
+
+    if (protocol.startsWith('socks')) {
+        return new SocksProxyAgent(proxyUrl);
+    }
+    if (protocol === 'http:' || protocol === 'https:') {
+        return targetUrl.startsWith('https:')
+            ? new HttpsProxyAgent(proxyUrl)
+            : new HttpProxyAgent(proxyUrl);
+    }
+    throw new Error(`Unsupported proxy protocol '${protocol}'`);
+}
+
+// ScrapeOps proxy API - renders the page from their network to bypass bot detection
+registerProvider({
+    name: 'scrapeops',
+    prepare(url, options = {}) {
+        const apiKey = options.apiKey || process.env.SCRAPEOPS_API_KEY;
+
+        if (!apiKey || apiKey === 'your_scrapeops_api_key_here') {
+            throw new Error("ScrapeOps API key not configured. Add SCRAPEOPS_API_KEY to .env or choose another fetch provider");
+        }
+
+        const params = new URLSearchParams({
+            api_key: apiKey,
+            url: url,
+            country: options.country || 'us'
+        });
+        if (options.wait) {
+            params.set('wait', String(options.wait));
+        }
+        if (options.renderJs) {
+            params.set('render_js', 'true');
+        }
+
+        logger.debug(`🔄 Routing through ScrapeOps proxy: ${url.substring(0, 80)}...`);
+        return {
+            requestUrl: `https://proxy.scrapeops.io/v1/?${params.toString()}`,
+            headers: { 'Accept-Encoding': 'gzip, deflate, br' },
+            agent: undefined,
+            followRedirects: false,
+            useCookies: false
+        };
+    }
+});
+
+// Plain HTTP/HTTPS/SOCKS proxy with browser-like headers
+registerProvider({
+    name: 'proxy',
+    prepare(url, options = {}) {
+        const proxyUrl = options.proxyUrl || process.env.PROXY_URL;
+
+        if (!proxyUrl) {
+            throw new Error("Proxy URL not configured. Set 'proxyUrl' in the fetch config or PROXY_URL in .env");
+        }
+
+        return {
+            requestUrl: url,
+            headers: { ...BROWSER_HEADERS },
+            agent: createProxyAgent(proxyUrl, url),
+            followRedirects: true,
+            useCookies: true
+        };
+    }
+});
+
+// Direct request with browser-like headers and a cookie jar
+registerProvider({
+    name: 'direct',
+    prepare(url) {
+        return {
+            requestUrl: url,
+            headers: { ...BROWSER_HEADERS },
+            agent: undefined,
+            followRedirects: true,
+            useCookies: true
+        };
+    }
+});
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    createProxyAgent,
+    BROWSER_HEADERS
+};
@@ -0,0 +1,295 @@
+const {
+    summarizeProducts,
+    getRatingDistribution,
+    getMonthlyTrend,
+    getRecentLowStarReviews,
+    groupProductsAcrossPlatforms
+} = require("./report");
+
+// Line/bar colors, one per series in order
+const SERIES_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2'];
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = { top: 10, right: 10, bottom: 30, left: 36 };
+
+const STYLES = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #1f2937; }
+h1 { margin-bottom: 0.25rem; }
+h2 { margin-top: 2.5rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; }
+h3 { margin-top: 1.5rem; }
+.muted { color: #6b7280; font-size: 0.9rem; }
+table { border-collapse: collapse; width: 100%; margin: 0.5rem 0 1rem; font-size: 0.9rem; }
+th, td { border-bottom: 1px solid #e5e7eb; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f9fafb; }
+td.number { text-align: right; font-variant-numeric: tabular-nums; }
+.charts { display: flex; flex-wrap: wrap; gap: 1.5rem; }
+.chart h4 { margin: 0.5rem 0; font-size: 0.9rem; }
+.distribution { width: 320px; }
+.distribution div { display: flex; align-items: center; gap: 0.5rem; margin: 0.2rem 0; font-size: 0.85rem; }
+.distribution span.bar { background: #f59e0b; height: 0.9rem; display: inline-block; }
+.legend span { margin-right: 1rem; font-size: 0.85rem; }
+.legend i { display: inline-block; width: 0.8rem; height: 0.8rem; margin-right: 0.3rem; vertical-align: middle; }
+blockquote { margin: 0.5rem 0 1rem; padding: 0.5rem 0.75rem; border-left: 3px solid #dc2626; background: #fef2f2; white-space: pre-wrap; }
+svg text { font-size: 10px; fill: #6b7280; }
+`;
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Value to print
+ * @returns {string} Escaped text ("" for null/undefined)
+ */
+function escapeHtml(value) {
+    return String(value == null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Formats a number for the report
+ * @param {number|null} value - Number
+ * @returns {string} Formatted number, or "n/a"
+ */
+function formatNumber(value) {
+    return typeof value === 'number' ? value.toLocaleString('en-US', { maximumFractionDigits: 2 }) : 'n/a';
+}
+
+/**
+ * Draws the axes and month labels shared by the charts
+ * @param {Array<string>} labels - Month labels along the x axis
+ * @param {number} max - Highest y value
+ * @param {Function} x - Maps a label index to its x coordinate
+ * @param {Function} y - Maps a value to its y coordinate
+ * @returns {string} SVG elements
+ */
+function chartAxes(labels, max, x, y) {
+    const ticks = [0, max / 2, max].map(value =>
+        `<line x1="${CHART_PADDING.left}" x2="${CHART_WIDTH - CHART_PADDING.right}" y1="${y(value)}" y2="${y(value)}" stroke="#e5e7eb"/>` +
+        `<text x="${CHART_PADDING.left - 4}" y="${y(value) + 3}" text-anchor="end">${formatNumber(value)}</text>`
+    );
+    // At most ~12 month labels, so they don't overlap
+    const step = Math.max(1, Math.ceil(labels.length / 12));
+    const monthLabels = labels
+        .map((label, index) => (index % step === 0
+            ? `<text x="${x(index)}" y="${CHART_HEIGHT - CHART_PADDING.bottom + 14}" text-anchor="middle">${escapeHtml(label)}</text>`
+            : ''))
+        .join('');
+    return ticks.join('') + monthLabels;
+}
+
+/**
+ * Renders a line chart of monthly values, one line per series (gaps where a month has no value)
+ * @param {Array<string>} labels - Months, oldest first
+ * @param {Array<Object>} series - [{ name, values }] with one value (or null) per label
+ * @param {number} max - Highest value of the y axis
+ * @returns {string} SVG markup
+ */
+function renderLineChart(labels, series, max) {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const x = index => CHART_PADDING.left + (labels.length === 1 ? plotWidth / 2 : index * plotWidth / (labels.length - 1));
+    const y = value => CHART_PADDING.top + plotHeight - (value / max) * plotHeight;
+
+    const lines = series.map(({ name, values }, seriesIndex) => {
+        const color = SERIES_COLORS[seriesIndex % SERIES_COLORS.length];
+        let path = '';
+        let drawing = false;
+        const points = values.map((value, index) => {
+            if (value == null) {
+                drawing = false;
+                return '';
+            }
+            path += `${drawing ? 'L' : 'M'}${x(index).toFixed(1)},${y(value).toFixed(1)} `;
+            drawing = true;
+            return `<circle cx="${x(index).toFixed(1)}" cy="${y(value).toFixed(1)}" r="2.5" fill="${color}"><title>${escapeHtml(`${name} ${labels[index]}: ${formatNumber(value)}`)}</title></circle>`;
+        }).join('');
+        return `<path d="${path.trim()}" fill="none" stroke="${color}" stroke-width="2"/>${points}`;
+    });
+
+    return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" role="img">` +
+        chartAxes(labels, max, x, y) + lines.join('') + '</svg>';
+}
+
+/**
+ * Renders a bar chart of monthly counts
+ * @param {Array<string>} labels - Months, oldest first
+ * @param {Array<number>} values - One count per label
+ * @returns {string} SVG markup
+ */
+function renderBarChart(labels, values) {
+    const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+    const max = Math.max(1, ...values);
+    const slot = plotWidth / labels.length;
+    const x = index => CHART_PADDING.left + slot * (index + 0.5);
+    const y = value => CHART_PADDING.top + plotHeight - (value / max) * plotHeight;
+
+    const bars = values.map((value, index) =>
+        `<rect x="${(x(index) - slot * 0.4).toFixed(1)}" y="${y(value).toFixed(1)}" width="${(slot * 0.8).toFixed(1)}" height="${(plotHeight - (y(value) - CHART_PADDING.top)).toFixed(1)}" fill="${SERIES_COLORS[0]}">` +
+        `<title>${escapeHtml(`${labels[index]}: ${value} review${value === 1 ? '' : 's'}`)}</title></rect>`
+    ).join('');
+
+    return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" role="img">` +
+        chartAxes(labels, max, x, y) + bars + '</svg>';
+}
+
+/**
+ * Renders the rating distribution as horizontal bars
+ * @param {Array<Object>} reviews - Canonical reviews
+ * @returns {string} HTML
+ */
+function renderDistribution(reviews) {
+    const distribution = getRatingDistribution(reviews);
+    const max = Math.max(1, ...[1, 2, 3, 4, 5].map(stars => distribution[stars]));
+    const rows = [5, 4, 3, 2, 1].map(stars =>
+        `<div><span>${stars}★</span><span class="bar" style="width:${Math.round(distribution[stars] / max * 200)}px"></span><span>${distribution[stars]}</span></div>`
+    );
+    if (distribution.unrated > 0) {
+        rows.push(`<div class="muted">${distribution.unrated} without rating</div>`);
+    }
+    return `<div class="chart distribution"><h4>Rating distribution</h4>${rows.join('')}</div>`;
+}
+
+/**
+ * Renders a legend for line chart series
+ * @param {Array<string>} names - Series names
+ * @returns {string} HTML
+ */
+function renderLegend(names) {
+    return `<div class="legend">${names.map((name, index) =>
+        `<span><i style="background:${SERIES_COLORS[index % SERIES_COLORS.length]}"></i>${escapeHtml(name)}</span>`
+    ).join('')}</div>`;
+}
+
+/**
+ * Renders the side-by-side comparison of one product on several platforms
+ * @param {Object} group - { productName, sources } from groupProductsAcrossPlatforms
+ * @returns {string} HTML
+ */
+function renderComparison({ productName, sources }) {
+    const stats = sources.map(source => {
+        const reviews = source.allReviews || [];
+        const distribution = getRatingDistribution(reviews);
+        const rated = reviews.length - distribution.unrated;
+        const share = count => (rated > 0 ? `${Math.round(count / rated * 100)}%` : 'n/a');
+        const [summary] = summarizeProducts([{ files: [], data: source }]);
+        return {
+            name: source.reviewSite || source.platform,
+            rows: [
+                formatNumber(source.stars),
+                formatNumber(source.totalReviews),
+                formatNumber(reviews.length),
+                formatNumber(summary.averageStars),
+                share(distribution[4] + distribution[5]),
+                share(distribution[1] + distribution[2]),
+                escapeHtml(summary.lastReviewDate || 'n/a')
+            ]
+        };
+    });
+    const metrics = ['Site rating', 'Total reviews on site', 'Scraped reviews', 'Average stars (scraped)', '4-5 stars', '1-2 stars', 'Latest review'];
+
+    // Monthly average stars of every platform on one chart
+    const trends = sources.map(source => getMonthlyTrend(source.allReviews || []));
+    const months = [...new Set(trends.flatMap(trend => trend.map(entry => entry.month)))].sort();
+    const series = trends.map((trend, index) => {
+        const byMonth = new Map(trend.map(entry => [entry.month, entry.averageStars]));
+        return { name: stats[index].name, values: months.map(month => (byMonth.has(month) ? byMonth.get(month) : null)) };
+    });
+
+    return `<h3>${escapeHtml(productName)}</h3>
+<table><thead><tr><th></th>${stats.map(({ name }) => `<th>${escapeHtml(name)}</th>`).join('')}</tr></thead>
+<tbody>${metrics.map((metric, row) =>
+        `<tr><th>${metric}</th>${stats.map(stat => `<td class="number">${stat.rows[row]}</td>`).join('')}</tr>`
+    ).join('')}</tbody></table>
+${months.length > 0 ? `<div class="chart"><h4>Average stars per month</h4>${renderLegend(series.map(({ name }) => name))}${renderLineChart(months, series, 5)}</div>` : ''}`;
+}
+
+/**
+ * Renders the charts and low-star reviews of one source
+ * @param {Object} source - Merged product data
+ * @param {Object} options - { lowStars: highest rating listed as low-star, lowStarLimit }
+ * @returns {string} HTML
+ */
+function renderSource(source, { lowStars, lowStarLimit }) {
+    const reviews = source.allReviews || [];
+    const trend = getMonthlyTrend(reviews);
+    const months = trend.map(entry => entry.month);
+    const lowStarReviews = getRecentLowStarReviews(reviews, { maxStars: lowStars, limit: lowStarLimit });
+
+    const charts = [renderDistribution(reviews)];
+    if (trend.length > 0) {
+        charts.push(`<div class="chart"><h4>Average stars per month</h4>${renderLineChart(months, [{ name: 'Average stars', values: trend.map(entry => entry.averageStars) }], 5)}</div>`);
+        charts.push(`<div class="chart"><h4>Reviews per month</h4>${renderBarChart(months, trend.map(entry => entry.reviews))}</div>`);
+    }
+
+    const lowStarHtml = lowStarReviews.length === 0
+        ? `<p class="muted">No reviews with ${lowStars} stars or less.</p>`
+        : lowStarReviews.map(review => `<p><strong>${escapeHtml(formatNumber(review.stars))}★ ${escapeHtml(review.reviewTitle || '')}</strong>
+<span class="muted">${escapeHtml(review.reviewerName || 'Anonymous')}, ${escapeHtml(review.reviewDate || review.reviewDateRaw || 'no date')}</span></p>
+<blockquote>${escapeHtml(review.reviewText)}</blockquote>`).join('\n');
+
+    return `<h3>${escapeHtml(source.productName || source.sourceUrl)} <span class="muted">${escapeHtml(source.reviewSite || source.platform)}</span></h3>
+<p class="muted"><a href="${escapeHtml(source.sourceUrl)}">${escapeHtml(source.sourceUrl)}</a></p>
+<div class="charts">${charts.join('')}</div>
+<h4>Most recent reviews with ${lowStars} stars or less</h4>
+${lowStarHtml}`;
+}
+
+/**
+ * Renders a self-contained HTML report of merged outputs: an overview of every
+ * source, a side-by-side comparison of products found on several platforms and
+ * per-source charts (rating distribution, monthly average stars and review volume)
+ * with the most recent low-star reviews. Charts are inline SVG, so the file works offline
+ * @param {Array<Object>} products - [{ files, data, duplicates }] from mergeOutputs
+ * @param {Object} options - Report options
+ * @param {number} options.lowStars - Highest rating listed as a low-star review (default: 2)
+ * @param {number} options.lowStarLimit - Low-star reviews listed per source (default: 5)
+ * @param {Date} options.generatedAt - Time printed in the header (default: now)
+ * @returns {string} HTML document
+ */
+function renderHtmlReport(products, { lowStars = 2, lowStarLimit = 5, generatedAt = new Date() } = {}) {
+    const rows = summarizeProducts(products);
+    const totalReviews = rows.reduce((sum, row) => sum + row.reviews, 0);
+    const comparisons = groupProductsAcrossPlatforms(products);
+
+    const overview = `<table><thead><tr><th>Product</th><th>Platform</th><th>Site rating</th><th>Total reviews on site</th>
+<th>Scraped reviews</th><th>Average stars (scraped)</th><th>Review dates</th><th>Last scraped</th></tr></thead>
+<tbody>${rows.map((row, index) => {
+        const { data } = products[index];
+        return `<tr><td>${escapeHtml(row.productName)}</td><td>${escapeHtml(data.reviewSite || row.platform)}</td>` +
+            `<td class="number">${formatNumber(data.stars)}</td><td class="number">${formatNumber(data.totalReviews)}</td>` +
+            `<td class="number">${formatNumber(row.reviews)}</td><td class="number">${formatNumber(row.averageStars)}</td>` +
+            `<td>${escapeHtml(row.firstReviewDate || 'n/a')} to ${escapeHtml(row.lastReviewDate || 'n/a')}</td>` +
+            `<td>${escapeHtml(row.lastScrapedAt || 'n/a')}</td></tr>`;
+    }).join('\n')}</tbody></table>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Review report</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>Review report</h1>
+<p class="muted">Generated ${escapeHtml(generatedAt.toISOString())} from ${rows.length} source(s), ${totalReviews} review(s)</p>
+
+<h2>Overview</h2>
+${overview}
+
+${comparisons.length > 0 ? `<h2>Platform comparison</h2>\n${comparisons.map(renderComparison).join('\n')}` : ''}
+
+<h2>Sources</h2>
+${products.map(({ data }) => renderSource(data, { lowStars, lowStarLimit })).join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    renderHtmlReport,
+    escapeHtml
+};
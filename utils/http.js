@@ -0,0 +1,259 @@
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { getProvider } = require("./fetch-providers");
+const recorder = require("./recorder");
+const { acquireRequestSlot } = require("./rate-limiter");
+const logger = require("./logger");
+
+const DEFAULT_TIMEOUT = 60000;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Error raised when a page cannot be fetched (network error, timeout,
+ * too many redirects or a non-2xx status)
+ */
+class FetchError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Extra context
+     * @param {string} details.url - Target URL
+     * @param {string} details.code - Error code (e.g. "ETIMEDOUT", "EREDIRECT", "EHTTP")
+     * @param {number} details.status - HTTP status, when a response was received
+     */
+    constructor(message, { url, code, status } = {}) {
+        super(message);
+        this.name = 'FetchError';
+        this.url = url;
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Minimal cookie jar keyed by hostname, so session cookies set by a site are
+ * sent back on the following requests
+ */
+class CookieJar {
+    constructor() {
+        this.cookies = new Map();
+    }
+
+    /**
+     * Stores the cookies from Set-Cookie headers
+     * @param {string} url - URL the response came from
+     * @param {Array<string>|string} setCookieHeaders - Set-Cookie header value(s)
+     */
+    store(url, setCookieHeaders) {
+        if (!setCookieHeaders) return;
+        const { hostname } = new URL(url);
+        const hostCookies = this.cookies.get(hostname) || new Map();
+
+        [].concat(setCookieHeaders).forEach(header => {
+            const [pair] = header.split(';');
+            const separatorIndex = pair.indexOf('=');
+            if (separatorIndex <= 0) return;
+            hostCookies.set(pair.slice(0, separatorIndex).trim(), pair.slice(separatorIndex + 1).trim());
+        });
+
+        this.cookies.set(hostname, hostCookies);
+    }
+
+    /**
+     * Builds the Cookie header for a URL
+     * @param {string} url - URL about to be requested
+     * @returns {string} Cookie header value (empty when there are no cookies)
+     */
+    headerFor(url) {
+        const { hostname } = new URL(url);
+        const pairs = [];
+        for (const [host, hostCookies] of this.cookies) {
+            if (hostname === host || hostname.endsWith(`.${host}`)) {
+                hostCookies.forEach((value, name) => pairs.push(`${name}=${value}`));
+            }
+        }
+        return pairs.join('; ');
+    }
+}
+
+const defaultCookieJar = new CookieJar();
+
+/**
+ * Decompresses a response body according to its Content-Encoding
+ * @param {Buffer} buffer - Raw response body
+ * @param {string} encoding - Content-Encoding header value
+ * @returns {Buffer} Decoded body
+ */
+function decodeBody(buffer, encoding = '') {
+    switch (encoding.trim().toLowerCase()) {
+        case 'gzip':
+        case 'x-gzip':
+            return zlib.gunzipSync(buffer);
+        case 'deflate':
+            return zlib.inflateSync(buffer);
+        case 'br':
+            return zlib.brotliDecompressSync(buffer);
+        default:
+            return buffer;
+    }
+}
+
+/**
+ * Performs a single HTTP(S) request without following redirects
+ * @param {string} url - URL to request
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default: GET)
+ * @param {string} options.body - Request body
+ * @param {Object} options.headers - Request headers
+ * @param {Object} options.agent - Optional agent (e.g. proxy agent)
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+function request(url, { method = 'GET', body, headers = {}, agent, timeout = DEFAULT_TIMEOUT } = {}) {
+    const client = url.startsWith('https:') ? https : http;
+    const requestHeaders = body ? { ...headers, 'Content-Length': Buffer.byteLength(body) } : headers;
+
+    return new Promise((resolve, reject) => {
+        const req = client.request(url, { method, headers: requestHeaders, agent }, (res) => {
+            const chunks = [];
+
+            res.on('data', (chunk) => {
+                chunks.push(chunk);
+            });
+
+            res.on('end', () => {
+                try {
+                    const body = decodeBody(Buffer.concat(chunks), res.headers['content-encoding']);
+                    resolve({ status: res.statusCode, headers: res.headers, body: body.toString('utf8') });
+                } catch (error) {
+                    reject(new FetchError(`Failed to decode response body: ${error.message}`, { url, code: 'EDECODE' }));
+                }
+            });
+
+            res.on('error', (err) => {
+                reject(new FetchError(err.message, { url, code: err.code }));
+            });
+        });
+
+        req.setTimeout(timeout, () => {
+            req.destroy(new FetchError(`Request timed out after ${timeout}ms`, { url, code: 'ETIMEDOUT' }));
+        });
+
+        req.on('error', (err) => {
+            reject(err instanceof FetchError ? err : new FetchError(err.message, { url, code: err.code }));
+        });
+
+        req.end(body);
+    });
+}
+
+/**
+ * Fetches a page through the configured provider, following redirects and
+ * decoding compressed bodies. In replay mode the page is served from the
+ * recorded fixtures instead, and in record mode every page is saved
+ * @param {string} url - Target URL
+ * @param {Object} options - Fetch options (usually from resolveFetchOptions)
+ * @param {string} options.provider - Provider name: "scrapeops", "proxy" or "direct"
+ * @param {number} options.timeout - Timeout per request in milliseconds
+ * @param {Object} options.headers - Extra headers
+ * @param {string} options.method - HTTP method (default: GET); a POST is sent to the provider's request URL as-is
+ * @param {string} options.body - Request body, e.g. for a POST
+ * @param {CookieJar} options.cookieJar - Cookie jar (default: shared jar)
+ * @param {number} options.requestsPerMinute - Rate limit for the target host (see utils/rate-limiter.js)
+ * @param {number} options.burst - Requests allowed back-to-back for the target host
+ * @returns {Promise<Object>} { status, headers, url (final URL), body, provider }
+ */
+async function fetchPage(url, options = {}) {
+    if (recorder.isReplaying()) {
+        const recorded = recorder.loadRecordedResponse(url, options.body);
+        if (!recorded) {
+            throw new FetchError(`No recording for ${url}`, { url, code: 'ENORECORDING' });
+        }
+        return recorded;
+    }
+
+    const provider = getProvider(options.provider || 'scrapeops');
+    // Requests to the same host share a token bucket, whichever job sends them
+    await acquireRequestSlot(url, options);
+    const cookieJar = options.cookieJar || defaultCookieJar;
+    let currentUrl = url;
+    let method = options.method || 'GET';
+    let body = options.body;
+
+    for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+        const prepared = provider.prepare(currentUrl, options);
+        const headers = { ...prepared.headers, ...(options.headers || {}) };
+
+        if (prepared.useCookies) {
+            const cookieHeader = cookieJar.headerFor(currentUrl);
+            if (cookieHeader) headers['Cookie'] = cookieHeader;
+        }
+
+        const startedAt = Date.now();
+        const response = await request(prepared.requestUrl, {
+            method,
+            body,
+            headers,
+            agent: prepared.agent,
+            timeout: options.timeout || DEFAULT_TIMEOUT
+        });
+
+        logger.debug(`🌐 ${response.status} ${currentUrl} via ${provider.name} (${Date.now() - startedAt} ms)`);
+
+        if (prepared.useCookies) {
+            cookieJar.store(currentUrl, response.headers['set-cookie']);
+        }
+
+        const location = response.headers.location;
+        if (prepared.followRedirects && response.status >= 300 && response.status < 400 && location) {
+            currentUrl = new URL(location, currentUrl).href;
+            // Like browsers, only 307/308 repeat the request; other redirects continue with a GET
+            if (response.status !== 307 && response.status !== 308) {
+                method = 'GET';
+                body = undefined;
+            }
+            continue;
+        }
+
+        const result = { ...response, url: currentUrl, provider: provider.name };
+        if (recorder.isRecording()) {
+            recorder.recordResponse(url, result, options.body);
+        }
+        return result;
+    }
+
+    throw new FetchError(`Too many redirects (>${MAX_REDIRECTS})`, { url, code: 'EREDIRECT' });
+}
+
+/**
+ * Checks whether a response has a 2xx status
+ * @param {Object} response - Response from fetchPage
+ * @returns {boolean} Whether the request succeeded
+ */
+function isSuccess(response) {
+    return response.status >= 200 && response.status < 300;
+}
+
+/**
+ * Throws a FetchError unless the response has a 2xx status
+ * @param {Object} response - Response from fetchPage
+ * @returns {Object} The same response
+ */
+function assertSuccess(response) {
+    if (!isSuccess(response)) {
+        throw new FetchError(`HTTP ${response.status} for ${response.url}`, {
+            url: response.url,
+            code: 'EHTTP',
+            status: response.status
+        });
+    }
+    return response;
+}
+
+module.exports = {
+    fetchPage,
+    isSuccess,
+    assertSuccess,
+    FetchError,
+    CookieJar
+};
@@ -0,0 +1,57 @@
+/**
+ * Progress logging of the scrapers and the pipeline. The level decides which
+ * messages are printed:
+ *   quiet   - no progress messages
+ *   normal  - progress messages (default)
+ *   verbose - progress messages and every request (SCRAPER_VERBOSE=1 starts in verbose)
+ * Warnings and errors go to console.warn/console.error, and the results of a
+ * command (files written, summaries) to console.log, so no level hides them
+ */
+const LOG_LEVELS = ['quiet', 'normal', 'verbose'];
+
+let level = process.env.SCRAPER_VERBOSE ? 'verbose' : 'normal';
+
+/**
+ * Sets the log level
+ * @param {string} newLevel - One of LOG_LEVELS
+ * @returns {string} The previous level, to restore it afterwards
+ */
+function setLogLevel(newLevel) {
+    if (!LOG_LEVELS.includes(newLevel)) {
+        throw new Error(`Unknown log level "${newLevel}". Supported: ${LOG_LEVELS.join(', ')}`);
+    }
+    const previous = level;
+    level = newLevel;
+    return previous;
+}
+
+/**
+ * @returns {string} The current log level
+ */
+function getLogLevel() {
+    return level;
+}
+
+/**
+ * Logs a progress message, unless the level is quiet
+ * @param {...*} args - Arguments for console.log
+ */
+function info(...args) {
+    if (level !== 'quiet') console.log(...args);
+}
+
+/**
+ * Logs a detail only shown at the verbose level (e.g. every request)
+ * @param {...*} args - Arguments for console.log
+ */
+function debug(...args) {
+    if (level === 'verbose') console.log(...args);
+}
+
+module.exports = {
+    LOG_LEVELS,
+    setLogLevel,
+    getLogLevel,
+    info,
+    debug
+};
@@ -0,0 +1,175 @@
+const fs = require("fs");
+const { normalizeReview, validateReview } = require("./schema");
+
+/**
+ * NDJSON outputs are written while a scrape runs, one JSON record per line:
+ *   { "type": "review", ...canonical review }  - appended as each page is parsed
+ *   { "type": "run", "status": "completed"|"failed", ...product details without allReviews }
+ *                                              - the last line, written when the scrape ends
+ * A file without a run record is from a scrape that was killed; its reviews are still usable.
+ */
+
+/**
+ * Opens an NDJSON output for one scrape. The output owns the reviews it writes: its hook
+ * passes no reviews on, so neither the scraper nor the hooks after it keep them in memory
+ * @param {string} filePath - File to write (replaced if it exists, unless continued)
+ * @param {Object} context - { platform, sourceUrl, scrapedAt } used to normalize the reviews
+ * @param {Object} options - Where to start
+ * @param {Array<Object>} options.initialReviews - Reviews collected before (e.g. from a checkpoint), written first
+ * @param {number} options.offset - Continue the file from this byte offset (see position()); anything
+ *                                  after it, e.g. a page written after the last checkpoint, is dropped
+ * @returns {Object} { filePath, hook, position, rejectedReviews, finish } - hook is a page hook (see
+ *                   utils/page-hooks.js) that writes each page's reviews; position() gives { offset, reviewCount }
+ *                   to continue from; finish(product, status) writes the run record and closes the file
+ *                   (later calls do nothing)
+ */
+function createNdjsonOutput(filePath, context, { initialReviews = [], offset = null } = {}) {
+    const written = new Set();
+    const rejectedReviews = [];
+    let seen = 0;
+    let size = 0;
+    let finished = false;
+    let fd;
+
+    if (offset !== null && fs.existsSync(filePath)) {
+        fs.truncateSync(filePath, offset);
+        for (const review of readNdjsonReviews(filePath)) {
+            written.add(review.id);
+        }
+        fd = fs.openSync(filePath, 'a');
+        size = offset;
+    } else {
+        if (offset !== null) {
+            console.warn(`⚠️ ${filePath} no longer exists, reviews written to it before are lost`);
+        }
+        fd = fs.openSync(filePath, 'w');
+    }
+
+    // Reviews are written as they will be saved: canonical, valid and once per ID
+    const writeReviews = (reviews) => {
+        const lines = [];
+        reviews.forEach(raw => {
+            const review = normalizeReview(raw, context);
+            const errors = validateReview(review);
+            seen++;
+            if (errors.length > 0) {
+                rejectedReviews.push({ index: seen - 1, review, errors });
+                return;
+            }
+            if (written.has(review.id)) return;
+            written.add(review.id);
+            lines.push(JSON.stringify({ type: 'review', ...review }));
+        });
+        if (lines.length > 0) {
+            const chunk = lines.join('\n') + '\n';
+            fs.writeSync(fd, chunk);
+            size += Buffer.byteLength(chunk);
+        }
+    };
+
+    writeReviews(initialReviews);
+
+    return {
+        filePath,
+        hook: async ({ reviews }) => {
+            writeReviews(reviews);
+            return { reviews: [] };
+        },
+        position: () => ({ offset: size, reviewCount: written.size }),
+        rejectedReviews,
+        finish: (product, status = 'completed') => {
+            if (finished) return;
+            finished = true;
+            // The file holds the reviews, so its count is the one reported
+            const { allReviews, ...details } = product || context;
+            fs.writeSync(fd, JSON.stringify({
+                type: 'run',
+                status,
+                ...details,
+                totalScrapedReviews: written.size
+            }) + '\n');
+            fs.closeSync(fd);
+        }
+    };
+}
+
+/**
+ * Reads the reviews of an NDJSON output one line at a time, so a large output
+ * never has to fit in memory. Unparseable lines are skipped like in parseNdjsonOutput
+ * @param {string} filePath - NDJSON output
+ * @param {number} chunkSize - Bytes read at a time
+ * @returns {Iterator<Object>} Canonical reviews in file order
+ */
+function* readNdjsonReviews(filePath, chunkSize = 64 * 1024) {
+    const fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(chunkSize);
+    // Bytes are joined before decoding, so a character split across chunks stays whole
+    let pending = Buffer.alloc(0);
+
+    const toReview = (line) => {
+        try {
+            const { type, ...fields } = JSON.parse(line);
+            return type === 'review' ? fields : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    try {
+        for (;;) {
+            const bytesRead = fs.readSync(fd, buffer, 0, chunkSize, null);
+            pending = Buffer.concat([pending, buffer.subarray(0, bytesRead)]);
+            let newline = pending.indexOf(0x0a);
+            while (newline !== -1 || (bytesRead === 0 && pending.length > 0)) {
+                const end = newline === -1 ? pending.length : newline;
+                const review = toReview(pending.subarray(0, end).toString('utf8'));
+                pending = pending.subarray(end + 1);
+                if (review) yield review;
+                newline = pending.indexOf(0x0a);
+            }
+            if (bytesRead === 0) return;
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+/**
+ * Reads an NDJSON output back into product data, like a JSON output.
+ * Unparseable lines (e.g. the last line of a killed scrape) are skipped
+ * @param {string} text - File contents
+ * @returns {Object} { product, complete } - product data with allReviews; complete is false
+ *                   when the scrape failed or was killed before writing its run record
+ */
+function parseNdjsonOutput(text) {
+    const allReviews = [];
+    let run = null;
+
+    text.split('\n').forEach(line => {
+        if (!line.trim()) return;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (error) {
+            return;
+        }
+        const { type, ...fields } = record;
+        if (type === 'review') allReviews.push(fields);
+        else if (type === 'run') run = fields;
+    });
+
+    const { status, ...details } = run || {
+        platform: allReviews.length > 0 ? allReviews[0].platform : undefined,
+        sourceUrl: allReviews.length > 0 ? allReviews[0].sourceUrl : undefined
+    };
+    return {
+        product: { ...details, allReviews, totalScrapedReviews: allReviews.length },
+        complete: status === 'completed'
+    };
+}
+
+module.exports = {
+    createNdjsonOutput,
+    readNdjsonReviews,
+    parseNdjsonOutput
+};
@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+const { getReviewId, dedupeReviews } = require("./review-id");
+const { parseNdjsonOutput } = require("./ndjson-output");
+
+/**
+ * Reads every saved JSON and NDJSON output in a directory
+ * @param {string} outputDir - Directory written by saveToJsonFile or an NDJSON output (see utils/ndjson-output.js)
+ * @returns {Array<Object>} [{ file, data }] sorted by filename; unreadable files are skipped with a warning
+ */
+function readOutputFiles(outputDir) {
+    if (!fs.existsSync(outputDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(outputDir)
+        .filter(f => f.endsWith('.json') || f.endsWith('.ndjson'))
+        .sort()
+        .map(file => {
+            try {
+                const text = fs.readFileSync(path.join(outputDir, file), 'utf8');
+                if (file.endsWith('.ndjson')) {
+                    const { product, complete } = parseNdjsonOutput(text);
+                    if (!complete) {
+                        console.warn(`⚠️ ${file} is from an unfinished scrape, using the ${product.allReviews.length} review(s) it has`);
+                    }
+                    return { file, data: product };
+                }
+                return { file, data: JSON.parse(text) };
+            } catch (error) {
+                console.warn(`⚠️ Could not read ${file}: ${error.message}`);
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Merges saved outputs of the same source (same platform and sourceUrl) into one
+ * product, so reviews collected on different days are only counted once.
+ * Product details come from the most recent scrape; outputs saved before
+ * sourceUrl existed are kept as separate products
+ * @param {Array<Object>} outputs - [{ file, data }] from readOutputFiles
+ * @returns {Array<Object>} [{ files, data, duplicates }] one entry per source
+ */
+function mergeOutputs(outputs) {
+    const groups = new Map();
+
+    outputs
+        .filter(({ data }) => data && Array.isArray(data.allReviews))
+        .forEach(({ file, data }) => {
+            const key = data.sourceUrl ? `${data.platform}|${data.sourceUrl}` : `file|${file}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ file, data });
+        });
+
+    return [...groups.values()].map(group => {
+        // Newest scrape first, so its product details and review versions win
+        const sorted = group.slice().sort((a, b) => String(b.data.scrapedAt || b.file).localeCompare(String(a.data.scrapedAt || a.file)));
+        const latest = sorted[0].data;
+        const platform = latest.platform || String(latest.reviewSite || '').toLowerCase();
+
+        const combined = sorted.flatMap(({ data }) => data.allReviews.map(review => ({
+            ...review,
+            id: review.id || getReviewId(review, { platform })
+        })));
+        const { reviews, duplicates } = dedupeReviews(combined);
+
+        return {
+            files: sorted.map(({ file }) => file),
+            data: { ...latest, allReviews: reviews, totalScrapedReviews: reviews.length },
+            duplicates
+        };
+    });
+}
+
+module.exports = {
+    readOutputFiles,
+    mergeOutputs
+};
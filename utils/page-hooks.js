@@ -0,0 +1,32 @@
+/**
+ * Page hooks let the pipeline act on every page of reviews while a scraper is
+ * still paginating (e.g. stop at reviews collected in a previous run).
+ * A hook is an async function receiving { url, page, product, reviews, cursor? } and may return
+ *   { reviews, stop } - reviews replaces the page's reviews, stop ends pagination
+ * product holds the product details parsed so far; cursor is only passed by scrapers that
+ * continue from something other than the next page number (see utils/checkpoints.js)
+ */
+
+/**
+ * Runs the page hooks in order, each one seeing the reviews kept by the previous
+ * @param {Array<Function>} hooks - Page hooks (may be undefined)
+ * @param {Object} context - { url, page, product, reviews, cursor? }
+ * @returns {Promise<Object>} { reviews, stop }
+ */
+async function runPageHooks(hooks = [], context) {
+    let reviews = context.reviews;
+    let stop = false;
+
+    for (const hook of hooks) {
+        const result = await hook({ ...context, reviews });
+        if (!result) continue;
+        if (Array.isArray(result.reviews)) reviews = result.reviews;
+        if (result.stop) stop = true;
+    }
+
+    return { reviews, stop };
+}
+
+module.exports = {
+    runPageHooks
+};
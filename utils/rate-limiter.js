@@ -0,0 +1,84 @@
+/**
+ * Token bucket limiting the request rate to one host. It holds up to "burst"
+ * tokens and gains one every 60000 / requestsPerMinute ms; each request takes one
+ */
+class TokenBucket {
+    /**
+     * @param {Object} options
+     * @param {number} options.requestsPerMinute - Sustained request rate
+     * @param {number} options.burst - Requests allowed back-to-back after an idle period
+     */
+    constructor({ requestsPerMinute, burst = 1 }) {
+        this.intervalMs = 60000 / requestsPerMinute;
+        this.capacity = Math.max(1, burst);
+        this.tokens = this.capacity;
+        this.lastRefill = Date.now();
+        // Requests wait in line, so they are served in the order they asked
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Adds the tokens earned since the last refill
+     */
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) / this.intervalMs);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Waits until a token is available and takes it
+     * @returns {Promise<number>} Time waited in ms
+     */
+    take() {
+        const taken = this.queue.then(async () => {
+            this.refill();
+            let waited = 0;
+            if (this.tokens < 1) {
+                waited = Math.ceil((1 - this.tokens) * this.intervalMs);
+                await new Promise(resolve => setTimeout(resolve, waited));
+                this.refill();
+            }
+            this.tokens = Math.max(0, this.tokens - 1);
+            return waited;
+        });
+        this.queue = taken.catch(() => undefined);
+        return taken;
+    }
+}
+
+// One bucket per hostname, shared by every job fetching from that host
+const buckets = new Map();
+
+/**
+ * Waits for the host's rate limit before a request. The bucket is created with
+ * the settings of the first request to the host; without requestsPerMinute
+ * requests are not limited
+ * @param {string} url - Target URL
+ * @param {Object} options - { requestsPerMinute, burst } from the fetch options
+ * @returns {Promise<number>} Time waited in ms
+ */
+async function acquireRequestSlot(url, { requestsPerMinute, burst } = {}) {
+    if (!requestsPerMinute || requestsPerMinute <= 0) {
+        return 0;
+    }
+
+    const host = new URL(url).hostname.toLowerCase();
+    if (!buckets.has(host)) {
+        buckets.set(host, new TokenBucket({ requestsPerMinute, burst }));
+    }
+    return buckets.get(host).take();
+}
+
+/**
+ * Forgets every host's bucket (e.g. between independent runs in one process)
+ */
+function resetRateLimits() {
+    buckets.clear();
+}
+
+module.exports = {
+    TokenBucket,
+    acquireRequestSlot,
+    resetRateLimits
+};
@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("./logger");
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+/**
+ * Current record/replay settings. mode is null (live), "record" or "replay"
+ */
+const settings = {
+    mode: null,
+    dir: DEFAULT_FIXTURES_DIR
+};
+
+/**
+ * Enables recording or replaying of fetched pages
+ * @param {string|null} mode - "record", "replay" or null to turn it off
+ * @param {string} dir - Fixtures directory (default: <project>/fixtures)
+ */
+function setRecordMode(mode, dir = DEFAULT_FIXTURES_DIR) {
+    if (mode !== null && mode !== 'record' && mode !== 'replay') {
+        throw new Error(`Unknown record mode '${mode}'. Use "record" or "replay"`);
+    }
+    settings.mode = mode;
+    settings.dir = dir;
+    if (mode) {
+        logger.info(`📼 ${mode === 'record' ? 'Recording' : 'Replaying'} pages ${mode === 'record' ? 'to' : 'from'} ${dir}`);
+    }
+}
+
+/**
+ * @returns {boolean} Whether pages are served from recordings
+ */
+function isReplaying() {
+    return settings.mode === 'replay';
+}
+
+/**
+ * @returns {boolean} Whether fetched pages are being recorded
+ */
+function isRecording() {
+    return settings.mode === 'record';
+}
+
+/**
+ * Builds the fixture path for a URL: <dir>/<hostname>/<sha1 of url>.json.
+ * Requests with a body (POST) are told apart by their body as well
+ * @param {string} url - Target URL
+ * @param {string} body - Request body, if any
+ * @returns {string} Fixture file path
+ */
+function getFixturePath(url, body) {
+    const hostname = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+    const hash = crypto.createHash('sha1').update(body ? `${url}\n${body}` : url).digest('hex');
+    return path.join(settings.dir, hostname, `${hash}.json`);
+}
+
+/**
+ * Saves a fetched page as a fixture
+ * @param {string} url - Target URL that was requested
+ * @param {Object} response - Response from fetchPage
+ * @param {string} body - Request body, if any
+ * @returns {string} Fixture file path
+ */
+function recordResponse(url, response, body) {
+    const fixturePath = getFixturePath(url, body);
+    fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+
+    const fixture = {
+        url,
+        ...(body ? { requestBody: body } : {}),
+        finalUrl: response.url,
+        status: response.status,
+        headers: response.headers,
+        provider: response.provider,
+        recordedAt: new Date().toISOString(),
+        body: response.body
+    };
+
+    fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2), 'utf8');
+    return fixturePath;
+}
+
+/**
+ * Loads the recorded response for a URL
+ * @param {string} url - Target URL
+ * @param {string} body - Request body, if any
+ * @returns {Object|null} Response in fetchPage format, or null if not recorded
+ */
+function loadRecordedResponse(url, body) {
+    const fixturePath = getFixturePath(url, body);
+    if (!fs.existsSync(fixturePath)) {
+        return null;
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    return {
+        status: fixture.status,
+        headers: fixture.headers || {},
+        url: fixture.finalUrl || fixture.url,
+        body: fixture.body,
+        provider: 'replay',
+        recordedAt: fixture.recordedAt
+    };
+}
+
+module.exports = {
+    setRecordMode,
+    isReplaying,
+    isRecording,
+    getFixturePath,
+    recordResponse,
+    loadRecordedResponse
+};
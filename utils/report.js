@@ -0,0 +1,126 @@
+/**
+ * Summarizes merged outputs (see utils/outputs.js mergeOutputs), one row per source
+ * @param {Array<Object>} products - [{ files, data, duplicates }]
+ * @returns {Array<Object>} [{ platform, productName, sourceUrl, reviews, averageStars,
+ *                             firstReviewDate, lastReviewDate, unknownDates, lastScrapedAt, files }]
+ */
+function summarizeProducts(products) {
+    return products.map(({ files, data }) => {
+        const reviews = data.allReviews;
+        const dates = reviews.map(review => review.reviewDate).filter(Boolean).sort();
+        const stars = reviews.map(review => review.stars).filter(value => typeof value === 'number');
+        const averageStars = stars.length > 0
+            ? Math.round(stars.reduce((sum, value) => sum + value, 0) / stars.length * 100) / 100
+            : null;
+
+        return {
+            platform: data.platform || data.reviewSite || '',
+            productName: data.productName || '',
+            sourceUrl: data.sourceUrl || '',
+            reviews: reviews.length,
+            averageStars,
+            firstReviewDate: dates[0] || null,
+            lastReviewDate: dates[dates.length - 1] || null,
+            unknownDates: reviews.length - dates.length,
+            lastScrapedAt: data.scrapedAt || null,
+            files
+        };
+    });
+}
+
+/**
+ * Counts the reviews per star rating (rounded to whole stars)
+ * @param {Array<Object>} reviews - Canonical reviews
+ * @returns {Object} { 1: count, ..., 5: count, unrated: count }
+ */
+function getRatingDistribution(reviews) {
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, unrated: 0 };
+    reviews.forEach(review => {
+        if (typeof review.stars !== 'number') {
+            distribution.unrated++;
+            return;
+        }
+        // 0-star ratings (e.g. a 0-10 score halved) count as 1 star
+        distribution[Math.min(5, Math.max(1, Math.round(review.stars)))]++;
+    });
+    return distribution;
+}
+
+/**
+ * Groups reviews by month of their review date; reviews without a date are left out
+ * @param {Array<Object>} reviews - Canonical reviews
+ * @returns {Array<Object>} [{ month: "YYYY-MM", reviews, averageStars }] oldest first, without gaps
+ */
+function getMonthlyTrend(reviews) {
+    const months = new Map();
+    reviews.filter(review => review.reviewDate).forEach(review => {
+        const month = review.reviewDate.slice(0, 7);
+        const entry = months.get(month) || { reviews: 0, starsTotal: 0, rated: 0 };
+        entry.reviews++;
+        if (typeof review.stars === 'number') {
+            entry.starsTotal += review.stars;
+            entry.rated++;
+        }
+        months.set(month, entry);
+    });
+    if (months.size === 0) {
+        return [];
+    }
+
+    // Fill the months without reviews so trends are evenly spaced
+    const sorted = [...months.keys()].sort();
+    const trend = [];
+    let [year, month] = sorted[0].split('-').map(Number);
+    const last = sorted[sorted.length - 1];
+    for (;;) {
+        const key = `${year}-${String(month).padStart(2, '0')}`;
+        const entry = months.get(key) || { reviews: 0, rated: 0 };
+        trend.push({
+            month: key,
+            reviews: entry.reviews,
+            averageStars: entry.rated > 0 ? Math.round(entry.starsTotal / entry.rated * 100) / 100 : null
+        });
+        if (key === last) break;
+        month = month === 12 ? 1 : month + 1;
+        if (month === 1) year++;
+    }
+    return trend;
+}
+
+/**
+ * Lists the most recent reviews at or below a star rating
+ * @param {Array<Object>} reviews - Canonical reviews
+ * @param {Object} options - { maxStars: highest rating to include (default 2), limit (default 10) }
+ * @returns {Array<Object>} Reviews, newest first
+ */
+function getRecentLowStarReviews(reviews, { maxStars = 2, limit = 10 } = {}) {
+    return reviews
+        .filter(review => typeof review.stars === 'number' && review.stars <= maxStars)
+        .sort((a, b) => String(b.reviewDate || '').localeCompare(String(a.reviewDate || '')))
+        .slice(0, limit);
+}
+
+/**
+ * Groups merged outputs of the same product on different platforms, matched by
+ * product name (case-insensitive), for side-by-side comparison
+ * @param {Array<Object>} products - [{ files, data, duplicates }] from mergeOutputs
+ * @returns {Array<Object>} [{ productName, sources: [data, ...] }] for products found on more than one platform
+ */
+function groupProductsAcrossPlatforms(products) {
+    const groups = new Map();
+    products.forEach(({ data }) => {
+        const key = String(data.productName || '').trim().toLowerCase();
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, { productName: data.productName.trim(), sources: [] });
+        groups.get(key).sources.push(data);
+    });
+    return [...groups.values()].filter(group => new Set(group.sources.map(source => source.platform)).size > 1);
+}
+
+module.exports = {
+    summarizeProducts,
+    getRatingDistribution,
+    getMonthlyTrend,
+    getRecentLowStarReviews,
+    groupProductsAcrossPlatforms
+};
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const { normalizeDate } = require("./dates");
+
+/**
+ * Extracts the site's own identifier for a review, when the scraper captured one
+ * (an explicit reviewId, or the ID at the end of a review permalink such as
+ * Trustpilot's /reviews/<id>)
+ * @param {Object} review - Raw or canonical review
+ * @returns {string|null} Native review ID
+ */
+function getNativeReviewId(review) {
+    const extra = review.extra || {};
+    const explicitId = review.reviewId || extra.reviewId;
+    if (explicitId) {
+        return String(explicitId);
+    }
+
+    const link = review.reviewLink || extra.reviewLink || review.reviewUrl || extra.reviewUrl;
+    if (link) {
+        const match = String(link).match(/\/reviews?\/([A-Za-z0-9_-]{6,})\/?(?:[?#].*)?$/);
+        if (match) {
+            return match[1];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Builds the hash ID of a review: "<platform>:h:<hash>" where the hash covers
+ * platform, reviewer, review date and text
+ * @param {Object} review - Raw or canonical review
+ * @param {Object} context - { platform, now } - now resolves relative dates of raw reviews
+ * @returns {string} Review ID
+ */
+function getHashReviewId(review, { platform, now } = {}) {
+    const reviewPlatform = platform || review.platform || 'unknown';
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(review.reviewDate || '')
+        ? review.reviewDate
+        : normalizeDate(review.reviewDate, { now }).date;
+    const text = review.reviewText || review.reviewTitle || '';
+
+    const fingerprint = [reviewPlatform, review.reviewerName, date, text]
+        .map(value => String(value || '').replace(/\s+/g, ' ').trim().toLowerCase())
+        .join('\u0000');
+    const hash = crypto.createHash('sha1').update(fingerprint).digest('hex').slice(0, 16);
+    return `${reviewPlatform}:h:${hash}`;
+}
+
+/**
+ * Builds a stable ID for a review: "<platform>:<native id>" when the site provides
+ * one, otherwise its hash ID (see getHashReviewId)
+ * @param {Object} review - Raw or canonical review
+ * @param {Object} context - { platform, now } - now resolves relative dates of raw reviews
+ * @returns {string} Review ID
+ */
+function getReviewId(review, { platform, now } = {}) {
+    const reviewPlatform = platform || review.platform || 'unknown';
+    const nativeId = getNativeReviewId(review);
+    if (nativeId) {
+        return `${reviewPlatform}:${nativeId}`;
+    }
+    return getHashReviewId(review, { platform: reviewPlatform, now });
+}
+
+/**
+ * Lists the IDs a review may have been stored under. Scrapers that start
+ * capturing the site's own review ID (e.g. G2's review links) change the ID of
+ * reviews saved earlier under their hash ID, so both are returned
+ * @param {Object} review - Raw or canonical review
+ * @param {Object} context - { platform, now }
+ * @returns {Array<string>} Review ID, then the hash ID when it differs
+ */
+function getKnownReviewIds(review, context = {}) {
+    const id = review.id || getReviewId(review, context);
+    const hashId = getHashReviewId(review, context);
+    return hashId === id ? [id] : [id, hashId];
+}
+
+/**
+ * Removes reviews with an ID seen earlier in the list (first occurrence wins).
+ * Reviews saved before IDs existed get one computed on the fly, and a review
+ * stored under its hash ID is the same review as one with that hash and a native ID
+ * @param {Array<Object>} reviews - Canonical reviews
+ * @param {Object} context - { platform } for reviews without an ID or platform
+ * @returns {Object} { reviews, duplicates } where duplicates is the number removed
+ */
+function dedupeReviews(reviews, context = {}) {
+    const seen = new Set();
+    const hashIds = new Set();
+    const unique = reviews.filter(review => {
+        const [id, hashId] = getKnownReviewIds(review, context);
+        if (seen.has(id) || hashIds.has(id) || (hashId && seen.has(hashId))) return false;
+        seen.add(id);
+        if (hashId) hashIds.add(hashId);
+        return true;
+    });
+    return { reviews: unique, duplicates: reviews.length - unique.length };
+}
+
+module.exports = {
+    getNativeReviewId,
+    getReviewId,
+    getHashReviewId,
+    getKnownReviewIds,
+    dedupeReviews
+};
@@ -0,0 +1,54 @@
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_PER_HOST_CONCURRENCY = 1;
+
+/**
+ * Runs tasks in parallel: at most "concurrency" at once and at most
+ * "perHostConcurrency" for the same host. Tasks start in list order, skipping
+ * those whose host is busy, so entries for different platforms overlap while
+ * entries for the same site run one after another
+ * @param {Array<Object>} tasks - [{ host, run: async () => result }]
+ * @param {Object} options - { concurrency, perHostConcurrency }
+ * @returns {Promise<Array>} Results in task order; a task that throws yields { error }
+ */
+function runTasks(tasks, { concurrency = DEFAULT_CONCURRENCY, perHostConcurrency = DEFAULT_PER_HOST_CONCURRENCY } = {}) {
+    const results = new Array(tasks.length);
+    const pending = tasks.map((task, index) => ({ ...task, index }));
+    const activeByHost = new Map();
+    let active = 0;
+
+    return new Promise(resolve => {
+        const startNext = () => {
+            if (pending.length === 0 && active === 0) {
+                resolve(results);
+                return;
+            }
+
+            while (active < concurrency) {
+                const position = pending.findIndex(task => (activeByHost.get(task.host) || 0) < perHostConcurrency);
+                if (position === -1) break;
+
+                const [task] = pending.splice(position, 1);
+                active++;
+                activeByHost.set(task.host, (activeByHost.get(task.host) || 0) + 1);
+
+                Promise.resolve()
+                    .then(() => task.run())
+                    .then(result => { results[task.index] = result; })
+                    .catch(error => { results[task.index] = { error }; })
+                    .finally(() => {
+                        active--;
+                        activeByHost.set(task.host, activeByHost.get(task.host) - 1);
+                        startNext();
+                    });
+            }
+        };
+
+        startNext();
+    });
+}
+
+module.exports = {
+    runTasks,
+    DEFAULT_CONCURRENCY,
+    DEFAULT_PER_HOST_CONCURRENCY
+};
@@ -0,0 +1,228 @@
+const { normalizeDate } = require("./dates");
+const { getReviewId } = require("./review-id");
+
+/**
+ * Version of the canonical output schema. Bump when a field changes meaning
+ */
+const SCHEMA_VERSION = 1;
+
+/**
+ * Review fields of the canonical schema. Anything else a scraper emits is
+ * moved into the review's "extra" object
+ *   id            - stable review ID (see utils/review-id.js), the primary key across runs
+ *   platform      - scraper name, e.g. "g2"
+ *   sourceUrl     - URL of the review (or of the page it was found on)
+ *   reviewerName  - string
+ *   jobTitle      - string
+ *   reviewDate    - ISO-8601 date (YYYY-MM-DD) or null when unknown
+ *   reviewDateRaw - the date exactly as printed by the site
+ *   stars         - number from 0 to 5 or null
+ *   reviewTitle   - string
+ *   reviewText    - string
+ *   extra         - platform-specific fields (e.g. G2's like/dislike/problemsSolved)
+ */
+const REVIEW_FIELDS = ['id', 'platform', 'sourceUrl', 'reviewerName', 'jobTitle', 'reviewDate', 'reviewDateRaw', 'stars', 'reviewTitle', 'reviewText'];
+
+/**
+ * Product fields of the canonical schema
+ *   schemaVersion, platform, reviewSite, productName, sourceUrl,
+ *   stars (number|null), totalReviews (integer|null), scrapedAt (ISO-8601),
+ *   totalScrapedReviews (integer), allReviews (Array),
+ *   extra (platform-specific product fields, e.g. TrustRadius' trScore)
+ */
+const PRODUCT_FIELDS = ['schemaVersion', 'platform', 'reviewSite', 'productName', 'sourceUrl', 'stars', 'totalReviews', 'scrapedAt', 'totalScrapedReviews', 'allReviews'];
+
+/**
+ * Converts a rating such as "4.6", "4.6 (14)" or 5 to a number
+ * @param {string|number} value - Raw rating
+ * @returns {number|null} Rating or null when missing ("N/A", "")
+ */
+function toRating(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    const match = String(value == null ? '' : value).replace(',', '.').match(/\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : null;
+}
+
+/**
+ * Converts a count such as "1,234", "1.234 reviews" or 42 to an integer
+ * @param {string|number} value - Raw count
+ * @returns {number|null} Count or null when missing
+ */
+function toCount(value) {
+    if (typeof value === 'number') {
+        return Number.isInteger(value) ? value : null;
+    }
+    const match = String(value == null ? '' : value).match(/\d[\d,.\s]*/);
+    if (!match) return null;
+    const digits = match[0].replace(/[^\d]/g, '');
+    return digits ? parseInt(digits, 10) : null;
+}
+
+/**
+ * Converts a scraped review to the canonical schema
+ * @param {Object} review - Review as emitted by a scraper
+ * @param {Object} context - { platform, sourceUrl, scrapedAt } - scrapedAt resolves relative dates
+ * @returns {Object} Canonical review
+ */
+function normalizeReview(review, { platform, sourceUrl, scrapedAt }) {
+    const rawDate = review.reviewDateRaw != null ? review.reviewDateRaw : review.reviewDate;
+    const { raw, date } = normalizeDate(rawDate, { now: scrapedAt ? new Date(scrapedAt) : new Date() });
+
+    const extra = { ...(review.extra || {}) };
+    Object.keys(review)
+        .filter(key => !REVIEW_FIELDS.includes(key) && key !== 'extra')
+        .forEach(key => { extra[key] = review[key]; });
+
+    return {
+        id: review.id || getReviewId({ ...review, reviewDate: date }, { platform }),
+        platform,
+        sourceUrl: review.sourceUrl || sourceUrl,
+        reviewerName: String(review.reviewerName || '').trim(),
+        jobTitle: String(review.jobTitle || '').trim(),
+        reviewDate: date,
+        reviewDateRaw: raw,
+        stars: toRating(review.stars),
+        reviewTitle: String(review.reviewTitle || '').trim(),
+        reviewText: String(review.reviewText || '').trim(),
+        extra
+    };
+}
+
+/**
+ * Converts scraped product data to the canonical schema
+ * @param {Object} data - Product data as returned by a scraper
+ * @param {Object} context - { platform, sourceUrl, scrapedAt }
+ * @returns {Object} Canonical product data
+ */
+function normalizeProduct(data, { platform, sourceUrl, scrapedAt = new Date().toISOString() }) {
+    const allReviews = (data.allReviews || []).map(review => normalizeReview(review, { platform, sourceUrl, scrapedAt }));
+    const extra = { ...(data.extra || {}) };
+    Object.keys(data)
+        .filter(key => !PRODUCT_FIELDS.includes(key) && key !== 'extra')
+        .forEach(key => { extra[key] = data[key]; });
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        platform,
+        reviewSite: data.reviewSite || platform,
+        productName: String(data.productName || '').trim(),
+        sourceUrl,
+        stars: toRating(data.stars),
+        totalReviews: toCount(data.totalReviews),
+        scrapedAt,
+        totalScrapedReviews: allReviews.length,
+        allReviews,
+        extra
+    };
+}
+
+/**
+ * Checks that a value is null or a number in [min, max]
+ * @returns {boolean} Whether the value is valid
+ */
+function isNullableNumberInRange(value, min, max) {
+    return value === null || (typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max);
+}
+
+/**
+ * Checks that a value is null or a real YYYY-MM-DD date
+ * @returns {boolean} Whether the value is valid
+ */
+function isNullableIsoDate(value) {
+    if (value === null) return true;
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validates a canonical review
+ * @param {Object} review - Canonical review
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateReview(review) {
+    const errors = [];
+
+    if (typeof review.id !== 'string' || !review.id) errors.push("missing 'id'");
+    if (!review.platform) errors.push("missing 'platform'");
+    ['reviewerName', 'jobTitle', 'reviewDateRaw', 'reviewTitle', 'reviewText'].forEach(field => {
+        if (typeof review[field] !== 'string') errors.push(`'${field}' must be a string`);
+    });
+    if (!isNullableIsoDate(review.reviewDate)) errors.push(`'reviewDate' must be YYYY-MM-DD or null, got ${JSON.stringify(review.reviewDate)}`);
+    if (!isNullableNumberInRange(review.stars, 0, 5)) errors.push(`'stars' must be a number from 0 to 5 or null, got ${JSON.stringify(review.stars)}`);
+    if (!review.extra || typeof review.extra !== 'object' || Array.isArray(review.extra)) errors.push("'extra' must be an object");
+
+    const hasText = [review.reviewText, review.reviewTitle, ...Object.values(review.extra || {})]
+        .some(value => typeof value === 'string' && value.trim() !== '');
+    if (!hasText) errors.push('review has no text');
+
+    return errors;
+}
+
+/**
+ * Validates the product-level fields of canonical product data
+ * @param {Object} product - Canonical product data
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+function validateProduct(product) {
+    const errors = [];
+
+    if (product.schemaVersion !== SCHEMA_VERSION) errors.push(`unsupported schemaVersion ${product.schemaVersion}`);
+    if (!product.platform) errors.push("missing 'platform'");
+    if (!product.productName) errors.push("missing 'productName'");
+    try {
+        new URL(product.sourceUrl);
+    } catch (error) {
+        errors.push(`'sourceUrl' must be a URL, got ${JSON.stringify(product.sourceUrl)}`);
+    }
+    if (!isNullableNumberInRange(product.stars, 0, 5)) errors.push(`'stars' must be a number from 0 to 5 or null, got ${JSON.stringify(product.stars)}`);
+    if (!(product.totalReviews === null || (Number.isInteger(product.totalReviews) && product.totalReviews >= 0))) {
+        errors.push(`'totalReviews' must be a non-negative integer or null, got ${JSON.stringify(product.totalReviews)}`);
+    }
+    if (isNaN(new Date(product.scrapedAt))) errors.push("'scrapedAt' must be an ISO-8601 timestamp");
+    if (!Array.isArray(product.allReviews)) errors.push("'allReviews' must be an array");
+    if (product.extra !== undefined && (!product.extra || typeof product.extra !== 'object' || Array.isArray(product.extra))) {
+        errors.push("'extra' must be an object");
+    }
+
+    return errors;
+}
+
+/**
+ * Normalizes scraped data and validates it. Invalid reviews are removed from
+ * the product and returned separately so they can be reported
+ * @param {Object} data - Product data as returned by a scraper
+ * @param {Object} context - { platform, sourceUrl }
+ * @returns {Object} { product, productErrors, rejectedReviews: [{ index, review, errors }] }
+ */
+function normalizeAndValidate(data, context) {
+    const product = normalizeProduct(data, context);
+    const rejectedReviews = [];
+
+    product.allReviews = product.allReviews.filter((review, index) => {
+        const errors = validateReview(review);
+        if (errors.length > 0) {
+            rejectedReviews.push({ index, review, errors });
+            return false;
+        }
+        return true;
+    });
+    product.totalScrapedReviews = product.allReviews.length;
+
+    return { product, productErrors: validateProduct(product), rejectedReviews };
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    REVIEW_FIELDS,
+    PRODUCT_FIELDS,
+    toRating,
+    toCount,
+    normalizeReview,
+    normalizeProduct,
+    validateReview,
+    validateProduct,
+    normalizeAndValidate
+};
@@ -0,0 +1,149 @@
+const fs = require("fs");
+const path = require("path");
+const { normalizeDate } = require("./dates");
+const { getKnownReviewIds, dedupeReviews } = require("./review-id");
+const logger = require("./logger");
+
+const DEFAULT_STATE_DIR = path.join(__dirname, '..', 'state');
+const STATE_FILENAME = 'state.json';
+
+/**
+ * Loads the persisted scrape state. The state maps each source URL to
+ *   { platform, newestReviewDate, newestReviewIds, lastRunAt, historyFile }
+ * where newestReviewIds are the IDs of the reviews already collected on newestReviewDate
+ * @param {string} stateDir - State directory (default: <project>/state)
+ * @returns {Object} State keyed by source URL
+ */
+function loadState(stateDir = DEFAULT_STATE_DIR) {
+    const statePath = path.join(stateDir, STATE_FILENAME);
+    if (!fs.existsSync(statePath)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+}
+
+/**
+ * Writes the scrape state atomically (write to a temp file, then rename)
+ * @param {Object} state - State keyed by source URL
+ * @param {string} stateDir - State directory
+ */
+function saveState(state, stateDir = DEFAULT_STATE_DIR) {
+    fs.mkdirSync(stateDir, { recursive: true });
+    const statePath = path.join(stateDir, STATE_FILENAME);
+    const tempPath = `${statePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2), 'utf8');
+    fs.renameSync(tempPath, statePath);
+}
+
+/**
+ * Creates a page hook that drops reviews already collected in an earlier run. On
+ * listings sorted newest first it also stops pagination once a page reaches them;
+ * other listings are read to the end, as a newer review may follow an older one
+ * @param {Object} sourceState - State of the source URL (may be undefined on the first run)
+ * @param {Object} dateOptions - { now } used to resolve relative review dates
+ * @param {Object} options - { sortedByDate: whether the source lists reviews newest first (default: true) }
+ * @returns {Function} Page hook (see utils/page-hooks.js)
+ */
+function createIncrementalHook(sourceState, dateOptions = {}, { sortedByDate = true } = {}) {
+    if (!sourceState || !sourceState.newestReviewDate) {
+        return async () => undefined;
+    }
+
+    const newestDate = sourceState.newestReviewDate;
+    const newestIds = new Set(sourceState.newestReviewIds || []);
+
+    const isKnown = (review) => {
+        const { date } = normalizeDate(review.reviewDate, dateOptions);
+        if (!date) return false;
+        if (date < newestDate) return true;
+        // The state may still hold the hash ID a review had before its scraper read the site's ID
+        return date === newestDate &&
+            getKnownReviewIds({ ...review, reviewDate: date }, { platform: sourceState.platform }).some(id => newestIds.has(id));
+    };
+
+    return async ({ page, reviews }) => {
+        const newReviews = reviews.filter(review => !isKnown(review));
+        const reachedKnown = sortedByDate && newReviews.length < reviews.length;
+        if (reachedKnown) {
+            logger.info(`🔁 Page ${page} reached reviews collected before (newest known: ${newestDate}), stopping.`);
+        }
+        return { reviews: newReviews, stop: reachedKnown };
+    };
+}
+
+/**
+ * Records the newest review of a run in the source's state
+ * @param {Object} state - State keyed by source URL (modified in place)
+ * @param {string} url - Source URL
+ * @param {Object} product - Canonical product data of the run (new reviews only)
+ * @param {string} historyFile - Path of the product's history file
+ * @param {Iterable<Object>} reviews - The run's reviews (default: product.allReviews)
+ * @returns {Object} Updated source state
+ */
+function updateSourceState(state, url, product, historyFile, reviews = product.allReviews) {
+    const previous = state[url] || {};
+    let newestReviewDate = previous.newestReviewDate || null;
+    let newestReviewIds = previous.newestReviewIds || [];
+
+    for (const review of reviews) {
+        if (!review.reviewDate) continue;
+        if (!newestReviewDate || review.reviewDate > newestReviewDate) {
+            newestReviewDate = review.reviewDate;
+            newestReviewIds = [review.id];
+        } else if (review.reviewDate === newestReviewDate && !newestReviewIds.includes(review.id)) {
+            newestReviewIds = [...newestReviewIds, review.id];
+        }
+    }
+
+    state[url] = {
+        platform: product.platform,
+        newestReviewDate,
+        newestReviewIds,
+        lastRunAt: product.scrapedAt,
+        historyFile
+    };
+    return state[url];
+}
+
+/**
+ * Appends a run's reviews to the product's history file
+ * (history/<sanitized source url>.json), newest reviews first, skipping
+ * reviews whose ID is already in the history
+ * @param {Object} product - Canonical product data of the run
+ * @param {string} historyDir - History directory (default: <project>/history)
+ * @param {Iterable<Object>} reviews - The run's reviews (default: product.allReviews)
+ * @returns {Object} { filePath, totalReviews }
+ */
+function appendToHistory(product, historyDir = path.join(__dirname, '..', 'history'), reviews = product.allReviews) {
+    fs.mkdirSync(historyDir, { recursive: true });
+
+    const name = product.sourceUrl
+        .replace(/^https?:\/\//, '')
+        .replace(/[^a-z0-9]/gi, '_')
+        .toLowerCase();
+    const filePath = path.join(historyDir, `${name}.json`);
+
+    const history = fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+        : { ...product, allReviews: [] };
+
+    // Reviews are keyed by ID, so a review collected twice is only kept once
+    const { reviews: allReviews } = dedupeReviews([...reviews, ...history.allReviews], { platform: product.platform });
+    const updated = {
+        ...history,
+        ...product,
+        allReviews,
+        totalScrapedReviews: allReviews.length
+    };
+
+    fs.writeFileSync(filePath, JSON.stringify(updated, null, 2), 'utf8');
+    return { filePath, totalReviews: allReviews.length };
+}
+
+module.exports = {
+    loadState,
+    saveState,
+    createIncrementalHook,
+    updateSourceState,
+    appendToHistory
+};